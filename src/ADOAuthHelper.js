@@ -12,6 +12,9 @@ const TOKEN_CACHE_KEY = 'ado_auth_token';
 // operation. 1 minute before actual expiration
 const TOKEN_EXPIRY_BUFFER_MS = 60 * 1000;
 
+// Token request to the background script in progress, shared by concurrent getToken() calls
+let pendingTokenRequest = null;
+
 class ADOAuthHelper {
   /**
    * Get the cached token synchronously (may be null or expired)
@@ -100,7 +103,8 @@ class ADOAuthHelper {
   
   /**
    * Get a valid access token, refreshing if needed (async)
-   * Uses cached token if valid, otherwise fetches new token via background script
+   * Uses cached token if valid, otherwise fetches new token via background script.
+   * Callers waiting at the same time (e.g. queries fetched in parallel) share one request.
    * @returns {Promise<string>} The access token
    * @throws {Error} If token cannot be obtained
    */
@@ -114,6 +118,19 @@ class ADOAuthHelper {
       return cachedToken;
     }
     
+    if (!pendingTokenRequest) {
+      pendingTokenRequest = this.requestToken().finally(() => {
+        pendingTokenRequest = null;
+      });
+    }
+    return pendingTokenRequest;
+  }
+
+  /**
+   * Fetch a new token via the background script
+   * @private
+   */
+  static async requestToken() {
     console.log('[ADOAuthHelper] No valid cached token, requesting from background...');
     
     // Need to fetch new token via background script
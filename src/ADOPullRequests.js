@@ -0,0 +1,357 @@
+/**
+ * ADO Pull Requests
+ * Azure DevOps pull request requests shared by the ADO PR widget and the
+ * background service worker, and the change detection behind PR notifications.
+ *
+ * Queries with notification rules are written to chrome.storage.local by the
+ * dashboard (saveWatchedQueries). background.js fetches them on an alarm,
+ * compares each query's PRs with its last snapshot (diffSnapshots) and shows
+ * desktop notifications and a toolbar badge with the PRs awaiting your vote.
+ *
+ * Service workers have no DOM or localStorage, so this module must not use them.
+ */
+
+// Key in chrome.storage.local of the queries the background worker checks
+export const WATCH_STORAGE_KEY = 'adopr-watched-queries';
+
+// Reviewer votes, from the ADO API
+export const VOTES = [
+  { value: 10, label: 'Approved', icon: '✓' },
+  { value: 5, label: 'Approved with suggestions', icon: '✓' },
+  { value: 0, label: 'No vote', icon: '○' },
+  { value: -5, label: 'Waiting for author', icon: '⏳' },
+  { value: -10, label: 'Rejected', icon: '✕' }
+];
+
+// What a query can notify about (its "notify" setting)
+export const NOTIFY_RULES = [
+  { value: 'reviewRequested', label: 'New review requests for me' },
+  { value: 'votes', label: 'New votes' },
+  { value: 'comments', label: 'New comments' },
+  { value: 'completed', label: 'Completed PRs' },
+  { value: 'badge', label: 'Count PRs awaiting my vote on the toolbar icon' }
+];
+
+/**
+ * API URL listing the PRs a query selects
+ * @param {string} organization
+ * @param {string} project
+ * @param {Object} query - repository, status, maxCount, targetBranch and titleText
+ * @param {Object} [options] - Resolved IDs for the query's creatorEmail and
+ *   reviewerEmail, and the number of PRs to skip for pages after the first
+ * @returns {string}
+ */
+export function buildPullRequestsUrl(organization, project, query, { creatorId, reviewerId, skip = 0 } = {}) {
+  const org = encodeURIComponent(organization);
+  const proj = encodeURIComponent(project);
+
+  let url = query.repository
+    ? `https://dev.azure.com/${org}/${proj}/_apis/git/repositories/${encodeURIComponent(query.repository)}/pullrequests`
+    : `https://dev.azure.com/${org}/${proj}/_apis/git/pullrequests`;
+
+  url += '?api-version=7.0';
+  if (query.status && query.status !== 'all') {
+    url += `&searchCriteria.status=${query.status}`;
+  }
+  url += `&$top=${query.maxCount || 10}`;
+  if (skip > 0) {
+    url += `&$skip=${skip}`;
+  }
+
+  // Add creator filter
+  if (creatorId) {
+    url += `&searchCriteria.creatorId=${encodeURIComponent(creatorId)}`;
+  }
+
+  // Add reviewer filter
+  if (reviewerId) {
+    url += `&searchCriteria.reviewerId=${encodeURIComponent(reviewerId)}`;
+  }
+
+  // Add target branch filter
+  if (query.targetBranch) {
+    const branchRef = query.targetBranch.startsWith('refs/')
+      ? query.targetBranch
+      : `refs/heads/${query.targetBranch}`;
+    url += `&searchCriteria.targetRefName=${encodeURIComponent(branchRef)}`;
+  }
+
+  // Add title text filter
+  if (query.titleText) {
+    url += `&searchCriteria.title=${encodeURIComponent(query.titleText)}`;
+  }
+
+  return url;
+}
+
+/**
+ * Web page of a PR
+ * @param {string} organization
+ * @param {string} project
+ * @param {Object} pr - PR from the API
+ * @returns {string}
+ */
+export function getPullRequestWebUrl(organization, project, pr) {
+  return `https://dev.azure.com/${organization}/${project}/_git/${pr.repository?.name || ''}/pullrequest/${pr.pullRequestId}`;
+}
+
+/**
+ * API URL of a PR, for its details and changes (e.g. `${url}/threads`)
+ * @param {string} organization
+ * @param {string} project
+ * @param {Object} pr - PR from the API
+ * @returns {string}
+ */
+export function getPullRequestApiUrl(organization, project, pr) {
+  const org = encodeURIComponent(organization);
+  const proj = encodeURIComponent(project);
+  return `https://dev.azure.com/${org}/${proj}/_apis/git/repositories/${encodeURIComponent(pr.repository?.id)}/pullRequests/${pr.pullRequestId}`;
+}
+
+/**
+ * Send an authenticated request to the ADO API
+ * @param {string} url
+ * @param {string} accessToken
+ * @param {Object} [options] - HTTP method, and a body to send as JSON
+ * @returns {Promise<Object>} The response's JSON
+ * @throws {Error} For failed responses, with `status` set, and `retryable` for
+ *   server errors and 429 Too Many Requests (as DataService expects)
+ */
+export async function fetchJSON(url, accessToken, { method = 'GET', body } = {}) {
+  const response = await fetch(url, {
+    method,
+    headers: authHeaders(accessToken),
+    body: body === undefined ? undefined : JSON.stringify(body)
+  });
+  if (!response.ok) {
+    const message = {
+      401: 'Authentication failed. Try running: az login',
+      403: 'You don\'t have permission to do this.'
+    }[response.status] ?? `API error: ${response.status}`;
+    const error = new Error(message);
+    error.status = response.status;
+    error.retryable = response.status === 429 || response.status >= 500;
+    throw error;
+  }
+  return response.json();
+}
+
+/**
+ * Look up a user's GUID by email or display name
+ * @returns {Promise<string|null>} null if not found or the lookup failed
+ */
+export async function lookupUserId(organization, emailOrName, accessToken) {
+  const org = encodeURIComponent(organization);
+
+  // Use the Graph API to search for users
+  // The subjectQuery parameter searches across display name and email
+  const url = `https://vssps.dev.azure.com/${org}/_apis/graph/users?api-version=7.0-preview.1&subjectTypes=aad,msa&$top=10`;
+
+  try {
+    const response = await fetch(url, { headers: authHeaders(accessToken) });
+
+    if (!response.ok) {
+      console.warn(`[ADOPullRequests] Failed to search users: ${response.status}`);
+      return null;
+    }
+
+    const data = await response.json();
+    const users = data.value || [];
+
+    // Find user by email (principalName) or display name
+    const searchLower = emailOrName.toLowerCase();
+    const user = users.find(u =>
+      u.principalName?.toLowerCase() === searchLower ||
+      u.displayName?.toLowerCase() === searchLower ||
+      u.mailAddress?.toLowerCase() === searchLower
+    );
+
+    if (user) {
+      // Extract the user ID from the descriptor or use originId
+      // The descriptor format is typically: aad.{base64-encoded-id}
+      return user.originId || user.descriptor;
+    }
+
+    // If exact match not found, try a more specific search using identities API
+    return await lookupUserIdViaIdentities(organization, emailOrName, accessToken);
+  } catch (err) {
+    console.warn(`[ADOPullRequests] Error resolving user '${emailOrName}':`, err);
+    return null;
+  }
+}
+
+/**
+ * Fallback user lookup using the identities API
+ */
+async function lookupUserIdViaIdentities(organization, emailOrName, accessToken) {
+  const org = encodeURIComponent(organization);
+  const url = `https://vssps.dev.azure.com/${org}/_apis/identities?api-version=7.0&searchFilter=General&filterValue=${encodeURIComponent(emailOrName)}`;
+
+  try {
+    const response = await fetch(url, { headers: authHeaders(accessToken) });
+
+    if (!response.ok) return null;
+
+    const data = await response.json();
+    const identities = data.value || [];
+
+    return identities.length > 0 ? identities[0].id : null;
+  } catch (err) {
+    console.warn(`[ADOPullRequests] Error in identity lookup:`, err);
+    return null;
+  }
+}
+
+/**
+ * The signed-in user, from the organization's connection data
+ * @param {Object} connectionData - Response of https://dev.azure.com/<organization>/_apis/connectionData
+ * @returns {{ id: string, displayName: string }}
+ * @throws {Error} If it has no authenticated user
+ */
+export function getAuthenticatedUser(connectionData) {
+  const user = connectionData?.authenticatedUser;
+  if (!user?.id) throw new Error('Could not find the signed-in user.');
+  return { id: user.id, displayName: user.providerDisplayName || user.customDisplayName || 'You' };
+}
+
+export function getConnectionDataUrl(organization) {
+  return `https://dev.azure.com/${encodeURIComponent(organization)}/_apis/connectionData`;
+}
+
+/**
+ * Whether a PR is waiting for the user's vote: active, published, and the user
+ * is a reviewer who hasn't voted
+ * @param {Object} pr - PR from the API or a snapshot
+ * @param {string} userId
+ * @returns {boolean}
+ */
+export function isAwaitingVote(pr, userId) {
+  return pr.status === 'active' && !pr.isDraft &&
+    (pr.reviewers || []).some(reviewer => reviewer.id === userId && !reviewer.vote);
+}
+
+/**
+ * When a PR last changed. The PR list has no such date, but pushes, votes,
+ * reviewer changes and comments all add or update one of its threads.
+ * @param {Object} pr - PR from the API
+ * @param {Array<Object>} threads - From the PR's threads API
+ * @returns {string|null} ISO date
+ */
+export function getLastActivityDate(pr, threads) {
+  const times = [pr.creationDate, pr.closedDate, ...threads.map(thread => thread.lastUpdatedDate)]
+    .map(date => (date ? new Date(date).getTime() : NaN))
+    .filter(time => !Number.isNaN(time));
+  return times.length > 0 ? new Date(Math.max(...times)).toISOString() : null;
+}
+
+/**
+ * Number of comments in a PR's threads written by people other than the user
+ * @param {Array<Object>} threads - From the PR's threads API
+ * @param {string} userId
+ * @returns {number}
+ */
+export function countComments(threads, userId) {
+  return threads
+    .filter(thread => !thread.isDeleted)
+    .flatMap(thread => thread.comments || [])
+    .filter(comment => comment.commentType !== 'system' && !comment.isDeleted && comment.author?.id !== userId)
+    .length;
+}
+
+/**
+ * What a query's PRs look like now, keeping only what diffSnapshots() compares
+ * @param {Array<Object>} prs - PRs from the API, with web URLs
+ * @param {Map<number, number>} [commentCounts] - From countComments(), by pullRequestId
+ * @returns {{ time: number, prs: Object<string, Object> }}
+ */
+export function createSnapshot(prs, commentCounts = new Map()) {
+  return {
+    time: Date.now(),
+    prs: Object.fromEntries(prs.map(pr => [pr.pullRequestId, {
+      pullRequestId: pr.pullRequestId,
+      title: pr.title,
+      status: pr.status,
+      isDraft: Boolean(pr.isDraft),
+      url: pr.url,
+      repository: pr.repository?.name || '',
+      reviewers: (pr.reviewers || []).map(({ id, displayName, vote }) => ({ id, displayName, vote })),
+      comments: commentCounts.get(pr.pullRequestId) ?? null
+    }]))
+  };
+}
+
+/**
+ * Changes between two snapshots of a query
+ * @param {Object} previous - Snapshot from the last check
+ * @param {Object} current - Snapshot from this check
+ * @param {string} userId - Signed-in user
+ * @returns {Array<Object>} Events: { type: 'reviewRequested'|'vote'|'comments'|'completed'|'gone', pr, ... }.
+ *   'gone' PRs left the query; whether they were completed has to be looked up.
+ */
+export function diffSnapshots(previous, current, userId) {
+  const events = [];
+  const isReviewer = (pr) => Boolean(pr?.reviewers.some(reviewer => reviewer.id === userId));
+
+  for (const pr of Object.values(current.prs)) {
+    const before = previous.prs[pr.pullRequestId];
+
+    if (pr.status === 'active' && isReviewer(pr) && !isReviewer(before)) {
+      events.push({ type: 'reviewRequested', pr });
+    }
+    if (pr.status === 'completed' && before?.status !== 'completed') {
+      events.push({ type: 'completed', pr });
+    }
+    // New PRs are announced as review requests, not with every vote they already have
+    if (!before) continue;
+
+    for (const reviewer of pr.reviewers) {
+      const previousVote = before.reviewers.find(r => r.id === reviewer.id)?.vote ?? 0;
+      if (reviewer.id !== userId && reviewer.vote && reviewer.vote !== previousVote) {
+        events.push({ type: 'vote', pr, reviewer });
+      }
+    }
+    if (pr.comments !== null && before.comments !== null && pr.comments > before.comments) {
+      events.push({ type: 'comments', pr, count: pr.comments - before.comments });
+    }
+  }
+
+  for (const pr of Object.values(previous.prs)) {
+    if (!current.prs[pr.pullRequestId] && pr.status === 'active') {
+      events.push({ type: 'gone', pr });
+    }
+  }
+  return events;
+}
+
+/**
+ * Tell the background worker which queries to check. Only writes when they
+ * changed, since every write makes the worker check them straight away.
+ * @param {Array<Object>} queries - From ADOPRWidget.getWatchedQueries(); the same
+ *   query in several widgets is checked once, with the rules of all of them
+ */
+export async function saveWatchedQueries(queries) {
+  if (typeof chrome === 'undefined' || !chrome.storage?.local) return;
+
+  const watched = {};
+  for (const query of queries) {
+    const existing = watched[query.key];
+    watched[query.key] = existing
+      ? { ...existing, notify: [...new Set([...existing.notify, ...query.notify])] }
+      : query;
+  }
+
+  try {
+    const { [WATCH_STORAGE_KEY]: saved = {} } = await chrome.storage.local.get(WATCH_STORAGE_KEY);
+    if (JSON.stringify(saved) === JSON.stringify(watched)) return;
+    await chrome.storage.local.set({ [WATCH_STORAGE_KEY]: watched });
+  } catch (err) {
+    console.error('[ADOPullRequests] Could not save watched queries:', err);
+  }
+}
+
+function authHeaders(accessToken) {
+  return {
+    'Authorization': `Bearer ${accessToken}`,
+    'Content-Type': 'application/json'
+  };
+}
@@ -0,0 +1,125 @@
+/**
+ * Command History
+ * Undo/redo stacks for dashboard edits
+ *
+ * Commands are plain, JSON-serializable objects ({ type, label, ...payload })
+ * describing a change that has already been made. The dashboard supplies an
+ * `apply` function that performs a command forwards (redo) or backwards (undo).
+ * Both stacks are kept in sessionStorage so history survives a page reload
+ * for the rest of the browser session.
+ */
+
+const DEFAULT_LIMIT = 50;
+
+export class CommandHistory {
+  /**
+   * @param {Object} options
+   * @param {string} options.storageKey - sessionStorage key for the stacks
+   * @param {Function} options.apply - (command, isUndo) => boolean; false if the command no longer applies
+   * @param {number} [options.limit] - Maximum number of commands kept for undo
+   */
+  constructor({ storageKey, apply, limit = DEFAULT_LIMIT }) {
+    this.storageKey = storageKey;
+    this.apply = apply;
+    this.limit = limit;
+    this.undoStack = [];
+    this.redoStack = [];
+    this.load();
+  }
+
+  get canUndo() {
+    return this.undoStack.length > 0;
+  }
+
+  get canRedo() {
+    return this.redoStack.length > 0;
+  }
+
+  /**
+   * Record a change that has just been made. Clears the redo stack.
+   * @param {Object} command - { type, label, ...payload }
+   */
+  record(command) {
+    this.undoStack.push(command);
+    if (this.undoStack.length > this.limit) {
+      this.undoStack.shift();
+    }
+    this.redoStack = [];
+    this.save();
+  }
+
+  /**
+   * Undo the most recent command
+   * @returns {Object|null} The command undone, or null if there was nothing to undo
+   */
+  undo() {
+    return this.step(this.undoStack, this.redoStack, true);
+  }
+
+  /**
+   * Redo the most recently undone command
+   * @returns {Object|null} The command redone, or null if there was nothing to redo
+   */
+  redo() {
+    return this.step(this.redoStack, this.undoStack, false);
+  }
+
+  /**
+   * Forget all history
+   */
+  clear() {
+    this.undoStack = [];
+    this.redoStack = [];
+    this.save();
+  }
+
+  // Apply the top command of one stack and move it to the other.
+  // Commands that no longer apply (e.g. their widget was removed elsewhere) are dropped.
+  step(from, to, isUndo) {
+    while (from.length > 0) {
+      const command = from.pop();
+      let applied = false;
+      try {
+        applied = this.apply(command, isUndo);
+      } catch (e) {
+        console.error('[CommandHistory] Error applying command:', command.type, e);
+      }
+      if (applied) {
+        to.push(command);
+        this.save();
+        return command;
+      }
+      console.warn('[CommandHistory] Dropped command that no longer applies:', command.type);
+    }
+    this.save();
+    return null;
+  }
+
+  load() {
+    try {
+      const stored = JSON.parse(sessionStorage.getItem(this.storageKey));
+      if (Array.isArray(stored?.undo) && Array.isArray(stored?.redo)) {
+        this.undoStack = stored.undo;
+        this.redoStack = stored.redo;
+      }
+    } catch (e) {
+      console.error('[CommandHistory] Error loading history:', e);
+    }
+  }
+
+  save() {
+    try {
+      sessionStorage.setItem(this.storageKey, JSON.stringify({
+        undo: this.undoStack,
+        redo: this.redoStack
+      }));
+    } catch (e) {
+      // History is a convenience - if it doesn't fit, drop the oldest half and try again
+      console.warn('[CommandHistory] Error saving history:', e);
+      if (this.undoStack.length > 1) {
+        this.undoStack = this.undoStack.slice(Math.floor(this.undoStack.length / 2));
+        this.save();
+      }
+    }
+  }
+}
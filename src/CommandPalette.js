@@ -0,0 +1,225 @@
+/**
+ * Command Palette
+ * Ctrl+K search over dashboard actions and widget content
+ *
+ * Items are plain objects supplied by the dashboard each time the palette opens:
+ *   { title, detail, icon, group: 'command' | 'content', run }
+ * `title` and `detail` are fuzzy-matched against the query; `run` is called
+ * after the palette closes.
+ */
+
+import { trapFocus } from './FocusTrap.js';
+import { escapeHtml } from './HtmlEscape.js';
+
+// Most results shown at once
+const MAX_RESULTS = 50;
+
+const GROUP_LABELS = {
+  command: 'Commands',
+  content: 'Content'
+};
+
+/**
+ * Fuzzy-match a query against text. Every query character must appear in order;
+ * matches at word starts and runs of consecutive characters score higher.
+ * @param {string} query - Lowercase search text without spaces
+ * @param {string} text - Text to search
+ * @returns {{ score: number, indices: Array<number> }|null} Null if the text doesn't match
+ */
+export function fuzzyMatch(query, text) {
+  const lower = text.toLowerCase();
+  const indices = [];
+  let score = 0;
+  let from = 0;
+
+  for (const char of query) {
+    const idx = lower.indexOf(char, from);
+    if (idx < 0) return null;
+
+    const previous = indices[indices.length - 1];
+    if (previous === idx - 1) {
+      score += 5; // Consecutive characters
+    } else if (idx === 0 || /[\s\-_/.#:]/.test(lower[idx - 1])) {
+      score += 8; // Start of a word
+    } else {
+      score += 1;
+    }
+    score -= Math.min(idx - from, 10) * 0.1; // Small penalty for gaps
+
+    indices.push(idx);
+    from = idx + 1;
+  }
+
+  // Prefer shorter texts for equally good matches
+  return { score: score - text.length * 0.01, indices };
+}
+
+export class CommandPalette {
+  /**
+   * @param {Object} options
+   * @param {Function} options.getItems - Returns the items to search when the palette opens
+   */
+  constructor({ getItems }) {
+    this.getItems = getItems;
+    this.items = [];
+    this.results = [];
+    this.selected = 0;
+    this.overlay = null;
+  }
+
+  get isOpen() {
+    return this.overlay !== null;
+  }
+
+  open() {
+    if (this.isOpen) {
+      this.input.select();
+      return;
+    }
+
+    this.items = this.getItems();
+    this.overlay = document.createElement('div');
+    this.overlay.className = 'command-palette-overlay';
+    this.overlay.innerHTML = `
+      <div class="command-palette" role="dialog" aria-modal="true" aria-label="Command palette">
+        <input type="text" class="command-palette-input" placeholder="Search commands and content..."
+          role="combobox" aria-expanded="true" aria-controls="commandPaletteResults" aria-autocomplete="list">
+        <ul class="command-palette-results" id="commandPaletteResults" role="listbox" aria-label="Results"></ul>
+      </div>
+    `;
+    document.body.appendChild(this.overlay);
+
+    this.input = this.overlay.querySelector('.command-palette-input');
+    this.list = this.overlay.querySelector('.command-palette-results');
+
+    this.input.addEventListener('input', () => this.search());
+    this.input.addEventListener('keydown', (e) => this.handleKeydown(e));
+    this.overlay.addEventListener('click', (e) => {
+      if (e.target === this.overlay) this.close();
+    });
+    this.list.addEventListener('click', (e) => {
+      const option = e.target.closest('[role="option"]');
+      if (option) this.runResult(Number(option.dataset.index));
+    });
+
+    trapFocus(this.overlay, { onEscape: () => this.close(), initialFocus: this.input });
+    this.search();
+  }
+
+  close() {
+    this.overlay?.remove();
+    this.overlay = null;
+    this.items = [];
+    this.results = [];
+  }
+
+  toggle() {
+    if (this.isOpen) {
+      this.close();
+    } else {
+      this.open();
+    }
+  }
+
+  // Filter and rank items for the current query
+  search() {
+    const query = this.input.value.toLowerCase().replace(/\s+/g, '');
+
+    if (!query) {
+      // Without a query, show commands first, then content
+      this.results = this.items
+        .map(item => ({ item, indices: [] }))
+        .sort((a, b) => (a.item.group === 'command' ? 0 : 1) - (b.item.group === 'command' ? 0 : 1));
+    } else {
+      this.results = this.items
+        .map(item => {
+          const titleMatch = fuzzyMatch(query, item.title);
+          const detailMatch = item.detail ? fuzzyMatch(query, item.detail) : null;
+          if (!titleMatch && !detailMatch) return null;
+          // Matches in the title count for more than matches in the detail text
+          const score = Math.max(titleMatch ? titleMatch.score * 2 : -Infinity, detailMatch ? detailMatch.score : -Infinity);
+          return { item, score, indices: titleMatch?.indices ?? [] };
+        })
+        .filter(Boolean)
+        .sort((a, b) => b.score - a.score);
+    }
+
+    this.results = this.results.slice(0, MAX_RESULTS);
+    this.selected = 0;
+    this.render();
+  }
+
+  render() {
+    if (this.results.length === 0) {
+      this.list.innerHTML = '<li class="command-palette-empty">No matches</li>';
+      this.input.removeAttribute('aria-activedescendant');
+      return;
+    }
+
+    let html = '';
+    let group = null;
+    this.results.forEach(({ item, indices }, index) => {
+      if (item.group !== group) {
+        group = item.group;
+        html += `<li class="command-palette-group" role="presentation">${GROUP_LABELS[group] || ''}</li>`;
+      }
+      html += `
+        <li class="command-palette-option" role="option" id="commandPaletteOption${index}" data-index="${index}"
+          aria-selected="${index === this.selected}">
+          <span class="command-palette-icon" aria-hidden="true">${escapeHtml(item.icon || '')}</span>
+          <span class="command-palette-text">
+            <span class="command-palette-title">${highlight(item.title, indices)}</span>
+            ${item.detail ? `<span class="command-palette-detail">${escapeHtml(truncate(item.detail, 120))}</span>` : ''}
+          </span>
+        </li>
+      `;
+    });
+    this.list.innerHTML = html;
+    this.updateSelection();
+  }
+
+  updateSelection() {
+    this.list.querySelectorAll('[role="option"]').forEach(option => {
+      option.setAttribute('aria-selected', String(Number(option.dataset.index) === this.selected));
+    });
+    const selected = this.list.querySelector(`#commandPaletteOption${this.selected}`);
+    if (selected) {
+      this.input.setAttribute('aria-activedescendant', selected.id);
+      selected.scrollIntoView?.({ block: 'nearest' });
+    }
+  }
+
+  handleKeydown(e) {
+    if (e.key === 'ArrowDown' || e.key === 'ArrowUp') {
+      e.preventDefault();
+      if (this.results.length === 0) return;
+      const step = e.key === 'ArrowDown' ? 1 : -1;
+      this.selected = (this.selected + step + this.results.length) % this.results.length;
+      this.updateSelection();
+    } else if (e.key === 'Enter') {
+      e.preventDefault();
+      this.runResult(this.selected);
+    }
+  }
+
+  runResult(index) {
+    const result = this.results[index];
+    if (!result) return;
+    this.close();
+    try {
+      result.item.run();
+    } catch (err) {
+      console.error('[CommandPalette] Error running command:', result.item.title, err);
+    }
+  }
+}
+
+// Wrap matched characters in <mark>
+function highlight(text, indices) {
+  const matched = new Set(indices);
+  return [...text].map((char, i) => (matched.has(i) ? `<mark>${escapeHtml(char)}</mark>` : escapeHtml(char))).join('');
+}
+
+function truncate(text, length) {
+  return text.length > length ? `${text.slice(0, length - 1)}…` : text;
+}
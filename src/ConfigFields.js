@@ -0,0 +1,753 @@
+/**
+ * Config Fields
+ * Renders widget config schemas as form fields, reads the values back and
+ * checks saved values against their field definitions
+ *
+ * Fields are rendered as HTML strings (like the rest of the config dialog) and
+ * wired up by a ConfigForm once they are in the DOM. Values are read back by
+ * walking the rendered structure, so object and list fields can be nested to
+ * any depth. See WidgetBase.getConfigSchema() for the supported field types,
+ * validation rules and conditional fields.
+ */
+
+import { escapeHtml } from './HtmlEscape.js';
+
+// Input types for the date and time fields
+const DATE_INPUT_TYPES = {
+  date: 'date',
+  time: 'time',
+  datetime: 'datetime-local'
+};
+
+// Formats accepted for saved date and time values (as produced by the inputs above)
+const DATE_PATTERNS = {
+  date: /^\d{4}-\d{2}-\d{2}$/,
+  time: /^\d{2}:\d{2}(:\d{2})?$/,
+  datetime: /^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}(:\d{2})?$/
+};
+
+// URL schemes allowed by default in url fields
+const DEFAULT_URL_PROTOCOLS = ['http:', 'https:'];
+
+// Field types whose min/max limit their length rather than their value
+const TEXT_TYPES = ['string', 'text', 'secret', 'url'];
+
+// Wait this long after typing stops before running a field's async validator
+const ASYNC_VALIDATION_DELAY_MS = 400;
+
+// Async validators that take longer than this are treated as passing, so they can't block saving
+const ASYNC_VALIDATION_TIMEOUT_MS = 8000;
+
+/**
+ * Render form fields for a config schema.
+ * @param {Array<Object>} schema - Field definitions
+ * @param {Object} data - Current values, by field key
+ * @returns {string} HTML for a .widget-config-fields container
+ */
+export function renderConfigFields(schema, data) {
+  return `
+    <div class="widget-config-fields">
+      ${schema.map(field => renderField(field, data?.[field.key] ?? getDefault(field))).join('')}
+    </div>
+  `;
+}
+
+/**
+ * Read field values back from rendered fields. Empty number fields read as their default.
+ * @param {HTMLElement} container - The .widget-config-fields element rendered for `schema`
+ * @param {Array<Object>} schema - Field definitions
+ * @returns {Object} Values by field key
+ */
+export function readConfigFields(container, schema) {
+  return readFields(container, schema, false);
+}
+
+/**
+ * Behavior and validation for rendered config fields: list add/remove buttons,
+ * slider values, secret show/hide toggles, conditional fields (visibleWhen) and
+ * inline errors.
+ *
+ * Errors show as soon as a field is changed, and straight away for saved values
+ * that are invalid. Empty required fields don't show an error until they have
+ * been touched, but still make the form invalid.
+ */
+export class ConfigForm {
+  /**
+   * @param {HTMLElement} container - The .widget-config-fields element rendered for `schema`
+   * @param {Array<Object>} schema - Field definitions
+   * @param {Object} [options]
+   * @param {Function} [options.onValidityChange] - Called with true or false when the form's validity changes
+   * @param {Function} [options.onChange] - Called after the user changes a field
+   */
+  constructor(container, schema, { onValidityChange, onChange } = {}) {
+    this.container = container;
+    this.schema = schema;
+    this.onValidityChange = onValidityChange;
+    this.onChange = onChange;
+    this.errors = new Map();       // Field element -> error message
+    this.touched = new WeakSet();  // Field elements the user has changed
+    this.pending = new Map();      // Field element -> { key, timer, promise } for running async validators
+    this.asyncResults = new WeakMap(); // Field element -> { key, error } from its last async validation
+    this.valid = null;
+
+    container.addEventListener('click', (e) => this.handleClick(e));
+    container.addEventListener('input', (e) => this.handleInput(e));
+    container.addEventListener('change', (e) => this.handleInput(e));
+
+    this.update({ showSavedErrors: true });
+  }
+
+  /**
+   * Whether every visible field is valid and no async validation is still running.
+   * @returns {boolean}
+   */
+  get isValid() {
+    return this.errors.size === 0 && this.pending.size === 0;
+  }
+
+  /**
+   * Whether any visible field has an error. Unlike isValid, async checks that are
+   * still running don't count.
+   * @returns {boolean}
+   */
+  get hasErrors() {
+    return this.errors.size > 0;
+  }
+
+  /**
+   * Current values, by field key.
+   * @returns {Object}
+   */
+  getValues() {
+    return readConfigFields(this.container, this.schema);
+  }
+
+  /**
+   * Show errors for every field (including untouched required fields) and wait for
+   * async validators to finish.
+   * @returns {Promise<boolean>} True if the form is valid
+   */
+  async validate() {
+    this.container.querySelectorAll('.widget-config-field').forEach(el => this.touched.add(el));
+    this.update({ immediate: true });
+    while (this.pending.size > 0) {
+      await Promise.all([...this.pending.values()].map(p => p.promise));
+    }
+    this.container.querySelector('[aria-invalid="true"]')?.focus();
+    return this.isValid;
+  }
+
+  handleClick(e) {
+    const addBtn = e.target.closest('.widget-config-list-add');
+    if (addBtn) {
+      const list = addBtn.closest('.widget-config-list');
+      const template = list.querySelector(':scope > template');
+      const items = list.querySelector(':scope > .widget-config-list-items');
+      items.appendChild(template.content.cloneNode(true));
+      items.lastElementChild.querySelector('input, textarea, select')?.focus();
+      this.touch(list.closest('.widget-config-field'));
+      return;
+    }
+
+    const removeBtn = e.target.closest('.widget-config-list-remove');
+    if (removeBtn) {
+      const list = removeBtn.closest('.widget-config-list');
+      removeBtn.closest('.widget-config-list-item').remove();
+      list.querySelector(':scope > .widget-config-list-add').focus();
+      this.touch(list.closest('.widget-config-field'));
+      return;
+    }
+
+    const toggle = e.target.closest('.widget-config-secret-toggle');
+    if (toggle) {
+      const input = toggle.parentElement.querySelector('input');
+      const reveal = input.type === 'password';
+      input.type = reveal ? 'text' : 'password';
+      toggle.textContent = reveal ? 'Hide' : 'Show';
+      toggle.setAttribute('aria-pressed', String(reveal));
+    }
+  }
+
+  handleInput(e) {
+    if (e.target.type === 'range') {
+      updateSliderOutput(e.target);
+    }
+    this.touch(e.target.closest('.widget-config-field'));
+  }
+
+  touch(fieldEl) {
+    // Changing a sub-field also touches the object or list containing it
+    for (let el = fieldEl; el && this.container.contains(el); el = el.parentElement.closest('.widget-config-field')) {
+      this.touched.add(el);
+    }
+    this.update();
+    this.onChange?.();
+  }
+
+  // Re-check visibility and errors for all fields
+  update({ showSavedErrors = false, immediate = false } = {}) {
+    const checked = new Set();
+    this.updateFields(this.container, this.schema, { showSavedErrors, immediate, checked });
+
+    // Forget fields that were removed or hidden
+    for (const el of [...this.errors.keys()]) {
+      if (!checked.has(el)) this.errors.delete(el);
+    }
+    for (const [el, request] of [...this.pending]) {
+      if (!checked.has(el)) {
+        clearTimeout(request.timer);
+        this.pending.delete(el);
+      }
+    }
+
+    this.notifyValidity();
+  }
+
+  updateFields(container, schema, options) {
+    const values = readFields(container, schema, true);
+    for (const el of getFieldElements(container)) {
+      const field = schema.find(f => f.key === el.dataset.key);
+      if (!field) continue;
+
+      el.hidden = field.visibleWhen ? !field.visibleWhen(values) : false;
+      if (el.hidden) continue;
+      options.checked.add(el);
+      if (field.required) {
+        getOwnControls(el).forEach(control => control.setAttribute('aria-required', 'true'));
+      }
+
+      const value = values[field.key];
+      const error = getFieldError(field, value);
+      if (error) {
+        this.setError(el, error, options.showSavedErrors && !isEmpty(value));
+        clearTimeout(this.pending.get(el)?.timer);
+        this.pending.delete(el);
+      } else if (field.validate) {
+        this.setError(el, '');
+        this.runAsyncValidator(el, field, value, values, options.immediate);
+      } else {
+        this.setError(el, '');
+      }
+
+      if (field.type === 'object') {
+        this.updateFields(el.querySelector(':scope > fieldset > .widget-config-fields'), field.fields, options);
+      } else if (field.type === 'list') {
+        el.querySelectorAll(':scope > .widget-config-list > .widget-config-list-items > .widget-config-list-item').forEach(item => {
+          this.updateFields(item.querySelector(':scope > .widget-config-fields'), field.fields, options);
+        });
+      }
+    }
+  }
+
+  // Run a field's custom validator once typing pauses. Results for older values are ignored.
+  runAsyncValidator(el, field, value, values, immediate) {
+    const key = JSON.stringify(value);
+    if (this.pending.get(el)?.key === key) return;
+    const result = this.asyncResults.get(el);
+    if (result?.key === key) {
+      this.setError(el, result.error);
+      return;
+    }
+
+    clearTimeout(this.pending.get(el)?.timer);
+    const request = { key };
+    request.promise = new Promise(resolve => {
+      request.timer = setTimeout(async () => {
+        let error = '';
+        try {
+          const timeout = new Promise(resolve => setTimeout(resolve, ASYNC_VALIDATION_TIMEOUT_MS, ''));
+          error = (await Promise.race([field.validate(value, values), timeout])) || '';
+        } catch (err) {
+          // A validator that fails (e.g. offline) doesn't block saving
+          console.warn('[ConfigForm] Validator failed for', field.key, err);
+        }
+        if (this.pending.get(el) === request) {
+          this.pending.delete(el);
+          this.asyncResults.set(el, { key, error });
+          this.setError(el, error, true);
+          this.notifyValidity();
+        }
+        resolve();
+      }, immediate ? 0 : ASYNC_VALIDATION_DELAY_MS);
+    });
+    this.pending.set(el, request);
+  }
+
+  // Record a field's error, showing it if the field has been touched (or `show` is set)
+  setError(el, message, show = false) {
+    if (message) {
+      this.errors.set(el, message);
+    } else {
+      this.errors.delete(el);
+    }
+
+    const visible = message && (show || this.touched.has(el) || el.dataset.errorShown === 'true');
+    el.dataset.errorShown = String(!!visible);
+    const errorEl = el.querySelector(':scope > .widget-config-field-error');
+    errorEl.textContent = visible ? message : '';
+    errorEl.hidden = !visible;
+    for (const control of getOwnControls(el)) {
+      control.setAttribute('aria-invalid', String(!!visible));
+    }
+  }
+
+  notifyValidity() {
+    const valid = this.isValid;
+    if (valid !== this.valid) {
+      this.valid = valid;
+      this.onValidityChange?.(valid);
+    }
+  }
+}
+
+/**
+ * Find saved values that don't match their field definitions (wrong type, out of
+ * range, not matching a pattern...), e.g. after the saved data was corrupted.
+ * Missing values are fine: they fall back to the field's default.
+ * @param {Array<Object>} schema - Field definitions
+ * @param {Object} data - Saved config data
+ * @returns {Array<Object>} The fields with invalid values
+ */
+export function findInvalidFields(schema, data) {
+  return schema.filter(field => data?.[field.key] != null && !isValidFieldValue(field, data[field.key]));
+}
+
+/**
+ * Check a saved value against its field definition.
+ * @param {Object} field - Field definition
+ * @param {*} value - Saved value
+ * @returns {boolean} True if the value can be used for the field
+ */
+export function isValidFieldValue(field, value) {
+  return hasValidType(field, value) && (isEmpty(value) || getConstraintError(field, value) === '');
+}
+
+// Check that a saved value has the right type (and format) for its field
+function hasValidType(field, value) {
+  switch (field.type) {
+    case 'string':
+    case 'text':
+    case 'secret':
+    case 'url':
+      return typeof value === 'string';
+    case 'color':
+      return typeof value === 'string' && /^#[0-9a-f]{6}$/i.test(value);
+    case 'date':
+    case 'time':
+    case 'datetime':
+      return typeof value === 'string' && (value === '' || DATE_PATTERNS[field.type].test(value));
+    case 'number':
+      return typeof value === 'number' && Number.isFinite(value);
+    case 'slider':
+      return typeof value === 'number' && Number.isFinite(value) &&
+        value >= (field.min ?? 0) && value <= (field.max ?? 100);
+    case 'boolean':
+      return typeof value === 'boolean';
+    case 'select':
+      return getOptionValues(field).includes(value);
+    case 'multiselect':
+      return Array.isArray(value) && value.every(v => getOptionValues(field).includes(v));
+    case 'object':
+      return isPlainObject(value) && isValidFieldValues(field.fields, value);
+    case 'list':
+      return Array.isArray(value) && value.every(item => isPlainObject(item) && isValidFieldValues(field.fields, item));
+    default:
+      return true;
+  }
+}
+
+/**
+ * Remove secret field values (and secrets in nested objects and lists) from config data.
+ * @param {Array<Object>} schema - Field definitions
+ * @param {Object} data - Config data
+ * @returns {Object} Copy of `data` without secrets
+ */
+export function stripSecrets(schema, data) {
+  const clean = { ...data };
+  for (const field of schema) {
+    const value = clean[field.key];
+    if (field.type === 'secret') {
+      delete clean[field.key];
+    } else if (field.type === 'object' && isPlainObject(value)) {
+      clean[field.key] = stripSecrets(field.fields, value);
+    } else if (field.type === 'list' && Array.isArray(value)) {
+      clean[field.key] = value.map(item => (isPlainObject(item) ? stripSecrets(field.fields, item) : item));
+    }
+  }
+  return clean;
+}
+
+/**
+ * The fields of a schema that are secret or contain secrets, without anything
+ * else. Saved with the data of widgets whose schema may not be available on every
+ * machine, so stripSecrets() and restoreSecrets() still work there.
+ * @param {Array<Object>} schema - Field definitions
+ * @returns {Array<Object>} { key, type } of secret fields, and { key, type, fields } of
+ *   object and list fields holding them
+ */
+export function getSecretFields(schema) {
+  return schema.flatMap(field => {
+    if (field.type === 'secret') return [{ key: field.key, type: field.type }];
+    if ((field.type === 'object' || field.type === 'list') && Array.isArray(field.fields)) {
+      const fields = getSecretFields(field.fields);
+      return fields.length > 0 ? [{ key: field.key, type: field.type, fields }] : [];
+    }
+    return [];
+  });
+}
+
+/**
+ * Put secret field values back into config data that came without them (see stripSecrets()).
+ * List items are matched by position.
+ * @param {Array<Object>} schema - Field definitions
+ * @param {Object} data - Config data without secrets
+ * @param {Object} source - Config data to take the secrets from
+ * @returns {Object} Copy of `data` with the secrets of `source`
+ */
+export function restoreSecrets(schema, data, source) {
+  if (!isPlainObject(source)) return data;
+  const restored = { ...data };
+  for (const field of schema) {
+    const value = restored[field.key];
+    const sourceValue = source[field.key];
+    if (field.type === 'secret') {
+      if (sourceValue !== undefined) restored[field.key] = sourceValue;
+    } else if (field.type === 'object' && isPlainObject(value)) {
+      restored[field.key] = restoreSecrets(field.fields, value, sourceValue);
+    } else if (field.type === 'list' && Array.isArray(value) && Array.isArray(sourceValue)) {
+      restored[field.key] = value.map((item, i) => (isPlainObject(item) ? restoreSecrets(field.fields, item, sourceValue[i]) : item));
+    }
+  }
+  return restored;
+}
+
+// ============================================================================
+// Rendering
+// ============================================================================
+
+// Value used for a field that has no saved value
+function getDefault(field) {
+  if (field.default !== undefined) return structuredClone(field.default);
+  switch (field.type) {
+    case 'number': return 0;
+    case 'slider': return field.min ?? 0;
+    case 'boolean': return false;
+    case 'color': return '#000000';
+    case 'multiselect':
+    case 'list': return [];
+    case 'object': return Object.fromEntries(field.fields.map(sub => [sub.key, getDefault(sub)]));
+    default: return '';
+  }
+}
+
+// Render one field, wrapped so it can be found again by key when reading values
+function renderField(field, value) {
+  return `
+    <div class="widget-config-field" data-key="${escapeHtml(field.key)}" data-type="${field.type}">
+      ${renderControl(field, value)}
+      <span class="widget-config-field-error" role="alert" hidden></span>
+    </div>
+  `;
+}
+
+function renderControl(field, value) {
+  const required = field.required ? ' <span class="widget-config-required" title="Required">*</span>' : '';
+  const label = escapeHtml(field.label) + required;
+
+  switch (field.type) {
+    case 'string':
+      return `
+        <label>
+          <span>${label}</span>
+          <input type="text" value="${escapeHtml(value ?? '')}">
+        </label>
+      `;
+
+    case 'text':
+      return `
+        <label>
+          <span>${label}</span>
+          <textarea>${escapeHtml(value ?? '')}</textarea>
+        </label>
+      `;
+
+    case 'number':
+      return `
+        <label>
+          <span>${label}</span>
+          <input type="number" value="${Number(value) || 0}"${renderRangeAttributes(field)}>
+        </label>
+      `;
+
+    case 'slider': {
+      const unit = field.unit ? ` ${escapeHtml(field.unit)}` : '';
+      return `
+        <label>
+          <span>${label}</span>
+          <span class="widget-config-slider">
+            <input type="range" value="${Number(value) || 0}" min="${field.min ?? 0}" max="${field.max ?? 100}" step="${field.step ?? 1}"
+              data-unit="${escapeHtml(field.unit || '')}">
+            <output>${Number(value) || 0}${unit}</output>
+          </span>
+        </label>
+      `;
+    }
+
+    case 'boolean':
+      return `
+        <label class="checkbox-label">
+          <input type="checkbox" ${value ? 'checked' : ''}>
+          <span>${label}</span>
+        </label>
+      `;
+
+    case 'color':
+      return `
+        <label>
+          <span>${label}</span>
+          <input type="color" value="${escapeHtml(value || '#000000')}">
+        </label>
+      `;
+
+    case 'url':
+      return `
+        <label>
+          <span>${label}</span>
+          <input type="url" value="${escapeHtml(value ?? '')}" placeholder="${escapeHtml(field.placeholder || 'https://')}">
+        </label>
+      `;
+
+    case 'date':
+    case 'time':
+    case 'datetime':
+      return `
+        <label>
+          <span>${label}</span>
+          <input type="${DATE_INPUT_TYPES[field.type]}" value="${escapeHtml(value ?? '')}">
+        </label>
+      `;
+
+    case 'secret':
+      // Masked by default; the value is kept out of layout exports
+      return `
+        <label>
+          <span>${label}</span>
+          <span class="widget-config-secret">
+            <input type="password" value="${escapeHtml(value ?? '')}" autocomplete="off" spellcheck="false">
+            <button type="button" class="widget-config-secret-toggle" aria-pressed="false" aria-label="Show ${escapeHtml(field.label)}">Show</button>
+          </span>
+        </label>
+      `;
+
+    case 'select':
+      return `
+        <label>
+          <span>${label}</span>
+          <select>
+            ${field.options.map((opt, index) => {
+              const { value: optValue, label: optLabel } = normalizeOption(opt);
+              return `<option value="${index}" ${value === optValue ? 'selected' : ''}>${escapeHtml(optLabel)}</option>`;
+            }).join('')}
+          </select>
+        </label>
+      `;
+
+    case 'multiselect': {
+      const selected = Array.isArray(value) ? value : [];
+      return `
+        <fieldset class="widget-config-multiselect">
+          <legend>${label}</legend>
+          ${field.options.map((opt, index) => {
+            const { value: optValue, label: optLabel } = normalizeOption(opt);
+            return `
+              <label class="checkbox-label">
+                <input type="checkbox" data-index="${index}" ${selected.includes(optValue) ? 'checked' : ''}>
+                <span>${escapeHtml(optLabel)}</span>
+              </label>
+            `;
+          }).join('')}
+        </fieldset>
+      `;
+    }
+
+    case 'object':
+      return `
+        <fieldset class="widget-config-object">
+          <legend>${label}</legend>
+          ${renderConfigFields(field.fields, value)}
+        </fieldset>
+      `;
+
+    case 'list':
+      return `
+        <div class="widget-config-list">
+          <span class="widget-config-list-label">${label}</span>
+          <div class="widget-config-list-items">
+            ${(Array.isArray(value) ? value : []).map(item => renderListItem(field, item)).join('')}
+          </div>
+          <template>${renderListItem(field, {})}</template>
+          <button type="button" class="widget-config-list-add">+ Add ${escapeHtml(field.itemLabel || 'Item')}</button>
+        </div>
+      `;
+
+    default:
+      return '';
+  }
+}
+
+// Render a single list item; each sub-field uses its own type
+function renderListItem(field, item) {
+  const itemLabel = escapeHtml(field.itemLabel || 'item');
+  return `
+    <div class="widget-config-list-item">
+      ${renderConfigFields(field.fields, item)}
+      <button type="button" class="widget-config-list-remove" title="Remove ${itemLabel}" aria-label="Remove ${itemLabel}">✕</button>
+    </div>
+  `;
+}
+
+function renderRangeAttributes(field) {
+  return ['min', 'max', 'step']
+    .filter(attr => field[attr] != null)
+    .map(attr => ` ${attr}="${field[attr]}"`)
+    .join('');
+}
+
+function updateSliderOutput(input) {
+  const unit = input.dataset.unit ? ` ${input.dataset.unit}` : '';
+  input.parentElement.querySelector('output').textContent = `${input.value}${unit}`;
+}
+
+// ============================================================================
+// Reading and validation
+// ============================================================================
+
+// Read the values of the fields directly inside a .widget-config-fields container.
+// Raw values keep empty number fields as null (for validation) instead of using their default.
+function readFields(container, schema, raw) {
+  const values = {};
+  const fieldEls = getFieldElements(container);
+  for (const field of schema) {
+    const el = fieldEls.find(fieldEl => fieldEl.dataset.key === field.key);
+    if (el) {
+      values[field.key] = readField(el, field, raw);
+    }
+  }
+  return values;
+}
+
+function readField(el, field, raw) {
+  switch (field.type) {
+    case 'number':
+    case 'slider': {
+      const value = parseFloat(el.querySelector('input').value);
+      if (Number.isFinite(value)) return value;
+      return raw ? null : getDefault(field);
+    }
+    case 'boolean':
+      return el.querySelector('input').checked;
+    case 'url':
+      return el.querySelector('input').value.trim();
+    case 'select': {
+      const option = field.options[Number(el.querySelector('select').value)];
+      return option === undefined ? getDefault(field) : normalizeOption(option).value;
+    }
+    case 'multiselect':
+      return [...el.querySelectorAll('input[type="checkbox"]:checked')]
+        .map(input => normalizeOption(field.options[Number(input.dataset.index)]).value);
+    case 'object':
+      return readFields(el.querySelector(':scope > fieldset > .widget-config-fields'), field.fields, raw);
+    case 'list':
+      return [...el.querySelectorAll(':scope > .widget-config-list > .widget-config-list-items > .widget-config-list-item')]
+        .map(item => readFields(item.querySelector(':scope > .widget-config-fields'), field.fields, raw));
+    default:
+      return el.querySelector('input, textarea')?.value ?? '';
+  }
+}
+
+function getFieldElements(container) {
+  return [...container.children].filter(el => el.classList.contains('widget-config-field'));
+}
+
+// Inputs belonging to a field itself, not to the sub-fields of an object or list
+function getOwnControls(fieldEl) {
+  return [...fieldEl.querySelectorAll('input, textarea, select')]
+    .filter(control => control.closest('.widget-config-field') === fieldEl);
+}
+
+// Error message for a value entered in the form, or '' if it is valid
+function getFieldError(field, value) {
+  if (isEmpty(value)) {
+    if (!field.required) return '';
+    return field.type === 'list' || field.type === 'multiselect' ? 'Choose at least one' : 'Required';
+  }
+  return getConstraintError(field, value);
+}
+
+// Error message for a value that breaks its field's rules (format, min/max, pattern), or ''
+function getConstraintError(field, value) {
+  if (field.type === 'url') {
+    const error = getUrlError(value, field);
+    if (error) return error;
+  }
+
+  if (field.type === 'number' || field.type === 'slider') {
+    if (field.min != null && value < field.min) return `Must be at least ${field.min}`;
+    if (field.max != null && value > field.max) return `Must be at most ${field.max}`;
+    if (field.step != null) {
+      const steps = (value - (field.min ?? 0)) / field.step;
+      if (Math.abs(steps - Math.round(steps)) > 1e-9) {
+        return field.step === 1 ? 'Must be a whole number' : `Must be in steps of ${field.step}`;
+      }
+    }
+  } else if (TEXT_TYPES.includes(field.type)) {
+    if (field.min != null && value.length < field.min) return `Must be at least ${field.min} characters`;
+    if (field.max != null && value.length > field.max) return `Must be at most ${field.max} characters`;
+  } else if (field.type === 'list' || field.type === 'multiselect') {
+    if (field.min != null && value.length < field.min) return `Choose at least ${field.min}`;
+    if (field.max != null && value.length > field.max) return `Choose at most ${field.max}`;
+  }
+
+  if (field.pattern != null && typeof value === 'string' && !new RegExp(field.pattern).test(value)) {
+    return field.patternMessage || 'Invalid format';
+  }
+
+  return '';
+}
+
+function isEmpty(value) {
+  return value == null || value === '' || (Array.isArray(value) && value.length === 0);
+}
+
+// Error message for a URL value, or '' if it is valid (empty values are allowed)
+function getUrlError(value, field) {
+  if (value === '') return '';
+  const protocols = field.protocols || DEFAULT_URL_PROTOCOLS;
+  let url;
+  try {
+    url = new URL(value);
+  } catch {
+    return 'Enter a full URL, e.g. https://example.com';
+  }
+  if (!protocols.includes(url.protocol)) {
+    return `URL must start with ${protocols.map(p => `${p}//`).join(' or ')}`;
+  }
+  return '';
+}
+
+function isValidFieldValues(schema, values) {
+  return schema.every(field => values[field.key] == null || isValidFieldValue(field, values[field.key]));
+}
+
+function getOptionValues(field) {
+  return field.options.map(opt => normalizeOption(opt).value);
+}
+
+// Options can be plain values or { value, label } objects
+function normalizeOption(opt) {
+  return typeof opt === 'object' && opt !== null ? opt : { value: opt, label: opt };
+}
+
+function isPlainObject(value) {
+  return !!value && typeof value === 'object' && !Array.isArray(value);
+}
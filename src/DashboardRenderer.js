@@ -0,0 +1,114 @@
+/**
+ * Dashboard Renderer
+ * Keeps the dashboard's widget elements in step with the widget list without rebuilding it.
+ *
+ * Elements are keyed by widget ID. On each render:
+ * - widgets that were already rendered keep their element and are only repositioned,
+ *   so timers, fetches, focus and scroll positions survive moves and resizes
+ * - new widgets (or new instances for an existing ID, e.g. after undo) get a new element
+ * - widgets that are no longer in the list have their element removed and destroy() called
+ *
+ * Widgets whose content needs to change (e.g. new settings) are re-created with rerender().
+ */
+
+export class DashboardRenderer {
+  /**
+   * @param {HTMLElement} container - Element the widgets are rendered into
+   * @param {Object} options
+   * @param {Function} options.createElement - (widget, rect) => HTMLElement for a new widget
+   * @param {Function} options.updateElement - (widget, element, rect) => void for a kept widget
+   * @param {Function} [options.removeElement] - (widget, element) => void after an element is removed
+   * @param {string} options.emptyHtml - Shown when there are no widgets
+   */
+  constructor(container, { createElement, updateElement, removeElement = () => {}, emptyHtml }) {
+    this.container = container;
+    this.createElement = createElement;
+    this.updateElement = updateElement;
+    this.removeElement = removeElement;
+    this.emptyHtml = emptyHtml;
+    this.rendered = new Map(); // widget ID -> { widget, element, rect }
+    // Counts from the last render(), for debugging and benchmarks
+    this.lastStats = { created: 0, updated: 0, removed: 0 };
+  }
+
+  /**
+   * Bring the container in line with a list of widgets
+   * @param {Array<WidgetBase>} widgets - Widgets in display order
+   * @param {Array<Object>} layout - Rect for each widget, in the same order
+   * @returns {{ created: number, updated: number, removed: number }} What changed
+   */
+  render(widgets, layout) {
+    const stats = { created: 0, updated: 0, removed: 0 };
+    const next = new Map();
+
+    widgets.forEach((widget, i) => {
+      const rect = layout[i];
+      const entry = this.rendered.get(widget.id);
+      if (entry?.widget === widget) {
+        this.updateElement(widget, entry.element, rect);
+        next.set(widget.id, { widget, element: entry.element, rect });
+        stats.updated++;
+      } else {
+        next.set(widget.id, { widget, element: this.createElement(widget, rect), rect });
+        stats.created++;
+      }
+    });
+
+    for (const [id, entry] of this.rendered) {
+      if (next.get(id)?.widget === entry.widget) continue;
+      entry.element.remove();
+      destroyWidget(entry.widget);
+      this.removeElement(entry.widget, entry.element);
+      stats.removed++;
+    }
+    this.rendered = next;
+
+    const empty = this.container.querySelector(':scope > .dashboard-empty');
+    if (widgets.length === 0) {
+      if (!empty) this.container.insertAdjacentHTML('afterbegin', this.emptyHtml);
+    } else {
+      empty?.remove();
+      this.placeInOrder();
+    }
+
+    this.lastStats = stats;
+    return stats;
+  }
+
+  /**
+   * Re-create one widget's element in place (e.g. after its settings changed)
+   * @param {WidgetBase} widget - A widget from the last render()
+   */
+  rerender(widget) {
+    const entry = this.rendered.get(widget.id);
+    if (entry?.widget !== widget) return;
+
+    destroyWidget(widget);
+    this.removeElement(widget, entry.element);
+    const element = this.createElement(widget, entry.rect);
+    entry.element.replaceWith(element);
+    entry.element = element;
+  }
+
+  // Keep elements in widget order (the order screen readers and Tab follow), moving
+  // only those that are out of place so focused elements usually stay put
+  placeInOrder() {
+    let cursor = this.container.firstElementChild;
+    for (const { element } of this.rendered.values()) {
+      if (element === cursor) {
+        cursor = cursor.nextElementSibling;
+      } else {
+        this.container.insertBefore(element, cursor);
+      }
+    }
+  }
+}
+
+// A widget that fails to clean up mustn't stop the rest of the dashboard rendering
+function destroyWidget(widget) {
+  try {
+    widget.destroy();
+  } catch (err) {
+    console.error(`[DashboardRenderer] Error destroying widget ${widget.id}:`, err);
+  }
+}
@@ -0,0 +1,305 @@
+/**
+ * Data Service
+ * Shared data fetching for widgets that show data from an API.
+ *
+ * A widget describes what it shows as a DataSource: a cache key for its current
+ * settings plus a function that fetches the data. Sources then:
+ * - cache results by key in localStorage, so widgets with the same settings
+ *   (and reloads of the page) reuse them until they are older than `ttl`
+ * - de-duplicate requests: widgets asking for the same key at the same time share
+ *   one request, and other tabs reuse it through the TabCoordinator
+ * - retry failed requests with exponential backoff, unless the error is marked
+ *   `retryable = false` (see responseError())
+ * - keep showing the last result while refreshing or after a failed refresh
+ *   (stale-while-revalidate)
+ * - don't fetch while the browser is offline, and refresh when it's back online
+ *
+ * WidgetBase.createDataSource() ties a source to the widget's visibility and
+ * rendering, and WidgetBase.renderDataState() renders the standard
+ * loading / error / empty states.
+ */
+
+import { LocalStore } from './Storage.js';
+import { tabCoordinator } from './TabCoordinator.js';
+
+const CACHE_KEY_PREFIX = 'hellodev-data:';
+const CACHE_INDEX_KEY = 'hellodev-data-index';
+
+// Least recently fetched entries are dropped beyond this
+const MAX_CACHE_ENTRIES = 30;
+
+// Retries after the first attempt, waiting 1s, 2s, 4s, ... (at most MAX_RETRY_DELAY_MS)
+const DEFAULT_RETRIES = 3;
+const RETRY_BASE_DELAY_MS = 1000;
+const MAX_RETRY_DELAY_MS = 30 * 1000;
+
+// How often active sources check whether their data has gone stale
+const STALE_CHECK_MS = 60 * 1000;
+
+// Active sources, told when the browser goes offline or comes back
+const activeSources = new Set();
+
+// Requests in progress in this tab, by key
+const inFlight = new Map();
+
+globalThis.addEventListener?.('online', () => activeSources.forEach(source => source.handleOnline()));
+globalThis.addEventListener?.('offline', () => activeSources.forEach(source => source.notify()));
+
+/**
+ * @returns {boolean} False if the browser knows it has no network connection
+ */
+export function isOnline() {
+  return globalThis.navigator?.onLine !== false;
+}
+
+/**
+ * Build an error for a failed HTTP response. Client errors (other than 429
+ * Too Many Requests) aren't retried, since asking again won't help.
+ * @param {Response} response
+ * @param {string} [message] - Message to show instead of the status code
+ * @returns {Error} Error with `status` and `retryable` set
+ */
+export function responseError(response, message = `Request failed: ${response.status}`) {
+  const error = new Error(message);
+  error.status = response.status;
+  error.retryable = response.status === 429 || response.status >= 500;
+  return error;
+}
+
+/**
+ * Read a cached result
+ * @param {string} key
+ * @returns {{ value: *, time: number }|null}
+ */
+export function getCachedData(key) {
+  const entry = LocalStore.get(CACHE_KEY_PREFIX + key);
+  return entry && typeof entry.time === 'number' ? entry : null;
+}
+
+/**
+ * Save a result to the cache, dropping the oldest entries beyond MAX_CACHE_ENTRIES
+ * @param {string} key
+ * @param {{ value: *, time: number }} entry
+ */
+export function setCachedData(key, entry) {
+  LocalStore.set(CACHE_KEY_PREFIX + key, entry);
+
+  const index = { ...LocalStore.get(CACHE_INDEX_KEY, {}), [key]: entry.time };
+  const expired = Object.keys(index)
+    .sort((a, b) => index[b] - index[a])
+    .slice(MAX_CACHE_ENTRIES);
+  for (const oldKey of expired) {
+    LocalStore.remove(CACHE_KEY_PREFIX + oldKey);
+    delete index[oldKey];
+  }
+  LocalStore.set(CACHE_INDEX_KEY, index);
+}
+
+/**
+ * Fetch data for a key, sharing the request with anything else asking for it
+ * @param {string} key - Cache key
+ * @param {Function} fetcher - async () => data. The data must be JSON-serializable.
+ * @param {Object} [options]
+ * @param {number} [options.maxAge=0] - Reuse a result another tab fetched up to this long ago (ms)
+ * @param {number} [options.retries] - Retries after the first attempt
+ * @param {Function} [options.onRetry] - Called with (attempt, delayMs, error) before waiting to retry
+ * @returns {Promise<{ value: *, time: number }>}
+ */
+export function fetchData(key, fetcher, { maxAge = 0, retries = DEFAULT_RETRIES, onRetry } = {}) {
+  if (inFlight.has(key)) return inFlight.get(key);
+
+  const request = tabCoordinator.run(key, () => withRetries(fetcher, retries, onRetry), { maxAge })
+    .then(({ value, time, shared }) => {
+      if (!shared) setCachedData(key, { value, time });
+      return { value, time };
+    })
+    .finally(() => inFlight.delete(key));
+  inFlight.set(key, request);
+  return request;
+}
+
+async function withRetries(fetcher, retries, onRetry) {
+  for (let attempt = 0; ; attempt++) {
+    try {
+      return await fetcher();
+    } catch (err) {
+      if (attempt >= retries || err.retryable === false || !isOnline()) throw err;
+      const delay = Math.min(RETRY_BASE_DELAY_MS * 2 ** attempt, MAX_RETRY_DELAY_MS);
+      onRetry?.(attempt + 1, delay, err);
+      await new Promise(resolve => setTimeout(resolve, delay));
+    }
+  }
+}
+
+/**
+ * The data a widget shows, with its loading and error state.
+ *
+ * state: {
+ *   data: *,              // Last result (undefined until something is loaded)
+ *   updatedAt: number,    // When `data` was fetched
+ *   loading: boolean,     // A request is in progress
+ *   status: string,       // Progress message from the fetcher, e.g. "Looking up reviewer..."
+ *   error: string|null,   // Message from the last failed request
+ *   offline: boolean      // The browser is offline
+ * }
+ */
+export class DataSource {
+  /**
+   * @param {Object} options
+   * @param {Function} options.key - Returns the cache key for the current settings,
+   *   or null if there's nothing to fetch (e.g. the widget isn't configured)
+   * @param {Function} options.fetch - async ({ setStatus }) => data
+   * @param {Function} [options.ttl] - Returns how long results stay fresh (ms); Infinity to only fetch on demand
+   * @param {number} [options.retries] - Retries after the first attempt
+   * @param {Function} [options.onChange] - Called whenever `state` changes
+   * @param {Function} [options.onError] - Called with the error when a request fails
+   */
+  constructor({ key, fetch, ttl = () => Infinity, retries = DEFAULT_RETRIES, onChange, onError }) {
+    this.getKey = key;
+    this.fetcher = fetch;
+    this.getTtl = ttl;
+    this.retries = retries;
+    this.onChange = onChange;
+    this.onError = onError;
+
+    this.active = false;
+    this.timerId = null;
+    this.unsubscribe = null;
+    this.key = null;
+    this.state = { data: undefined, updatedAt: null, loading: false, status: '', error: null, offline: !isOnline() };
+    this.loadCached();
+  }
+
+  get data() {
+    return this.state.data;
+  }
+
+  get isStale() {
+    return !this.state.updatedAt || Date.now() - this.state.updatedAt >= this.getTtl();
+  }
+
+  // Show the cached result for the current key, if any
+  loadCached() {
+    this.key = this.getKey();
+    const cached = this.key ? getCachedData(this.key) : null;
+    this.state = {
+      ...this.state,
+      data: cached?.value,
+      updatedAt: cached?.time ?? null,
+      error: null
+    };
+  }
+
+  /**
+   * Start fetching: load now if the data is stale, then keep it fresh and pick
+   * up results fetched by other tabs. Called when the widget becomes visible.
+   */
+  start() {
+    if (this.active) return;
+    this.active = true;
+    activeSources.add(this);
+    this.subscribe();
+    this.timerId = setInterval(() => this.refresh(), STALE_CHECK_MS);
+    this.refresh();
+  }
+
+  // Stop fetching, e.g. while the widget is hidden
+  stop() {
+    if (!this.active) return;
+    this.active = false;
+    activeSources.delete(this);
+    clearInterval(this.timerId);
+    this.timerId = null;
+    this.unsubscribe?.();
+    this.unsubscribe = null;
+  }
+
+  // Call after settings change that affect the key: shows cached data for the new key and fetches if needed
+  keyChanged() {
+    if (this.getKey() === this.key) return;
+    this.loadCached();
+    this.notify();
+    if (this.active) {
+      this.subscribe();
+      this.refresh();
+    }
+  }
+
+  subscribe() {
+    this.unsubscribe?.();
+    this.unsubscribe = this.key
+      ? tabCoordinator.subscribe(this.key, (value, time) => this.apply(value, time))
+      : null;
+  }
+
+  /**
+   * Fetch the data if it's stale (or always, with `force`)
+   * @param {Object} [options]
+   * @param {boolean} [options.force=false] - Fetch even if the data is fresh (e.g. a Reload button)
+   */
+  async refresh({ force = false } = {}) {
+    const key = this.key;
+    if (!key || this.state.loading) return;
+    if (!isOnline()) {
+      this.notify();
+      return;
+    }
+    if (!force && !this.isStale) return;
+
+    this.setState({ loading: true, status: '', error: null });
+    try {
+      const { value, time } = await fetchData(key, () => this.fetcher({ setStatus: (status) => this.setState({ status }) }), {
+        maxAge: force ? 0 : this.getTtl(),
+        retries: this.retries,
+        onRetry: (attempt, delay) => this.setState({ status: `Retrying in ${Math.round(delay / 1000)}s...` })
+      });
+      if (key === this.key) this.apply(value, time);
+    } catch (err) {
+      if (key === this.key) {
+        this.state.error = err.message || 'Request failed';
+        this.onError?.(err);
+      }
+    } finally {
+      this.setState({ loading: false, status: '' });
+    }
+
+    // The settings changed while fetching
+    if (key !== this.key && this.active) this.refresh();
+  }
+
+  /**
+   * Show data fetched elsewhere (another tab, or an imported cache)
+   * @param {*} value
+   * @param {number} time - When it was fetched
+   */
+  apply(value, time) {
+    if (this.state.updatedAt && this.state.updatedAt > time) return;
+    this.setState({ data: value, updatedAt: time, error: null });
+  }
+
+  /**
+   * Store data from elsewhere (e.g. an imported layout) as the cached result for the current key
+   * @param {*} value
+   * @param {number} time
+   */
+  seed(value, time) {
+    if (!this.key) return;
+    setCachedData(this.key, { value, time });
+    this.apply(value, time);
+  }
+
+  handleOnline() {
+    if (this.state.error || this.isStale) this.refresh({ force: Boolean(this.state.error) });
+    else this.notify();
+  }
+
+  setState(changes) {
+    this.state = { ...this.state, ...changes };
+    this.notify();
+  }
+
+  notify() {
+    this.state.offline = !isOnline();
+    this.onChange?.(this.state);
+  }
+}
@@ -0,0 +1,49 @@
+/**
+ * Diagnostics
+ * A short log of errors caught on the dashboard (e.g. widgets that crashed),
+ * kept in localStorage so it survives reloads and can be copied into a bug report.
+ */
+
+import { LocalStore } from './Storage.js';
+
+const DIAGNOSTICS_STORAGE_KEY = 'hellodev-diagnostics';
+
+// Oldest entries are dropped beyond this
+const MAX_ENTRIES = 50;
+
+export const Diagnostics = {
+  /**
+   * Log an error
+   * @param {string} source - What failed, e.g. "Clock widget (render)"
+   * @param {Error|*} error - The exception
+   * @param {Object} [context] - Extra JSON-serializable details (IDs, settings keys, ...)
+   * @returns {Object} The stored entry
+   */
+  record(source, error, context = {}) {
+    const entry = {
+      time: new Date().toISOString(),
+      source,
+      message: error instanceof Error ? `${error.name}: ${error.message}` : String(error),
+      stack: error instanceof Error ? error.stack || '' : '',
+      context
+    };
+    console.error(`[Diagnostics] ${source}:`, error);
+
+    const entries = this.getEntries();
+    entries.push(entry);
+    LocalStore.set(DIAGNOSTICS_STORAGE_KEY, entries.slice(-MAX_ENTRIES));
+    return entry;
+  },
+
+  /**
+   * @returns {Array<Object>} Logged entries, oldest first
+   */
+  getEntries() {
+    const entries = LocalStore.get(DIAGNOSTICS_STORAGE_KEY, []);
+    return Array.isArray(entries) ? entries : [];
+  },
+
+  clear() {
+    LocalStore.remove(DIAGNOSTICS_STORAGE_KEY);
+  }
+};
@@ -0,0 +1,78 @@
+/**
+ * Event Bus
+ * Lets widgets on the dashboard react to each other, e.g. a search box that
+ * filters a list of pull requests.
+ *
+ * Widgets publish events under their own ID (see WidgetBase.publish()). Other
+ * widgets receive them through the subscriptions saved in their config, which
+ * users set up under "Linked Widgets" in the config dialog.
+ *
+ * The last value of each event is kept, so a widget that subscribes later (or
+ * is re-rendered) starts from the current value instead of waiting for the
+ * next change.
+ */
+
+export class EventBus {
+  constructor() {
+    this.listeners = new Map(); // "sourceId:event" -> Set of listeners
+    this.values = new Map();    // "sourceId:event" -> last published value
+  }
+
+  /**
+   * Listen for an event from one widget
+   * @param {string} sourceId - ID of the widget that publishes the event
+   * @param {string} event - Event name
+   * @param {Function} listener - Called with the event's value, straight away if it has one
+   * @returns {Function} Call to stop listening
+   */
+  subscribe(sourceId, event, listener) {
+    const key = `${sourceId}:${event}`;
+    if (!this.listeners.has(key)) this.listeners.set(key, new Set());
+    this.listeners.get(key).add(listener);
+    if (this.values.has(key)) this.notify(listener, this.values.get(key), key);
+
+    return () => {
+      this.listeners.get(key)?.delete(listener);
+      if (this.listeners.get(key)?.size === 0) this.listeners.delete(key);
+    };
+  }
+
+  /**
+   * Send an event to the widgets subscribed to it
+   * @param {string} sourceId - ID of the publishing widget
+   * @param {string} event - Event name
+   * @param {*} value - Event value; null clears it
+   */
+  publish(sourceId, event, value) {
+    const key = `${sourceId}:${event}`;
+    if (value === null) {
+      this.values.delete(key);
+    } else {
+      this.values.set(key, value);
+    }
+    this.listeners.get(key)?.forEach(listener => this.notify(listener, value, key));
+  }
+
+  /**
+   * Clear the values a widget published (e.g. when it is removed), telling subscribers
+   * @param {string} sourceId
+   */
+  clear(sourceId) {
+    for (const key of [...this.values.keys()]) {
+      if (!key.startsWith(`${sourceId}:`)) continue;
+      this.publish(sourceId, key.slice(sourceId.length + 1), null);
+    }
+  }
+
+  // A failing listener mustn't stop the others
+  notify(listener, value, key) {
+    try {
+      listener(value);
+    } catch (err) {
+      console.error(`[EventBus] Error handling ${key}:`, err);
+    }
+  }
+}
+
+// Shared by every widget on the page
+export const widgetEvents = new EventBus();
@@ -0,0 +1,76 @@
+/**
+ * Focus Trap
+ * Keeps keyboard focus inside flyouts and dialogs while they are open
+ *
+ * Tab and Shift+Tab cycle through the container's focusable elements, Escape
+ * calls `onEscape`, and when the container leaves the DOM (however it was
+ * closed) focus returns to the element that had it before it opened.
+ */
+
+const FOCUSABLE_SELECTOR = [
+  'a[href]',
+  'button:not([disabled])',
+  'input:not([disabled]):not([type="hidden"])',
+  'select:not([disabled])',
+  'textarea:not([disabled])',
+  '[tabindex]:not([tabindex="-1"])'
+].join(', ');
+
+/**
+ * Get the elements inside a container that can receive keyboard focus.
+ * @param {HTMLElement} container
+ * @returns {Array<HTMLElement>}
+ */
+export function getFocusableElements(container) {
+  return [...container.querySelectorAll(FOCUSABLE_SELECTOR)].filter(el => !el.closest('[hidden]'));
+}
+
+/**
+ * Trap focus inside a container and move focus into it.
+ * @param {HTMLElement} container - Flyout or dialog element, already in the DOM
+ * @param {Object} options
+ * @param {Function} options.onEscape - Called when Escape is pressed inside the container
+ * @param {HTMLElement} [options.initialFocus] - Element to focus first (defaults to the first focusable element)
+ * @param {HTMLElement|Function} [options.returnFocusTo] - Element (or function returning one) to focus
+ *   after the container closes. Defaults to the element focused when the trap was set.
+ */
+export function trapFocus(container, { onEscape, initialFocus = null, returnFocusTo = document.activeElement }) {
+  container.addEventListener('keydown', (e) => {
+    if (e.key === 'Escape') {
+      e.preventDefault();
+      e.stopPropagation();
+      onEscape();
+      return;
+    }
+    if (e.key !== 'Tab') return;
+
+    const focusable = getFocusableElements(container);
+    if (focusable.length === 0) {
+      e.preventDefault();
+      return;
+    }
+    const first = focusable[0];
+    const last = focusable[focusable.length - 1];
+    if (e.shiftKey && document.activeElement === first) {
+      e.preventDefault();
+      last.focus();
+    } else if (!e.shiftKey && document.activeElement === last) {
+      e.preventDefault();
+      first.focus();
+    }
+  });
+
+  // Return focus once the container is removed, unless the user has already moved it elsewhere
+  const observer = new MutationObserver(() => {
+    if (container.isConnected) return;
+    observer.disconnect();
+    const focusLost = !document.activeElement || document.activeElement === document.body;
+    const target = typeof returnFocusTo === 'function' ? returnFocusTo() : returnFocusTo;
+    if (focusLost && target?.isConnected) {
+      target.focus();
+    }
+  });
+  observer.observe(document.body, { childList: true, subtree: true });
+
+  (initialFocus || getFocusableElements(container)[0] || container).focus();
+}
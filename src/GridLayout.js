@@ -0,0 +1,170 @@
+/**
+ * Grid Layout Engine
+ * Keeps widgets from overlapping on the dashboard grid
+ *
+ * Layout items are plain { id, x, y, width, height } rectangles in grid cells.
+ * When a widget is moved or resized, widgets it lands on are pushed down and
+ * the whole layout is compacted upwards (gravity-up, like a masonry grid) so no
+ * holes are left behind. All functions return new items and never modify their
+ * input.
+ */
+
+// Used when CSS values can't be read (e.g. before the stylesheet has loaded)
+const DEFAULT_CELL_SIZE = 80;
+const DEFAULT_GAP = 8;
+const DEFAULT_COLUMNS = 12;
+
+/**
+ * Layouts kept for different dashboard widths, widest first. A breakpoint applies
+ * when at least `minColumns` grid columns fit. Widgets' own x/y/width/height are
+ * the wide layout; other breakpoints are stored per widget or generated.
+ */
+export const BREAKPOINTS = [
+  { name: 'wide', label: 'Wide', minColumns: 12 },
+  { name: 'medium', label: 'Medium', minColumns: 6 },
+  { name: 'narrow', label: 'Narrow', minColumns: 0 }
+];
+
+export const PRIMARY_BREAKPOINT = BREAKPOINTS[0].name;
+
+/**
+ * Read grid metrics for a dashboard element from its CSS
+ * (--grid-cell-size, --grid-gap and padding), so drag and resize math always
+ * matches what is on screen.
+ * @param {HTMLElement} el - The dashboard grid element
+ * @returns {{ cellSize: number, gap: number, pitch: number, paddingLeft: number, paddingTop: number, columns: number }}
+ */
+export function readGridMetrics(el) {
+  const style = getComputedStyle(el);
+  const cellSize = parseFloat(style.getPropertyValue('--grid-cell-size')) || DEFAULT_CELL_SIZE;
+  const gap = parseFloat(style.getPropertyValue('--grid-gap')) || DEFAULT_GAP;
+  const paddingLeft = parseFloat(style.paddingLeft) || 0;
+  const paddingTop = parseFloat(style.paddingTop) || 0;
+  const innerWidth = el.clientWidth - paddingLeft - (parseFloat(style.paddingRight) || 0);
+  const columns = innerWidth > 0 ? Math.max(1, Math.floor((innerWidth + gap) / (cellSize + gap))) : DEFAULT_COLUMNS;
+
+  return { cellSize, gap, pitch: cellSize + gap, paddingLeft, paddingTop, columns };
+}
+
+/**
+ * Get the breakpoint that applies for a number of grid columns.
+ * @param {number} columns
+ * @returns {string} Breakpoint name
+ */
+export function getBreakpoint(columns) {
+  return BREAKPOINTS.find(bp => columns >= bp.minColumns).name;
+}
+
+/**
+ * Work out the layout for a breakpoint. Widgets with a stored position for the
+ * breakpoint keep it; the rest are placed in reading order of the wide layout.
+ * On narrow screens they are stacked full width, otherwise they keep their wide
+ * position where it fits and move to the first free spot where it doesn't.
+ * @param {Array<Object>} primaryItems - Wide layout items
+ * @param {Map<string, Object>} storedRects - Positions stored for this breakpoint, by widget ID
+ * @param {string} breakpoint - Breakpoint name
+ * @param {number} columns - Number of visible grid columns
+ * @returns {Array<Object>} Layout items, in the same order as `primaryItems`
+ */
+export function deriveLayout(primaryItems, storedRects, breakpoint, columns) {
+  if (breakpoint === PRIMARY_BREAKPOINT) {
+    return primaryItems.map(item => ({ ...item }));
+  }
+
+  const placed = primaryItems
+    .filter(item => storedRects.has(item.id))
+    .map(item => ({ id: item.id, ...storedRects.get(item.id) }));
+  const stack = breakpoint === 'narrow';
+  const unplaced = primaryItems
+    .filter(item => !storedRects.has(item.id))
+    .sort((a, b) => a.y - b.y || a.x - b.x);
+
+  for (const item of unplaced) {
+    const width = stack ? columns : Math.min(item.width, columns);
+    const rect = { id: item.id, x: Math.min(item.x, columns - width), y: item.y, width, height: item.height };
+    if (stack || placed.some(other => itemsOverlap(rect, other))) {
+      Object.assign(rect, findFreePosition(placed, width, item.height, columns));
+    }
+    placed.push(rect);
+  }
+
+  const byId = new Map(placed.map(item => [item.id, item]));
+  return primaryItems.map(item => byId.get(item.id));
+}
+
+/**
+ * Check whether two layout items overlap.
+ * @param {Object} a
+ * @param {Object} b
+ * @returns {boolean}
+ */
+export function itemsOverlap(a, b) {
+  return a.id !== b.id &&
+    a.x < b.x + b.width && b.x < a.x + a.width &&
+    a.y < b.y + b.height && b.y < a.y + a.height;
+}
+
+/**
+ * Place one item at a new position and/or size and reflow the others around it.
+ * Items are re-settled in order of their top edge (the changed item at its new
+ * position), so widgets it lands on are pushed below it and widgets it was
+ * dragged past move up into the space it left.
+ * @param {Array<Object>} items - Current layout
+ * @param {Object} changed - { id, x, y, width, height } of the moved or resized item
+ * @returns {Array<Object>} New layout, in the same order as `items`
+ */
+export function reflowLayout(items, changed) {
+  const layout = items.map(item => (item.id === changed.id ? { ...changed } : item));
+  return compactLayout(layout, changed.id);
+}
+
+/**
+ * Move every item up as far as it can go without overlapping the items above it.
+ * Items are settled top to bottom; on ties the `priorityId` item settles first
+ * so a widget dropped onto another takes its place.
+ * @param {Array<Object>} items - Layout to compact
+ * @param {string} [priorityId] - Item that wins ties for a row
+ * @returns {Array<Object>} Compacted layout, in the same order as `items`
+ */
+export function compactLayout(items, priorityId = null) {
+  const layout = items.map(item => ({ ...item }));
+  const order = [...layout].sort((a, b) =>
+    a.y - b.y || (b.id === priorityId) - (a.id === priorityId) || a.x - b.x);
+  const settled = [];
+
+  for (const item of order) {
+    item.y = 0;
+    let collision;
+    while ((collision = settled.find(other => itemsOverlap(item, other)))) {
+      item.y = collision.y + collision.height;
+    }
+    settled.push(item);
+  }
+
+  return layout;
+}
+
+/**
+ * Find the first free spot (top to bottom, left to right) that fits a new item.
+ * Falls back to the row below all existing items.
+ * @param {Array<Object>} items - Current layout
+ * @param {number} width - Width of the new item
+ * @param {number} height - Height of the new item
+ * @param {number} columns - Number of visible grid columns
+ * @returns {{ x: number, y: number }}
+ */
+export function findFreePosition(items, width, height, columns) {
+  const bottom = items.reduce((max, item) => Math.max(max, item.y + item.height), 0);
+  const lastX = Math.max(0, columns - width);
+
+  for (let y = 0; y < bottom; y++) {
+    for (let x = 0; x <= lastX; x++) {
+      const candidate = { id: null, x, y, width, height };
+      if (!items.some(item => itemsOverlap(candidate, item))) {
+        return { x, y };
+      }
+    }
+  }
+
+  return { x: 0, y: bottom };
+}
@@ -0,0 +1,25 @@
+/**
+ * HTML Escape
+ * Escaping for text inserted into HTML strings, shared by the dashboard,
+ * widgets and dialogs so every template escapes the same way.
+ *
+ * Quotes are escaped too, so the result is safe inside quoted attribute
+ * values as well as element content.
+ */
+
+const HTML_ENTITIES = {
+  '&': '&amp;',
+  '<': '&lt;',
+  '>': '&gt;',
+  '"': '&quot;',
+  "'": '&#39;'
+};
+
+/**
+ * Escape text for insertion into HTML
+ * @param {*} text - Converted to a string; null and undefined become ''
+ * @returns {string}
+ */
+export function escapeHtml(text) {
+  return String(text ?? '').replace(/[&<>"']/g, char => HTML_ENTITIES[char]);
+}
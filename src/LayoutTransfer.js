@@ -0,0 +1,267 @@
+/**
+ * Layout Export / Import
+ * Builds shareable layout files and validates them before they are imported
+ *
+ * An export file contains the dashboard state (pages and widgets from toJSON()),
+ * the global theme and, optionally, widget caches. Secrets such as cached ADO
+ * tokens are never exported: only data returned by widgets' exportCache() and
+ * the saved state itself are written to the file, and config fields of type
+ * 'secret' are removed from the state. Widgets of types not registered here
+ * whose secret fields aren't recorded in their config are exported without data.
+ */
+
+import { getWidgetSchema, withoutSecrets, WidgetRegistry } from './widgets/index.js';
+import { migrateDashboardState } from './StorageMigrations.js';
+import { BREAKPOINTS, PRIMARY_BREAKPOINT } from './GridLayout.js';
+import { isValidFieldValue } from './ConfigFields.js';
+
+export const EXPORT_FORMAT = 'hellodev-layout';
+
+// Highest export file format version this build can read
+const EXPORT_FORMAT_VERSION = 1;
+
+/**
+ * Build the contents of a layout export file.
+ * @param {Object} state - Saved dashboard state ({ version, activePageId, pages })
+ * @param {Object} theme - Global theme
+ * @param {Array<WidgetBase>} [widgets] - Widget instances whose caches should be included
+ * @returns {Object} Export file contents
+ */
+export function buildExport(state, theme, widgets = null) {
+  const file = {
+    format: EXPORT_FORMAT,
+    formatVersion: EXPORT_FORMAT_VERSION,
+    exportedAt: new Date().toISOString(),
+    state: {
+      ...state,
+      pages: state.pages.map(page => ({ ...page, widgets: page.widgets.map(withoutSecrets) }))
+    },
+    theme
+  };
+
+  if (widgets) {
+    file.caches = {};
+    for (const widget of widgets) {
+      const cache = widget.exportCache();
+      if (cache != null) {
+        file.caches[widget.id] = cache;
+      }
+    }
+  }
+
+  return file;
+}
+
+/**
+ * Parse and validate a layout export file.
+ * Widget configs are sanitized against their widget's getConfigSchema(); anything
+ * that had to be fixed is reported in `issues`.
+ * @param {string} text - File contents
+ * @param {number} storageVersion - Current STORAGE_VERSION
+ * @returns {{ state: Object, theme: Object|null, caches: Object, issues: Array<string> }}
+ * @throws {Error} If the file is not a usable layout export
+ */
+export function parseImport(text, storageVersion) {
+  let file;
+  try {
+    file = JSON.parse(text);
+  } catch (e) {
+    throw new Error('The file is not valid JSON.');
+  }
+
+  if (file?.format !== EXPORT_FORMAT || !file.state) {
+    throw new Error('The file is not a HelloDev layout export.');
+  }
+  if (file.formatVersion > EXPORT_FORMAT_VERSION) {
+    throw new Error('The file was exported by a newer version of HelloDev.');
+  }
+
+  let state;
+  try {
+    ({ state } = migrateDashboardState(file.state, storageVersion));
+  } catch (e) {
+    throw new Error(`The layout could not be upgraded: ${e.message}`);
+  }
+
+  const issues = [];
+  const pages = Array.isArray(state.pages) ? state.pages : [];
+  state.pages = pages
+    .filter(page => page && typeof page === 'object')
+    .map((page, index) => ({
+      id: typeof page.id === 'string' && page.id ? page.id : `page-import-${index}`,
+      name: typeof page.name === 'string' && page.name ? page.name : `Imported ${index + 1}`,
+      theme: isValidTheme(page.theme) ? page.theme : null,
+      widgets: (Array.isArray(page.widgets) ? page.widgets : [])
+        .map(config => sanitizeWidgetConfig(config, issues))
+        .filter(Boolean)
+    }));
+
+  if (state.pages.length === 0) {
+    throw new Error('The file does not contain any pages.');
+  }
+
+  return {
+    state,
+    theme: isValidTheme(file.theme) ? file.theme : null,
+    caches: file.caches && typeof file.caches === 'object' ? file.caches : {},
+    issues
+  };
+}
+
+/**
+ * Find page and widget IDs in imported state that already exist.
+ * @param {Object} state - Imported state
+ * @param {Array<Object>} existingPages - Current pages ({ id, widgets })
+ * @returns {{ pageIds: Array<string>, widgetIds: Array<string> }}
+ */
+export function findIdConflicts(state, existingPages) {
+  const existingPageIds = new Set(existingPages.map(p => p.id));
+  const existingWidgetIds = new Set(existingPages.flatMap(p => p.widgets.map(w => w.id)));
+
+  return {
+    pageIds: state.pages.filter(p => existingPageIds.has(p.id)).map(p => p.id),
+    widgetIds: state.pages.flatMap(p => p.widgets).filter(w => existingWidgetIds.has(w.id)).map(w => w.id)
+  };
+}
+
+/**
+ * Give imported pages and widgets new IDs wherever they clash with `takenIds`.
+ * Caches keyed by a renamed widget ID are moved to the new ID, and links to it
+ * from widgets on the same page are updated.
+ * @param {Object} imported - Result of parseImport()
+ * @param {Set<string>} takenIds - Page and widget IDs that must not be reused
+ */
+export function reassignConflictingIds(imported, takenIds) {
+  const suffix = Date.now().toString(36);
+  let counter = 0;
+  const uniqueId = (prefix) => {
+    let id;
+    do {
+      id = `${prefix}-${suffix}-${counter++}`;
+    } while (takenIds.has(id));
+    takenIds.add(id);
+    return id;
+  };
+
+  for (const page of imported.state.pages) {
+    if (takenIds.has(page.id)) {
+      page.id = uniqueId('page');
+    } else {
+      takenIds.add(page.id);
+    }
+
+    const renamed = new Map();
+    for (const widget of page.widgets) {
+      if (takenIds.has(widget.id)) {
+        const newId = uniqueId('widget');
+        if (widget.id in imported.caches) {
+          imported.caches[newId] = imported.caches[widget.id];
+          delete imported.caches[widget.id];
+        }
+        renamed.set(widget.id, newId);
+        widget.id = newId;
+      } else {
+        takenIds.add(widget.id);
+      }
+    }
+
+    for (const widget of page.widgets) {
+      for (const sub of widget.subscriptions ?? []) {
+        if (renamed.has(sub.source)) sub.source = renamed.get(sub.source);
+      }
+    }
+  }
+}
+
+// Check that a value looks like a saved theme
+function isValidTheme(theme) {
+  const isColor = (value) => typeof value === 'string' && /^#[0-9a-f]{6}$/i.test(value);
+  return !!theme && typeof theme === 'object' &&
+    isColor(theme.colorPrimary) && isColor(theme.colorAccent) &&
+    ['auto', 'light', 'dark'].includes(theme.themeMode ?? 'auto');
+}
+
+// Validate a widget config against its schema, returning a cleaned copy or null if unusable
+function sanitizeWidgetConfig(config, issues) {
+  if (!config || typeof config !== 'object' || typeof config.id !== 'string' || typeof config.type !== 'string') {
+    issues.push('Skipped a widget without an ID or type.');
+    return null;
+  }
+
+  const label = `Widget "${config.id}" (${config.type})`;
+  const clean = {
+    id: config.id,
+    type: config.type,
+    x: toGridNumber(config.x, 0, `${label}: invalid X position`, issues),
+    y: toGridNumber(config.y, 0, `${label}: invalid Y position`, issues),
+    width: toGridNumber(config.width, 1, `${label}: invalid width`, issues),
+    height: toGridNumber(config.height, 1, `${label}: invalid height`, issues),
+    layouts: sanitizeLayouts(config.layouts, label, issues),
+    subscriptions: sanitizeSubscriptions(config.subscriptions, label, issues),
+    dataVersion: config.dataVersion,
+    ...(Array.isArray(config.secretFields) && { secretFields: config.secretFields }),
+    data: config.data && typeof config.data === 'object' && !Array.isArray(config.data) ? { ...config.data } : {}
+  };
+
+  if (!WidgetRegistry[config.type]) {
+    issues.push(`${label}: unknown widget type, it will show as "Unknown widget".`);
+    return clean;
+  }
+
+  let schema;
+  try {
+    schema = getWidgetSchema(clean.type);
+  } catch (e) {
+    issues.push(`${label}: skipped, its settings could not be read (${e.message}).`);
+    return null;
+  }
+
+  for (const field of schema) {
+    if (!(field.key in clean.data)) continue;
+    if (!isValidFieldValue(field, clean.data[field.key])) {
+      issues.push(`${label}: "${field.label}" has an invalid value and was reset to its default.`);
+      delete clean.data[field.key];
+    }
+  }
+
+  return clean;
+}
+
+// Keep valid per-breakpoint positions; anything unusable is dropped and regenerated
+function sanitizeLayouts(layouts, label, issues) {
+  const clean = {};
+  if (!layouts || typeof layouts !== 'object') return clean;
+
+  for (const { name } of BREAKPOINTS) {
+    const rect = layouts[name];
+    if (name === PRIMARY_BREAKPOINT || rect == null) continue;
+    const valid = typeof rect === 'object' &&
+      Number.isInteger(rect.x) && rect.x >= 0 && Number.isInteger(rect.y) && rect.y >= 0 &&
+      Number.isInteger(rect.width) && rect.width >= 1 && Number.isInteger(rect.height) && rect.height >= 1;
+    if (valid) {
+      clean[name] = { x: rect.x, y: rect.y, width: rect.width, height: rect.height };
+    } else {
+      issues.push(`${label}: invalid ${name} layout position, it will be generated.`);
+    }
+  }
+  return clean;
+}
+
+// Keep well-formed links to other widgets ({ source, event, action } strings)
+function sanitizeSubscriptions(subscriptions, label, issues) {
+  if (subscriptions == null) return [];
+  const list = Array.isArray(subscriptions) ? subscriptions : [];
+  const clean = list.filter(sub => sub && typeof sub === 'object' &&
+    ['source', 'event', 'action'].every(key => typeof sub[key] === 'string'));
+  if (clean.length !== list.length || !Array.isArray(subscriptions)) {
+    issues.push(`${label}: some links to other widgets were invalid and were removed.`);
+  }
+  return clean.map(({ source, event, action }) => ({ source, event, action }));
+}
+
+// Coerce a grid coordinate/size, reporting values that had to be replaced
+function toGridNumber(value, min, message, issues) {
+  if (Number.isInteger(value) && value >= min) return value;
+  issues.push(`${message}, reset to ${min}.`);
+  return min;
+}
@@ -0,0 +1,250 @@
+/**
+ * Plugin Manager
+ * Installs third-party widget plugins and registers them as widget types.
+ *
+ * A plugin is a manifest (JSON) plus an ES module, installed from local files
+ * in the Add Widget flyout. Installed plugins are saved in localStorage on this
+ * machine and registered in WidgetRegistry as `plugin-<id>` when the dashboard
+ * loads. Their code runs in a sandboxed iframe (see widgets/PluginWidget.js and
+ * plugin-sandbox.js), never in the page itself.
+ *
+ * Manifest fields:
+ * - id (required): lowercase letters, digits and dashes, e.g. "team-status"
+ * - name (required), version, description, icon (an emoji)
+ * - main: file name of the module (defaults to the one .js file selected)
+ * - defaultSize: { width, height } in grid cells
+ * - settings: config fields, as returned by WidgetBase.getConfigSchema()
+ *   (without validate or visibleWhen, which can't be written in JSON)
+ * - connect: origins the plugin may make requests to, e.g. ["https://api.example.com"]
+ * - publishes / accepts: events for linked widgets, as in WidgetBase
+ */
+
+import { LocalStore } from './Storage.js';
+import { WidgetRegistry, definePluginWidget } from './widgets/index.js';
+
+const PLUGINS_KEY = 'hellodev-plugins';
+
+// Installed plugins share localStorage with the dashboard, so modules are kept small
+const MAX_MODULE_BYTES = 512 * 1024;
+
+const ID_PATTERN = /^[a-z0-9][a-z0-9-]{0,39}$/;
+const NAME_PATTERN = /^[a-z][a-zA-Z0-9]{0,39}$/;
+
+const FIELD_TYPES = [
+  'string', 'text', 'number', 'slider', 'boolean', 'select', 'multiselect', 'color',
+  'url', 'date', 'time', 'datetime', 'secret', 'object', 'list'
+];
+
+/**
+ * Widget type key for a plugin
+ * @param {string} id - Plugin ID
+ * @returns {string}
+ */
+export function getPluginType(id) {
+  return `plugin-${id}`;
+}
+
+/**
+ * Installed plugins, by ID
+ * @returns {Object<string, { manifest: Object, source: string, installedAt: number }>}
+ */
+export function getInstalledPlugins() {
+  const plugins = LocalStore.get(PLUGINS_KEY, {});
+  return plugins && typeof plugins === 'object' ? plugins : {};
+}
+
+/**
+ * Register every installed plugin as a widget type. Call before creating widgets.
+ */
+export function loadPlugins() {
+  for (const [id, plugin] of Object.entries(getInstalledPlugins())) {
+    try {
+      registerPlugin({ ...plugin, manifest: validateManifest(plugin.manifest) });
+    } catch (err) {
+      // Widgets of this type show as unknown widgets until it is reinstalled
+      console.error(`[PluginManager] Could not load plugin ${id}:`, err);
+    }
+  }
+}
+
+/**
+ * Read a plugin from files chosen by the user: its manifest (.json) and module (.js)
+ * @param {Array<File>} files
+ * @returns {Promise<{ manifest: Object, source: string }>}
+ * @throws {Error} With a message for the user if the files aren't a valid plugin
+ */
+export async function readPluginFiles(files) {
+  const manifestFile = files.find(file => file.name.endsWith('.json'));
+  if (!manifestFile) {
+    throw new Error('Choose the plugin\'s manifest (.json) together with its module (.js).');
+  }
+
+  let manifest;
+  try {
+    manifest = validateManifest(JSON.parse(await manifestFile.text()));
+  } catch (err) {
+    throw new Error(err instanceof SyntaxError ? 'The manifest is not valid JSON.' : err.message);
+  }
+
+  const scripts = files.filter(file => /\.m?js$/.test(file.name));
+  const moduleFile = manifest.main
+    ? scripts.find(file => file.name === manifest.main)
+    : (scripts.length === 1 ? scripts[0] : null);
+  if (!moduleFile) {
+    throw new Error(manifest.main
+      ? `Also choose the plugin's module, ${manifest.main}.`
+      : 'Also choose the plugin\'s module (.js), or name it in the manifest\'s "main".');
+  }
+  if (moduleFile.size > MAX_MODULE_BYTES) {
+    throw new Error(`The module is too large (${Math.round(moduleFile.size / 1024)} KB, at most ${MAX_MODULE_BYTES / 1024} KB).`);
+  }
+
+  return { manifest, source: await moduleFile.text() };
+}
+
+/**
+ * Save a plugin and register its widget type, replacing an installed version
+ * @param {{ manifest: Object, source: string }} plugin - From readPluginFiles()
+ * @throws {Error} If the plugin can't be saved (e.g. storage is full)
+ */
+export function installPlugin(plugin) {
+  const record = { manifest: plugin.manifest, source: plugin.source, installedAt: plugin.installedAt ?? Date.now() };
+  const plugins = { ...getInstalledPlugins(), [plugin.manifest.id]: record };
+  if (!LocalStore.set(PLUGINS_KEY, plugins)) {
+    throw new Error('The plugin could not be saved. Browser storage may be full.');
+  }
+  registerPlugin(record);
+}
+
+/**
+ * Uninstall a plugin. Its widgets stay on the dashboard as unknown widgets,
+ * keeping their settings in case it is installed again.
+ * @param {string} id - Plugin ID
+ * @returns {Object|null} The removed plugin, or null if it wasn't installed
+ */
+export function removePlugin(id) {
+  const plugins = getInstalledPlugins();
+  const plugin = plugins[id];
+  if (!plugin) return null;
+
+  delete plugins[id];
+  LocalStore.set(PLUGINS_KEY, plugins);
+  delete WidgetRegistry[getPluginType(id)];
+  return plugin;
+}
+
+function registerPlugin(plugin) {
+  WidgetRegistry[getPluginType(plugin.manifest.id)] = definePluginWidget(plugin);
+}
+
+/**
+ * Check a plugin manifest, returning a cleaned copy
+ * @param {Object} manifest
+ * @returns {Object}
+ * @throws {Error} Describing the first problem found
+ */
+function validateManifest(manifest) {
+  if (!isPlainObject(manifest)) throw new Error('The manifest must be a JSON object.');
+
+  const { id, name } = manifest;
+  if (typeof id !== 'string' || !ID_PATTERN.test(id)) {
+    throw new Error('The manifest needs an "id" of lowercase letters, digits and dashes.');
+  }
+  if (typeof name !== 'string' || !name.trim() || name.length > 40) {
+    throw new Error('The manifest needs a "name" of at most 40 characters.');
+  }
+
+  const optionalString = (key, max) => {
+    const value = manifest[key];
+    if (value == null) return '';
+    if (typeof value !== 'string' || value.length > max) {
+      throw new Error(`"${key}" must be text of at most ${max} characters.`);
+    }
+    return value;
+  };
+
+  return {
+    id,
+    name: name.trim(),
+    version: optionalString('version', 20),
+    description: optionalString('description', 200),
+    icon: optionalString('icon', 8) || '🧩',
+    main: optionalString('main', 100),
+    defaultSize: validateSize(manifest.defaultSize),
+    settings: validateSettings(manifest.settings ?? [], 'settings'),
+    connect: validateOrigins(manifest.connect ?? []),
+    publishes: validateEvents(manifest.publishes ?? {}, 'publishes'),
+    accepts: validateEvents(manifest.accepts ?? {}, 'accepts')
+  };
+}
+
+function validateSize(size) {
+  if (size == null) return { width: 3, height: 2 };
+  const isCells = (value) => Number.isInteger(value) && value >= 1 && value <= 12;
+  if (!isPlainObject(size) || !isCells(size.width) || !isCells(size.height)) {
+    throw new Error('"defaultSize" must have a whole-number width and height from 1 to 12.');
+  }
+  return { width: size.width, height: size.height };
+}
+
+function validateSettings(fields, path) {
+  if (!Array.isArray(fields)) throw new Error(`"${path}" must be a list of fields.`);
+  return fields.map((field, index) => {
+    const where = `${path}[${index}]`;
+    if (!isPlainObject(field) || typeof field.key !== 'string' || !field.key || typeof field.label !== 'string') {
+      throw new Error(`${where} needs a "key" and a "label".`);
+    }
+    if (!FIELD_TYPES.includes(field.type)) {
+      throw new Error(`${where} has an unknown type "${field.type}".`);
+    }
+    if ((field.type === 'select' || field.type === 'multiselect') && !Array.isArray(field.options)) {
+      throw new Error(`${where} needs a list of "options".`);
+    }
+    if (field.pattern != null) {
+      try {
+        new RegExp(field.pattern);
+      } catch {
+        throw new Error(`${where} has an invalid "pattern".`);
+      }
+    }
+    const clean = structuredClone(field);
+    // Functions can't come from JSON, but make sure nothing else pretends to be one
+    delete clean.validate;
+    delete clean.visibleWhen;
+    if (field.type === 'object' || field.type === 'list') {
+      clean.fields = validateSettings(field.fields ?? [], `${where}.fields`);
+    }
+    return clean;
+  });
+}
+
+function validateOrigins(origins) {
+  if (!Array.isArray(origins)) throw new Error('"connect" must be a list of origins.');
+  return origins.map(origin => {
+    let url;
+    try {
+      url = new URL(origin);
+    } catch {
+      url = null;
+    }
+    if (!url || url.protocol !== 'https:' || url.origin !== origin.replace(/\/$/, '')) {
+      throw new Error(`"connect" entries must be https origins like https://api.example.com (got "${origin}").`);
+    }
+    return url.origin;
+  });
+}
+
+function validateEvents(events, key) {
+  if (!isPlainObject(events)) throw new Error(`"${key}" must be an object of events.`);
+  return Object.fromEntries(Object.entries(events).map(([name, event]) => {
+    if (!NAME_PATTERN.test(name) || !isPlainObject(event) ||
+        typeof event.label !== 'string' || typeof event.kind !== 'string') {
+      throw new Error(`"${key}.${name}" needs a "label" and a "kind".`);
+    }
+    return [name, { label: event.label, kind: event.kind }];
+  }));
+}
+
+function isPlainObject(value) {
+  return !!value && typeof value === 'object' && !Array.isArray(value);
+}
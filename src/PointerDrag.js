@@ -0,0 +1,147 @@
+/**
+ * Pointer Drag
+ * Tracks a drag gesture from mouse, pen or touch using Pointer Events
+ *
+ * Once dragging, the element captures the pointer so the gesture keeps working
+ * when the pointer leaves it. Mouse and pen drags start once the pointer has moved a few
+ * pixels (so clicks still work); touch drags can require a long press so a
+ * quick swipe still scrolls the page. While dragging near the top or bottom of
+ * the viewport the window scrolls, and `onMove` is called again with the same
+ * pointer position so callers can recompute against the scrolled page.
+ */
+
+// How long a touch must be held before it starts a drag
+const LONG_PRESS_MS = 400;
+
+// How far the pointer must move before a drag starts (and cancels a pending long press)
+const DRAG_THRESHOLD_PX = 6;
+
+// Auto-scroll zone at the viewport edges, and the fastest scroll speed in pixels per frame
+const AUTO_SCROLL_EDGE_PX = 48;
+const AUTO_SCROLL_MAX_SPEED = 16;
+
+/**
+ * Follow a pointer from its pointerdown event until it is released.
+ * Callbacks receive the current point: { clientX, clientY, pageX, pageY }.
+ * @param {HTMLElement} el - Element that captures the pointer while dragging
+ * @param {PointerEvent} downEvent - The pointerdown event that may start the gesture
+ * @param {Object} handlers
+ * @param {boolean} [handlers.longPress] - Require a long press before dragging (for touch)
+ * @param {boolean} [handlers.autoScroll] - Scroll the window when dragging near its edges
+ * @param {Function} [handlers.onStart] - Called when the drag starts
+ * @param {Function} handlers.onMove - Called as the pointer moves (and as the window auto-scrolls)
+ * @param {Function} handlers.onEnd - Called when the pointer is released after dragging
+ * @param {Function} handlers.onCancel - Called if the drag is cancelled (Escape, or the browser took over the pointer)
+ */
+export function trackPointer(el, downEvent, { longPress = false, autoScroll = false, onStart, onMove, onEnd, onCancel }) {
+  const { pointerId } = downEvent;
+  const origin = { x: downEvent.clientX, y: downEvent.clientY };
+  let last = { ...origin };
+  let started = false;
+  let finished = false;
+  let pressTimer = null;
+  let scrollFrame = null;
+
+  const point = () => ({
+    clientX: last.x,
+    clientY: last.y,
+    pageX: last.x + window.scrollX,
+    pageY: last.y + window.scrollY
+  });
+
+  const start = () => {
+    started = true;
+    // Capture only once dragging, so plain clicks still reach the element's children
+    el.setPointerCapture?.(pointerId);
+    onStart?.();
+    onMove(point());
+    if (autoScroll) scrollFrame = requestAnimationFrame(scrollStep);
+  };
+
+  const scrollStep = () => {
+    const speed = getEdgeSpeed(last.y, window.innerHeight);
+    const scrollY = window.scrollY;
+    if (speed !== 0) window.scrollBy(0, speed);
+    if (window.scrollY !== scrollY) onMove(point());
+    scrollFrame = requestAnimationFrame(scrollStep);
+  };
+
+  const finish = (callback) => {
+    if (finished) return;
+    finished = true;
+    clearTimeout(pressTimer);
+    cancelAnimationFrame(scrollFrame);
+    document.removeEventListener('pointermove', handleMove);
+    document.removeEventListener('pointerup', handleUp);
+    document.removeEventListener('pointercancel', handleCancel);
+    el.removeEventListener('touchmove', preventScroll);
+    el.removeEventListener('contextmenu', preventContextMenu);
+    document.removeEventListener('keydown', handleKeydown, true);
+    if (el.hasPointerCapture?.(pointerId)) el.releasePointerCapture(pointerId);
+    if (started) callback(point());
+  };
+
+  const handleMove = (e) => {
+    if (e.pointerId !== pointerId) return;
+    last = { x: e.clientX, y: e.clientY };
+    if (!started) {
+      if (Math.hypot(last.x - origin.x, last.y - origin.y) < DRAG_THRESHOLD_PX) return;
+      if (longPress) {
+        // Moved before the long press: this is a scroll, not a drag
+        finish(onCancel);
+        return;
+      }
+      start();
+      return;
+    }
+    onMove(point());
+  };
+
+  const handleUp = (e) => {
+    if (e.pointerId === pointerId) finish(onEnd);
+  };
+
+  const handleCancel = (e) => {
+    if (e.pointerId === pointerId) finish(onCancel);
+  };
+
+  const handleKeydown = (e) => {
+    if (e.key !== 'Escape') return;
+    e.preventDefault();
+    e.stopPropagation();
+    finish(onCancel);
+  };
+
+  // Once dragging, touch moves drag the widget instead of scrolling the page
+  const preventScroll = (e) => {
+    if (started) e.preventDefault();
+  };
+
+  // Long presses would otherwise open the context menu on touch devices
+  const preventContextMenu = (e) => {
+    if (longPress) e.preventDefault();
+  };
+
+  document.addEventListener('pointermove', handleMove);
+  document.addEventListener('pointerup', handleUp);
+  document.addEventListener('pointercancel', handleCancel);
+  el.addEventListener('touchmove', preventScroll, { passive: false });
+  el.addEventListener('contextmenu', preventContextMenu);
+  document.addEventListener('keydown', handleKeydown, true);
+
+  if (longPress) {
+    pressTimer = setTimeout(() => {
+      navigator.vibrate?.(10);
+      start();
+    }, LONG_PRESS_MS);
+  }
+}
+
+// Auto-scroll speed for a pointer position: negative near the top edge, positive near the bottom.
+// Speed grows the closer the pointer is to (or the further past) the edge.
+function getEdgeSpeed(y, viewportHeight) {
+  const depth = Math.max(AUTO_SCROLL_EDGE_PX - y, y - (viewportHeight - AUTO_SCROLL_EDGE_PX));
+  if (depth <= 0) return 0;
+  const speed = Math.ceil(Math.min(1, depth / AUTO_SCROLL_EDGE_PX) * AUTO_SCROLL_MAX_SPEED);
+  return y < viewportHeight / 2 ? -speed : speed;
+}
@@ -0,0 +1,530 @@
+/**
+ * Storage Layer
+ * Local persistence helpers and syncing of the dashboard across machines
+ *
+ * Everything is saved to localStorage first so the dashboard can load
+ * synchronously. When sync is turned on, the layout (pages and widgets) and the
+ * global theme are mirrored to chrome.storage.sync. Caches and secrets stay in
+ * localStorage only.
+ *
+ * Conflicts are resolved per page and per widget: each item carries the time
+ * it was last changed on the machine that changed it, and the newest version of
+ * each item wins. Deleted items leave a timestamped tombstone so a deletion on
+ * one machine is not undone by an older copy on another.
+ */
+
+/**
+ * JSON helpers for data that stays on this machine (caches, settings).
+ */
+export const LocalStore = {
+  /**
+   * Read a JSON value
+   * @param {string} key
+   * @param {*} fallback - Returned if the key is missing or unreadable
+   * @returns {*}
+   */
+  get(key, fallback = null) {
+    try {
+      const stored = localStorage.getItem(key);
+      return stored === null ? fallback : JSON.parse(stored);
+    } catch (e) {
+      console.error(`[LocalStore] Error reading ${key}:`, e);
+      return fallback;
+    }
+  },
+
+  /**
+   * Write a JSON value
+   * @param {string} key
+   * @param {*} value
+   * @returns {boolean} True if the value was saved
+   */
+  set(key, value) {
+    try {
+      localStorage.setItem(key, JSON.stringify(value));
+      return true;
+    } catch (e) {
+      console.error(`[LocalStore] Error writing ${key}:`, e);
+      return false;
+    }
+  },
+
+  /**
+   * Remove a value
+   * @param {string} key
+   */
+  remove(key) {
+    try {
+      localStorage.removeItem(key);
+    } catch (e) {
+      console.error(`[LocalStore] Error removing ${key}:`, e);
+    }
+  }
+};
+
+// Local settings for sync (per machine, never synced themselves)
+const SYNC_ENABLED_KEY = 'hellodev-sync-enabled';
+const SYNC_BOOK_KEY = 'hellodev-sync-state';
+
+// Keys used in chrome.storage.sync
+const SYNC_KEY_PREFIX = 'hd.';
+const SYNC_META_KEY = 'hd.meta';
+const SYNC_WIDGET_KEY_PREFIX = 'hd.w.';
+const SYNC_CHUNK_SEPARATOR = '#';
+
+// Fallbacks for chrome.storage.sync limits if the API doesn't report them
+const DEFAULT_QUOTA_BYTES = 102400;
+const DEFAULT_QUOTA_BYTES_PER_ITEM = 8192;
+
+// Delay before pushing local changes, to batch edits and stay under the write rate limit
+const PUSH_DELAY_MS = 2000;
+// Delay before reading remote changes, to batch chunked writes from another machine
+const PULL_DELAY_MS = 500;
+// Delay before retrying after a failed sync (e.g. write rate limit exceeded)
+const RETRY_DELAY_MS = 60 * 1000;
+// How long tombstones for deleted pages and widgets are kept
+const TOMBSTONE_TTL_MS = 30 * 24 * 60 * 60 * 1000;
+
+/**
+ * Mirrors dashboard state to chrome.storage.sync and merges changes from other machines.
+ *
+ * State exchanged with the dashboard has the shape
+ * { pages: [{ id, name, theme, widgets: [widgetConfig] }], theme }.
+ */
+export class DashboardSync {
+  /**
+   * @param {Object} options
+   * @param {Function} options.getState - Returns the current dashboard state
+   * @param {Function} options.applyState - Called with merged state when another machine changed it
+   * @param {Function} [options.onStatus] - Called with { state: 'idle'|'syncing'|'synced'|'error', message }
+   * @param {Function} [options.withoutSecrets] - Returns a copy of a widget config without its
+   *   secret values. Widget configs are only synced after going through it.
+   */
+  constructor({ getState, applyState, onStatus = () => {}, withoutSecrets = (config) => config }) {
+    this.getState = getState;
+    this.applyState = applyState;
+    this.onStatus = onStatus;
+    this.withoutSecrets = withoutSecrets;
+    this.book = LocalStore.get(SYNC_BOOK_KEY);
+    this.timerId = null;
+    this.running = null;
+    this.rerun = false;
+    this.status = { state: 'idle', message: '' };
+    this.handleStorageChanged = this.handleStorageChanged.bind(this);
+  }
+
+  /**
+   * Check whether chrome.storage.sync is available in this context
+   * @returns {boolean}
+   */
+  static isAvailable() {
+    return typeof chrome !== 'undefined' && !!chrome.storage?.sync;
+  }
+
+  /**
+   * Whether sync is turned on for this machine
+   * @returns {boolean}
+   */
+  get enabled() {
+    return DashboardSync.isAvailable() && LocalStore.get(SYNC_ENABLED_KEY, false) === true;
+  }
+
+  /**
+   * Turn sync on or off for this machine.
+   * Turning it on merges this machine's layout into the synced one.
+   * @param {boolean} enabled
+   */
+  setEnabled(enabled) {
+    LocalStore.set(SYNC_ENABLED_KEY, enabled);
+    if (enabled) {
+      this.start();
+    } else {
+      this.stop();
+      this.setStatus('idle', '');
+    }
+  }
+
+  /**
+   * Start listening for remote changes and run an initial sync
+   */
+  start() {
+    if (!this.enabled) return;
+    chrome.storage.onChanged.removeListener(this.handleStorageChanged);
+    chrome.storage.onChanged.addListener(this.handleStorageChanged);
+    this.scheduleSync(0);
+  }
+
+  /**
+   * Stop syncing (local saves keep working)
+   */
+  stop() {
+    if (DashboardSync.isAvailable()) {
+      chrome.storage.onChanged.removeListener(this.handleStorageChanged);
+    }
+    clearTimeout(this.timerId);
+    this.timerId = null;
+  }
+
+  /**
+   * Record that the dashboard was saved locally.
+   * Changed items are timestamped now, then pushed after a short delay.
+   */
+  recordLocalChange() {
+    if (!this.enabled) return;
+    this.stampLocalChanges(this.getState());
+    this.scheduleSync(PUSH_DELAY_MS);
+  }
+
+  // Sync changes written to chrome.storage.sync by other machines (or other tabs)
+  handleStorageChanged(changes, areaName) {
+    if (areaName !== 'sync') return;
+    if (Object.keys(changes).some(key => key.startsWith(SYNC_KEY_PREFIX))) {
+      this.scheduleSync(PULL_DELAY_MS);
+    }
+  }
+
+  // Run sync after a delay, replacing any sync already scheduled
+  scheduleSync(delay) {
+    clearTimeout(this.timerId);
+    this.timerId = setTimeout(() => {
+      this.timerId = null;
+      this.sync();
+    }, delay);
+  }
+
+  setStatus(state, message) {
+    this.status = { state, message };
+    this.onStatus(this.status);
+  }
+
+  /**
+   * Merge local and remote state, apply remote changes locally and push local changes.
+   * Only one sync runs at a time; requests made while running trigger one more run.
+   * @returns {Promise<void>}
+   */
+  async sync() {
+    if (!this.enabled) return;
+    if (this.running) {
+      this.rerun = true;
+      return this.running;
+    }
+
+    this.running = (async () => {
+      this.setStatus('syncing', 'Syncing...');
+      try {
+        await this.syncOnce();
+        this.setStatus('synced', `Synced ${new Date().toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' })}`);
+      } catch (e) {
+        console.error('[DashboardSync] Sync failed:', e);
+        this.setStatus('error', e.message || 'Sync failed');
+        this.scheduleSync(RETRY_DELAY_MS);
+      }
+    })();
+
+    await this.running;
+    this.running = null;
+
+    if (this.rerun) {
+      this.rerun = false;
+      await this.sync();
+    }
+  }
+
+  async syncOnce() {
+    const remote = await this.readRemote();
+    // Older versions synced secrets - merge without them so they are removed from sync below
+    const remoteWidgets = {};
+    for (const [id, record] of Object.entries(remote.widgets)) {
+      remoteWidgets[id] = { ...record, value: { ...record.value, config: this.withoutSecrets(record.value.config) } };
+    }
+    const localState = this.getState();
+    this.stampLocalChanges(localState);
+
+    const now = Date.now();
+    const deleted = {
+      pages: mergeTombstones(this.book.deleted.pages, remote.meta?.deleted?.pages, now),
+      widgets: mergeTombstones(this.book.deleted.widgets, remote.meta?.deleted?.widgets, now)
+    };
+
+    const merged = {
+      pages: mergeItems(this.book.pages, remote.meta?.pages || {}, deleted.pages),
+      widgets: mergeItems(this.book.widgets, remoteWidgets, deleted.widgets),
+      theme: pickNewest(this.book.theme, fromRemoteItem(remote.meta?.theme))
+    };
+
+    // Every page was deleted elsewhere - keep the local pages rather than leave none
+    if (Object.keys(merged.pages).length === 0) {
+      merged.pages = this.book.pages;
+      merged.widgets = this.book.widgets;
+    }
+
+    const localChanged = !sameItems(merged.pages, this.book.pages) ||
+      !sameItems(merged.widgets, this.book.widgets) ||
+      merged.theme?.json !== this.book.theme?.json;
+
+    this.book = { pages: merged.pages, widgets: merged.widgets, theme: merged.theme, deleted };
+    LocalStore.set(SYNC_BOOK_KEY, this.book);
+
+    if (localChanged) {
+      this.applyState(itemsToState(merged));
+    }
+
+    await this.writeRemote(merged, deleted, remote);
+  }
+
+  // Compare the dashboard state with the book and timestamp anything that changed
+  stampLocalChanges(state) {
+    const now = Date.now();
+
+    // Before the first sync, local items are older than anything already synced,
+    // so joining an existing synced layout doesn't overwrite it with this machine's copy
+    const isFirstSync = !this.book;
+    const stampTime = isFirstSync ? 0 : now;
+    const book = this.book || { pages: {}, widgets: {}, theme: null, deleted: { pages: {}, widgets: {} } };
+
+    const items = stateToItems(state, this.withoutSecrets);
+    for (const collection of ['pages', 'widgets']) {
+      for (const [id, value] of Object.entries(items[collection])) {
+        const json = JSON.stringify(value);
+        if (book[collection][id]?.json !== json) {
+          book[collection][id] = { json, updatedAt: stampTime };
+        }
+      }
+      for (const id of Object.keys(book[collection])) {
+        if (!(id in items[collection])) {
+          delete book[collection][id];
+          book.deleted[collection][id] = now;
+        }
+      }
+    }
+
+    const themeJson = JSON.stringify(items.theme);
+    if (book.theme?.json !== themeJson) {
+      book.theme = { json: themeJson, updatedAt: stampTime };
+    }
+
+    this.book = book;
+    LocalStore.set(SYNC_BOOK_KEY, book);
+  }
+
+  // Read and reassemble everything this extension stored in chrome.storage.sync
+  async readRemote() {
+    const all = await chrome.storage.sync.get(null);
+    const keys = Object.keys(all).filter(key => key.startsWith(SYNC_KEY_PREFIX));
+    const records = {};
+
+    for (const key of keys) {
+      if (key.includes(SYNC_CHUNK_SEPARATOR)) continue;
+      const record = readRecord(all, key);
+      if (record !== undefined) {
+        records[key] = record;
+      }
+    }
+
+    const widgets = {};
+    for (const [key, record] of Object.entries(records)) {
+      if (key.startsWith(SYNC_WIDGET_KEY_PREFIX)) {
+        widgets[key.slice(SYNC_WIDGET_KEY_PREFIX.length)] = record;
+      }
+    }
+
+    return { meta: records[SYNC_META_KEY] || null, widgets, keys };
+  }
+
+  // Write changed records to chrome.storage.sync and remove stale ones
+  async writeRemote(merged, deleted, remote) {
+    const meta = {
+      pages: toRemoteItems(merged.pages),
+      theme: merged.theme ? { updatedAt: merged.theme.updatedAt, value: JSON.parse(merged.theme.json) } : null,
+      deleted
+    };
+    const widgets = toRemoteItems(merged.widgets);
+
+    // Secrets stay on this machine
+    for (const [id, record] of Object.entries(widgets)) {
+      if (JSON.stringify(this.withoutSecrets(record.value.config)) !== JSON.stringify(record.value.config)) {
+        throw new Error(`Widget ${id} has secret settings that can't be synced. Changes are saved on this machine only.`);
+      }
+    }
+
+    // Lay out every record as it will be stored, to check the quota before writing
+    const layout = {};
+    Object.assign(layout, layoutRecord(SYNC_META_KEY, meta));
+    for (const [id, record] of Object.entries(widgets)) {
+      Object.assign(layout, layoutRecord(SYNC_WIDGET_KEY_PREFIX + id, record));
+    }
+
+    const quota = chrome.storage.sync.QUOTA_BYTES || DEFAULT_QUOTA_BYTES;
+    const totalBytes = Object.entries(layout).reduce((sum, [key, value]) => sum + itemBytes(key, value), 0);
+    if (totalBytes > quota) {
+      throw new Error(`Dashboard is too large to sync (${Math.ceil(totalBytes / 1024)} KB of ${Math.floor(quota / 1024)} KB). Changes are saved on this machine only.`);
+    }
+
+    // Only write records that changed
+    const changed = {};
+    if (JSON.stringify(remote.meta) !== JSON.stringify(meta)) {
+      Object.assign(changed, layoutRecord(SYNC_META_KEY, meta));
+    }
+    for (const [id, record] of Object.entries(widgets)) {
+      if (JSON.stringify(remote.widgets[id]) !== JSON.stringify(record)) {
+        Object.assign(changed, layoutRecord(SYNC_WIDGET_KEY_PREFIX + id, record));
+      }
+    }
+
+    const stale = remote.keys.filter(key => !(key in layout));
+
+    if (Object.keys(changed).length > 0) {
+      await chrome.storage.sync.set(changed);
+    }
+    if (stale.length > 0) {
+      await chrome.storage.sync.remove(stale);
+    }
+  }
+}
+
+// ============================================================================
+// Item conversion and merging
+// ============================================================================
+
+// Split dashboard state into independently synced items, without widget secrets
+function stateToItems(state, withoutSecrets) {
+  const items = { pages: {}, widgets: {}, theme: state.theme || null };
+  state.pages.forEach((page, index) => {
+    items.pages[page.id] = { name: page.name, theme: page.theme || null, index };
+    for (const config of page.widgets) {
+      items.widgets[config.id] = { pageId: page.id, config: withoutSecrets(config) };
+    }
+  });
+  return items;
+}
+
+// Rebuild dashboard state from merged items
+function itemsToState(merged) {
+  const pages = Object.entries(merged.pages)
+    .map(([id, item]) => ({ id, ...JSON.parse(item.json) }))
+    .sort((a, b) => a.index - b.index)
+    .map(({ id, name, theme }) => ({ id, name, theme, widgets: [] }));
+
+  for (const item of Object.values(merged.widgets)) {
+    const { pageId, config } = JSON.parse(item.json);
+    // Widgets whose page was deleted elsewhere move to the first page
+    const page = pages.find(p => p.id === pageId) || pages[0];
+    page?.widgets.push(config);
+  }
+
+  return {
+    pages,
+    theme: merged.theme ? JSON.parse(merged.theme.json) : null
+  };
+}
+
+// Merge local and remote items, keeping the newest version of each that wasn't deleted later
+function mergeItems(localItems, remoteItems, tombstones) {
+  const merged = {};
+  const ids = new Set([...Object.keys(localItems), ...Object.keys(remoteItems)]);
+
+  for (const id of ids) {
+    const winner = pickNewest(localItems[id], fromRemoteItem(remoteItems[id]));
+    if (tombstones[id] !== undefined && tombstones[id] >= winner.updatedAt) continue;
+    merged[id] = winner;
+  }
+
+  return merged;
+}
+
+// Convert a stored { updatedAt, value } item to the { json, updatedAt } form used for merging
+function fromRemoteItem(item) {
+  return item ? { json: JSON.stringify(item.value), updatedAt: item.updatedAt } : null;
+}
+
+// Pick the more recently updated of two { json, updatedAt } items.
+// Remote wins ties, so a machine joining sync takes the synced copy of items it shares.
+function pickNewest(local, remote) {
+  if (!remote) return local || null;
+  if (!local) return remote;
+  return remote.updatedAt >= local.updatedAt ? remote : local;
+}
+
+// Combine tombstones from both sides, dropping expired ones
+function mergeTombstones(local = {}, remote = {}, now) {
+  const merged = {};
+  for (const [id, deletedAt] of [...Object.entries(local), ...Object.entries(remote)]) {
+    if (now - deletedAt > TOMBSTONE_TTL_MS) continue;
+    merged[id] = Math.max(merged[id] ?? 0, deletedAt);
+  }
+  return merged;
+}
+
+function sameItems(a, b) {
+  const aIds = Object.keys(a);
+  return aIds.length === Object.keys(b).length && aIds.every(id => b[id]?.json === a[id].json);
+}
+
+function toRemoteItems(items) {
+  const remote = {};
+  for (const [id, item] of Object.entries(items)) {
+    remote[id] = { updatedAt: item.updatedAt, value: JSON.parse(item.json) };
+  }
+  return remote;
+}
+
+// ============================================================================
+// Chunking
+// ============================================================================
+
+// Byte size of an item as counted against chrome.storage.sync quotas
+function itemBytes(key, value) {
+  return new TextEncoder().encode(key + JSON.stringify(value)).length;
+}
+
+// Lay out a record as storage items, splitting it into chunks if it exceeds the per-item limit.
+// Chunked records store { chunks: n } under the key and the JSON text in key#0..key#n-1.
+function layoutRecord(key, record) {
+  if (itemBytes(key, record) <= getItemLimit()) {
+    return { [key]: record };
+  }
+
+  const text = JSON.stringify(record);
+  const chunkKey = (i) => `${key}${SYNC_CHUNK_SEPARATOR}${i}`;
+  // Leave room for the chunk key, including a multi-digit index
+  const maxBytes = getItemLimit() - chunkKey(999).length;
+  const items = {};
+  let count = 0;
+  let start = 0;
+
+  while (start < text.length) {
+    let end = Math.min(text.length, start + maxBytes);
+    while (itemBytes('', text.slice(start, end)) > maxBytes) {
+      end = start + Math.floor((end - start) * 0.75);
+    }
+    items[chunkKey(count++)] = text.slice(start, end);
+    start = end;
+  }
+
+  items[key] = { chunks: count };
+  return items;
+}
+
+// Read a record written by layoutRecord(), or undefined if its chunks are incomplete
+function readRecord(all, key) {
+  const value = all[key];
+  if (!value || typeof value.chunks !== 'number') return value;
+
+  let text = '';
+  for (let i = 0; i < value.chunks; i++) {
+    const chunk = all[`${key}${SYNC_CHUNK_SEPARATOR}${i}`];
+    // Another machine may still be writing the chunks - the next change event will retry
+    if (typeof chunk !== 'string') return undefined;
+    text += chunk;
+  }
+
+  try {
+    return JSON.parse(text);
+  } catch (e) {
+    return undefined;
+  }
+}
+
+function getItemLimit() {
+  return chrome.storage.sync.QUOTA_BYTES_PER_ITEM || DEFAULT_QUOTA_BYTES_PER_ITEM;
+}
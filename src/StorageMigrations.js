@@ -0,0 +1,125 @@
+/**
+ * Dashboard State Migrations
+ * Upgrades saved dashboard state to the current STORAGE_VERSION
+ *
+ * State migrations form a chain: each registered function upgrades the state
+ * from one version to the next (v1 -> v2 -> v3 ...). Widget `data` is migrated
+ * per widget type using the dataVersion/dataMigrations declared on each
+ * WidgetBase subclass.
+ *
+ * Migrations describe historic formats, so they must not depend on current
+ * defaults or constants that may change later.
+ */
+
+import { WidgetRegistry } from './widgets/index.js';
+
+// Registered state migrations, keyed by the version they upgrade from
+const stateMigrations = new Map();
+
+/**
+ * Register a migration that upgrades saved state from `fromVersion` to the next version.
+ * @param {number} fromVersion - Version the migration accepts
+ * @param {Function} migrate - Receives the state at fromVersion, returns the upgraded state
+ */
+export function registerStateMigration(fromVersion, migrate) {
+  if (stateMigrations.has(fromVersion)) {
+    throw new Error(`A storage migration from version ${fromVersion} is already registered`);
+  }
+  stateMigrations.set(fromVersion, migrate);
+}
+
+/**
+ * Get the version of a saved state object.
+ * The legacy format (a bare array of widgets) is treated as version 0.
+ * @param {*} state - Parsed saved state
+ * @returns {number}
+ */
+export function getStateVersion(state) {
+  if (Array.isArray(state)) return 0;
+  if (state && typeof state === 'object' && Number.isInteger(state.version)) return state.version;
+  throw new Error('Saved state is not a recognized dashboard format');
+}
+
+/**
+ * Upgrade saved state, including widget data, to the target version.
+ * The input is not modified.
+ * @param {*} state - Parsed saved state
+ * @param {number} targetVersion - Version to upgrade to (STORAGE_VERSION)
+ * @returns {{ state: Object, migrated: boolean }} The upgraded state and whether anything changed
+ * @throws {Error} If a migration is missing or fails
+ */
+export function migrateDashboardState(state, targetVersion) {
+  let version = getStateVersion(state);
+  if (version > targetVersion) {
+    throw new Error(`Saved state version ${version} is newer than supported version ${targetVersion}`);
+  }
+
+  let current = structuredClone(state);
+  let migrated = false;
+
+  while (version < targetVersion) {
+    const migrate = stateMigrations.get(version);
+    if (!migrate) {
+      throw new Error(`No storage migration registered from version ${version}`);
+    }
+    current = migrate(current);
+    const nextVersion = getStateVersion(current);
+    if (nextVersion <= version) {
+      throw new Error(`Storage migration from version ${version} did not increase the version`);
+    }
+    version = nextVersion;
+    migrated = true;
+  }
+
+  for (const page of current.pages || []) {
+    for (const config of page.widgets || []) {
+      if (migrateWidgetConfig(config)) migrated = true;
+    }
+  }
+
+  return { state: current, migrated };
+}
+
+/**
+ * Upgrade a single widget config's data in place using its widget class's migrations.
+ * Unknown widget types are left untouched.
+ * @param {Object} config - Widget config from saved state
+ * @returns {boolean} True if the data was migrated
+ */
+export function migrateWidgetConfig(config) {
+  const WidgetClass = WidgetRegistry[config.type];
+  if (!WidgetClass) return false;
+
+  const fromVersion = config.dataVersion ?? 1;
+  if (fromVersion === WidgetClass.dataVersion) return false;
+
+  try {
+    config.data = WidgetClass.migrateData(config.data || {}, fromVersion);
+  } catch (e) {
+    throw new Error(`Widget ${config.id} (${config.type}): ${e.message}`);
+  }
+  config.dataVersion = WidgetClass.dataVersion;
+  return true;
+}
+
+// ============================================================================
+// Registered Migrations
+// ============================================================================
+
+// v0 -> v1: Legacy bare array of widgets gains a version wrapper
+registerStateMigration(0, (widgets) => ({
+  version: 1,
+  widgets
+}));
+
+// v1 -> v2: Single dashboard becomes the "Default" page
+registerStateMigration(1, (state) => ({
+  version: 2,
+  activePageId: 'page-1',
+  pages: [{
+    id: 'page-1',
+    name: 'Default',
+    theme: null,
+    widgets: state.widgets || []
+  }]
+}));
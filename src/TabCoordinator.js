@@ -0,0 +1,146 @@
+/**
+ * Tab Coordinator
+ * Lets several open HelloDev tabs share one request for the same data instead
+ * of each tab fetching it.
+ *
+ * run() takes a Web Lock named after the data's key, so tabs asking for the same
+ * data queue up behind the one that's fetching it. Each result is broadcast to
+ * the other tabs on a BroadcastChannel, and its time is written to localStorage.
+ * A tab that gets the lock after another tab has fetched the data reuses that
+ * result instead of running its own request (localStorage is checked because the
+ * broadcast can arrive after the lock is released), and subscribe() lets widgets
+ * pick up results fetched by other tabs as they arrive.
+ *
+ * Without Web Locks or BroadcastChannel (e.g. in tests), every request just runs.
+ */
+
+import { LocalStore } from './Storage.js';
+
+// How long to wait for another tab's broadcast once localStorage says it has a result
+const RESULT_WAIT_MS = 1000;
+
+// Result times older than this are dropped from localStorage
+const RESULT_TIME_TTL_MS = 24 * 60 * 60 * 1000;
+
+export class TabCoordinator {
+  /**
+   * @param {string} name - Prefix for the channel and lock names
+   */
+  constructor(name) {
+    this.name = name;
+    this.results = new Map();   // key -> { value, time } of the latest result from any tab
+    this.listeners = new Map(); // key -> Set of listeners for results from other tabs
+    this.waiters = new Set();   // Pending waitForResult() calls
+    this.timesKey = `${name}-times`;
+    this.channel = typeof BroadcastChannel === 'function' ? new BroadcastChannel(name) : null;
+    this.channel?.addEventListener('message', (e) => this.handleMessage(e.data));
+  }
+
+  /**
+   * Get data for a key, running `task` unless another tab fetched it recently
+   * @param {string} key - Identifies the data source (e.g. a query)
+   * @param {Function} task - Async function that fetches the data. The result must be cloneable.
+   * @param {Object} [options]
+   * @param {number} [options.maxAge=0] - Reuse a result up to this old (ms). Results that
+   *   arrive while waiting for another tab are always reused.
+   * @returns {Promise<{ value: *, time: number, shared: boolean }>} `shared` is true
+   *   if the result came from another request
+   */
+  async run(key, task, { maxAge = 0 } = {}) {
+    const requestedAt = Date.now();
+
+    const isFresh = (time) => time >= requestedAt || Date.now() - time < maxAge;
+
+    const runTask = async () => {
+      let latest = this.results.get(key);
+      const sharedTime = this.getResultTimes()[key] ?? 0;
+      if (sharedTime > (latest?.time ?? 0) && isFresh(sharedTime)) {
+        latest = await this.waitForResult(key, sharedTime);
+      }
+      if (latest && isFresh(latest.time)) {
+        return { ...latest, shared: true };
+      }
+      const result = { value: await task(), time: Date.now() };
+      this.publish(key, result);
+      return { ...result, shared: false };
+    };
+
+    if (!navigator.locks) return runTask();
+    return navigator.locks.request(`${this.name}:${key}`, runTask);
+  }
+
+  /**
+   * Listen for results for a key fetched by other tabs
+   * @param {string} key
+   * @param {Function} listener - Called with (value, time)
+   * @returns {Function} Call to stop listening
+   */
+  subscribe(key, listener) {
+    if (!this.listeners.has(key)) this.listeners.set(key, new Set());
+    this.listeners.get(key).add(listener);
+    return () => {
+      this.listeners.get(key)?.delete(listener);
+      if (this.listeners.get(key)?.size === 0) this.listeners.delete(key);
+    };
+  }
+
+  publish(key, result) {
+    this.results.set(key, result);
+
+    const times = this.getResultTimes();
+    for (const [otherKey, time] of Object.entries(times)) {
+      if (Date.now() - time > RESULT_TIME_TTL_MS) delete times[otherKey];
+    }
+    LocalStore.set(this.timesKey, { ...times, [key]: result.time });
+
+    try {
+      this.channel?.postMessage({ key, ...result });
+    } catch (err) {
+      console.error(`[TabCoordinator] Error sharing result for ${key}:`, err);
+    }
+  }
+
+  handleMessage(message) {
+    if (typeof message?.key !== 'string' || typeof message.time !== 'number') return;
+    const { key, value, time } = message;
+    if ((this.results.get(key)?.time ?? 0) >= time) return;
+
+    this.results.set(key, { value, time });
+    this.waiters.forEach(waiter => waiter());
+    this.listeners.get(key)?.forEach(listener => {
+      try {
+        listener(value, time);
+      } catch (err) {
+        console.error(`[TabCoordinator] Error handling result for ${key}:`, err);
+      }
+    });
+  }
+
+  // When each key was last fetched by any tab
+  getResultTimes() {
+    const times = LocalStore.get(this.timesKey, {});
+    return times && typeof times === 'object' ? times : {};
+  }
+
+  // Wait for another tab's broadcast of a result at least as new as `time`.
+  // Resolves with the result, or null if it doesn't arrive in time.
+  waitForResult(key, time) {
+    return new Promise(resolve => {
+      const check = () => {
+        const result = this.results.get(key);
+        if (result && result.time >= time) finish(result);
+      };
+      const finish = (result) => {
+        clearTimeout(timer);
+        this.waiters.delete(check);
+        resolve(result);
+      };
+      const timer = setTimeout(() => finish(null), RESULT_WAIT_MS);
+      this.waiters.add(check);
+      check();
+    });
+  }
+}
+
+// Shared by everything on the page
+export const tabCoordinator = new TabCoordinator('hellodev-data');
@@ -0,0 +1,90 @@
+/**
+ * Widget Templates
+ * Named, preconfigured widgets (e.g. "My reviews" or "Team active PRs") saved
+ * from a widget's config dialog and offered in the Add Widget flyout next to
+ * the built-in widget types.
+ *
+ * A template keeps a widget's type, size and settings. Its dataVersion is kept
+ * too, so widgets added from an old template are upgraded by the widget type's
+ * dataMigrations like any saved widget. Templates are kept on this machine.
+ */
+
+import { LocalStore } from './Storage.js';
+
+const TEMPLATES_KEY = 'hellodev-widget-templates';
+
+export const MAX_TEMPLATE_NAME_LENGTH = 40;
+
+/**
+ * Saved templates, in the order they were saved
+ * @returns {Array<{ id: string, name: string, type: string, width: number, height: number, dataVersion: number, data: Object }>}
+ */
+export function getTemplates() {
+  const templates = LocalStore.get(TEMPLATES_KEY, []);
+  return Array.isArray(templates)
+    ? templates.filter(t => t && typeof t.name === 'string' && typeof t.type === 'string')
+    : [];
+}
+
+/**
+ * Save a widget's settings as a template. A template of the same type and name is replaced.
+ * @param {string} name - Template name
+ * @param {Object} config - Widget config (as from WidgetBase.toJSON())
+ * @returns {Object} The saved template
+ * @throws {Error} With a message for the user if the name is invalid or storage is full
+ */
+export function saveTemplate(name, config) {
+  name = name.trim();
+  if (!name) throw new Error('Enter a name for the template.');
+  if (name.length > MAX_TEMPLATE_NAME_LENGTH) {
+    throw new Error(`Template names can be at most ${MAX_TEMPLATE_NAME_LENGTH} characters.`);
+  }
+
+  const template = {
+    id: `template-${Date.now()}`,
+    name,
+    type: config.type,
+    width: config.width,
+    height: config.height,
+    dataVersion: config.dataVersion,
+    data: structuredClone(config.data ?? {})
+  };
+  const sameName = (t) => t.type === template.type && t.name.toLowerCase() === name.toLowerCase();
+  const templates = getTemplates();
+  const index = templates.findIndex(sameName);
+  if (index >= 0) {
+    templates[index] = template;
+  } else {
+    templates.push(template);
+  }
+
+  if (!LocalStore.set(TEMPLATES_KEY, templates)) {
+    throw new Error('The template could not be saved. Browser storage may be full.');
+  }
+  return template;
+}
+
+/**
+ * Delete a template
+ * @param {string} id - Template ID
+ * @returns {{ template: Object, index: number }|null} What was removed, for restoreTemplate()
+ */
+export function removeTemplate(id) {
+  const templates = getTemplates();
+  const index = templates.findIndex(t => t.id === id);
+  if (index < 0) return null;
+
+  const [template] = templates.splice(index, 1);
+  LocalStore.set(TEMPLATES_KEY, templates);
+  return { template, index };
+}
+
+/**
+ * Put back a removed template (undo)
+ * @param {{ template: Object, index: number }} removed - From removeTemplate()
+ */
+export function restoreTemplate({ template, index }) {
+  const templates = getTemplates().filter(t => t.id !== template.id);
+  templates.splice(Math.min(index, templates.length), 0, template);
+  LocalStore.set(TEMPLATES_KEY, templates);
+}
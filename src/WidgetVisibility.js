@@ -0,0 +1,72 @@
+/**
+ * Widget Visibility
+ * Tells widgets when they can be seen, so they can pause timers and polling
+ * in background tabs and while scrolled off-screen.
+ *
+ * A widget is visible while its tab is visible (document.visibilityState) and
+ * its element intersects the viewport (IntersectionObserver). Changes are passed
+ * to WidgetBase.setVisible(), which calls the widget's onVisible()/onHidden() hooks.
+ */
+
+export class WidgetVisibility {
+  constructor() {
+    this.widgets = new Map(); // element -> widget
+    this.intersecting = new WeakMap(); // element -> boolean
+
+    // Without IntersectionObserver, every element counts as on-screen
+    this.observer = typeof IntersectionObserver === 'function'
+      ? new IntersectionObserver(entries => this.handleIntersections(entries))
+      : null;
+
+    document.addEventListener('visibilitychange', () => this.updateAll());
+  }
+
+  get documentVisible() {
+    return document.visibilityState !== 'hidden';
+  }
+
+  /**
+   * Start tracking a widget's element
+   * @param {WidgetBase} widget
+   * @param {HTMLElement} element - The widget's rendered element
+   */
+  observe(widget, element) {
+    this.widgets.set(element, widget);
+    if (this.observer) {
+      // The observer reports the element's initial state straight away
+      this.observer.observe(element);
+    } else {
+      this.intersecting.set(element, true);
+      this.update(element);
+    }
+  }
+
+  /**
+   * Stop tracking an element that was removed from the dashboard. The widget counts as hidden.
+   * @param {HTMLElement} element
+   */
+  unobserve(element) {
+    const widget = this.widgets.get(element);
+    this.observer?.unobserve(element);
+    this.widgets.delete(element);
+    widget?.setVisible(false);
+  }
+
+  handleIntersections(entries) {
+    for (const entry of entries) {
+      this.intersecting.set(entry.target, entry.isIntersecting);
+      this.update(entry.target);
+    }
+  }
+
+  updateAll() {
+    for (const element of this.widgets.keys()) {
+      this.update(element);
+    }
+  }
+
+  update(element) {
+    const widget = this.widgets.get(element);
+    widget?.setVisible(this.documentVisible && this.intersecting.get(element) === true);
+  }
+}
@@ -1,3 +1,9 @@
+import {
+  WATCH_STORAGE_KEY, VOTES, buildPullRequestsUrl, getPullRequestWebUrl, getPullRequestApiUrl, fetchJSON,
+  lookupUserId, getAuthenticatedUser, getConnectionDataUrl, isAwaitingVote, countComments,
+  createSnapshot, diffSnapshots
+} from './ADOPullRequests.js';
+
 // Open HelloDev page in a new tab when the extension icon is clicked
 chrome.action.onClicked.addListener(() => {
   chrome.tabs.create({ url: 'hellodev.html' });
@@ -25,6 +31,7 @@ chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
   
   if (request.type === 'ADO_CLEAR_TOKEN_CACHE') {
     console.log('[background] Clear token cache requested');
+    cachedToken = null;
     sendResponse({ success: true });
     return true;
   }
@@ -70,3 +77,262 @@ async function getAzureDevOpsToken() {
     }
   });
 }
+
+// ============================================================================
+// PR Notifications
+// ============================================================================
+
+// Queries are written by the dashboard (see ADOPullRequests.js); the last
+// snapshot of each is kept here so changes can be found on the next check
+const SNAPSHOTS_KEY = 'adopr-snapshots';
+const POLL_ALARM = 'adopr-poll';
+const POLL_INTERVAL_MINUTES = 5;
+const TOKEN_EXPIRY_MARGIN_MS = 5 * 60 * 1000;
+
+// Comment threads are fetched per PR, so only the newest PRs of a query are checked
+const MAX_COMMENT_CHECKS = 20;
+
+// Notifications shown per check; the rest are summed up in one more
+const MAX_NOTIFICATIONS = 5;
+
+const NOTIFICATION_PREFIX = 'adopr|';
+
+let runningCheck = null;
+let checkQueued = false;
+
+// Token from the native host, kept while the worker runs
+let cachedToken = null;
+
+chrome.runtime.onInstalled.addListener(() => schedulePRChecks());
+chrome.runtime.onStartup.addListener(() => schedulePRChecks());
+
+chrome.alarms.onAlarm.addListener((alarm) => {
+  if (alarm.name === POLL_ALARM) checkWatchedQueries();
+});
+
+// Check straight away when queries change, so new ones get a snapshot to compare with
+chrome.storage.onChanged.addListener((changes, area) => {
+  if (area === 'local' && changes[WATCH_STORAGE_KEY]) {
+    schedulePRChecks().then(() => checkWatchedQueries({ queue: true }));
+  }
+});
+
+// Notifications open their PR
+chrome.notifications.onClicked.addListener((notificationId) => {
+  if (!notificationId.startsWith(NOTIFICATION_PREFIX)) return;
+  const url = notificationId.split('|').slice(2).join('|');
+  if (url) chrome.tabs.create({ url });
+  chrome.notifications.clear(notificationId);
+});
+
+// Run the alarm while any query has notification rules
+async function schedulePRChecks() {
+  const { [WATCH_STORAGE_KEY]: watched = {} } = await chrome.storage.local.get(WATCH_STORAGE_KEY);
+  if (Object.keys(watched).length === 0) {
+    await chrome.alarms.clear(POLL_ALARM);
+    await chrome.storage.local.remove(SNAPSHOTS_KEY);
+    await chrome.action.setBadgeText({ text: '' });
+    return;
+  }
+  if (!(await chrome.alarms.get(POLL_ALARM))) {
+    await chrome.alarms.create(POLL_ALARM, { periodInMinutes: POLL_INTERVAL_MINUTES });
+  }
+}
+
+// One check at a time. An alarm during a check is skipped; a queued request
+// (queries changed) runs one more check after it, which may have read the old ones
+function checkWatchedQueries({ queue = false } = {}) {
+  if (runningCheck) {
+    if (queue) checkQueued = true;
+    return runningCheck;
+  }
+  runningCheck = runChecks().finally(() => {
+    runningCheck = null;
+    if (checkQueued) {
+      checkQueued = false;
+      checkWatchedQueries();
+    }
+  });
+  return runningCheck;
+}
+
+// Reuse the last token until shortly before it expires
+async function getAccessToken() {
+  if (cachedToken && new Date(cachedToken.expiresOn).getTime() - Date.now() > TOKEN_EXPIRY_MARGIN_MS) {
+    return cachedToken.accessToken;
+  }
+  const result = await getAzureDevOpsToken();
+  if (result.error) throw new Error(result.error);
+  cachedToken = result;
+  return result.accessToken;
+}
+
+// Fetch every watched query, notify about what changed since the last check
+// and update the badge
+async function runChecks() {
+  const stored = await chrome.storage.local.get([WATCH_STORAGE_KEY, SNAPSHOTS_KEY]);
+  const watched = stored[WATCH_STORAGE_KEY] || {};
+  const snapshots = stored[SNAPSHOTS_KEY] || {};
+  if (Object.keys(watched).length === 0) return;
+
+  let accessToken;
+  try {
+    accessToken = await getAccessToken();
+  } catch (err) {
+    console.warn('[background] Skipping PR check, no access token:', err.message);
+    return;
+  }
+
+  const users = {};    // Signed-in user by organization
+  const userIds = {};  // Creator and reviewer IDs by "organization/email"
+  const nextSnapshots = {};
+  const notifications = [];
+  const awaitingVote = new Set();
+
+  for (const [key, watch] of Object.entries(watched)) {
+    try {
+      users[watch.organization] ??= await requestJSON(getConnectionDataUrl(watch.organization), accessToken)
+        .then(getAuthenticatedUser);
+      const me = users[watch.organization];
+      const snapshot = await fetchSnapshot(watch, me, accessToken, userIds);
+      const previous = snapshots[key];
+      nextSnapshots[key] = snapshot;
+
+      if (previous) {
+        const events = await findCompleted(diffSnapshots(previous, snapshot, me.id), watch, accessToken);
+        notifications.push(...events.filter(event => watch.notify.includes(getRule(event))).map(event => describeEvent(event, watch)));
+      }
+      if (watch.notify.includes('badge')) {
+        Object.values(snapshot.prs)
+          .filter(pr => isAwaitingVote(pr, me.id))
+          .forEach(pr => awaitingVote.add(`${watch.organization}/${pr.pullRequestId}`));
+      }
+    } catch (err) {
+      console.warn(`[background] Could not check PR query "${watch.name}":`, err.message);
+      // Compare with the old snapshot next time rather than missing changes
+      if (snapshots[key]) nextSnapshots[key] = snapshots[key];
+    }
+  }
+
+  await chrome.storage.local.set({ [SNAPSHOTS_KEY]: nextSnapshots });
+  await showNotifications(notifications);
+  await updateBadge(Object.values(watched).some(watch => watch.notify.includes('badge')) ? awaitingVote.size : null);
+}
+
+// PRs of a watched query, with comment counts if it notifies about comments
+async function fetchSnapshot(watch, me, accessToken, userIds) {
+  const { organization, project, query } = watch;
+  const resolve = async (email) => {
+    if (!email) return null;
+    const cacheKey = `${organization}/${email}`;
+    userIds[cacheKey] ??= await lookupUserId(organization, email, accessToken);
+    return userIds[cacheKey];
+  };
+  const creatorId = await resolve(query.creatorEmail);
+  const reviewerId = query.status === 'active' ? await resolve(query.reviewerEmail) : null;
+
+  const data = await requestJSON(buildPullRequestsUrl(organization, project, query, { creatorId, reviewerId }), accessToken);
+  const prs = (data.value || []).map(pr => ({ ...pr, url: getPullRequestWebUrl(organization, project, pr) }));
+
+  const commentCounts = new Map();
+  if (watch.notify.includes('comments')) {
+    const active = prs.filter(pr => pr.status === 'active').slice(0, MAX_COMMENT_CHECKS);
+    await Promise.all(active.map(async (pr) => {
+      const threads = await requestJSON(`${getPullRequestApiUrl(watch.organization, watch.project, pr)}/threads?api-version=7.0`, accessToken);
+      commentCounts.set(pr.pullRequestId, countComments(threads.value || [], me.id));
+    }));
+  }
+  return createSnapshot(prs, commentCounts);
+}
+
+// PRs that left an active query were completed or abandoned; look up which
+async function findCompleted(events, watch, accessToken) {
+  if (!watch.notify.includes('completed')) return events.filter(event => event.type !== 'gone');
+
+  const found = await Promise.all(events.map(async (event) => {
+    if (event.type !== 'gone') return event;
+    try {
+      const org = encodeURIComponent(watch.organization);
+      const project = encodeURIComponent(watch.project);
+      const pr = await requestJSON(`https://dev.azure.com/${org}/${project}/_apis/git/pullrequests/${event.pr.pullRequestId}?api-version=7.0`, accessToken);
+      return pr.status === 'completed' ? { type: 'completed', pr: { ...event.pr, status: 'completed' } } : null;
+    } catch (err) {
+      console.warn(`[background] Could not look up PR ${event.pr.pullRequestId}:`, err.message);
+      return null;
+    }
+  }));
+  return found.filter(Boolean);
+}
+
+// Notification rule (see NOTIFY_RULES) that an event belongs to
+function getRule(event) {
+  return { reviewRequested: 'reviewRequested', vote: 'votes', comments: 'comments', completed: 'completed' }[event.type];
+}
+
+function describeEvent(event, watch) {
+  const { pr } = event;
+  let title;
+  switch (event.type) {
+    case 'reviewRequested':
+      title = 'Review requested';
+      break;
+    case 'vote': {
+      const vote = VOTES.find(v => v.value === event.reviewer.vote);
+      title = `${event.reviewer.displayName || 'Someone'}: ${vote?.label || 'Voted'}`;
+      break;
+    }
+    case 'comments':
+      title = `${event.count} new comment${event.count === 1 ? '' : 's'}`;
+      break;
+    case 'completed':
+      title = 'PR completed';
+      break;
+  }
+  return {
+    url: pr.url,
+    title,
+    message: pr.title,
+    contextMessage: `#${pr.pullRequestId}${pr.repository ? ` · ${pr.repository}` : ''} · ${watch.name}`
+  };
+}
+
+async function showNotifications(notifications) {
+  const shown = notifications.length > MAX_NOTIFICATIONS ? notifications.slice(0, MAX_NOTIFICATIONS - 1) : notifications;
+  const rest = notifications.length - shown.length;
+  const stamp = Date.now();
+
+  for (const [index, notification] of shown.entries()) {
+    await chrome.notifications.create(`${NOTIFICATION_PREFIX}${stamp}-${index}|${notification.url}`, {
+      type: 'basic',
+      iconUrl: 'icons/icon128.png',
+      title: notification.title,
+      message: notification.message,
+      contextMessage: notification.contextMessage
+    });
+  }
+  if (rest > 0) {
+    await chrome.notifications.create(`${NOTIFICATION_PREFIX}${stamp}-more|`, {
+      type: 'basic',
+      iconUrl: 'icons/icon128.png',
+      title: 'Pull requests',
+      message: `${rest} more update${rest === 1 ? '' : 's'} on your pull requests`
+    });
+  }
+}
+
+// Number of PRs awaiting your vote, or no badge (null) when no query counts them
+async function updateBadge(count) {
+  await chrome.action.setBadgeText({ text: count ? String(count) : '' });
+  if (count) await chrome.action.setBadgeBackgroundColor({ color: '#e74c3c' });
+}
+
+// fetchJSON() that forgets the cached token when the API rejects it: the native
+// host may have given a token that has since been revoked
+async function requestJSON(url, accessToken) {
+  try {
+    return await fetchJSON(url, accessToken);
+  } catch (err) {
+    if (err.status === 401) cachedToken = null;
+    throw err;
+  }
+}
@@ -0,0 +1,135 @@
+/**
+ * Render benchmark
+ * Renders 50 widgets, then moves one of them a number of times and compares
+ * the incremental DashboardRenderer with rebuilding every widget element.
+ *
+ * Open benchmarks/render.html from the loaded extension (it uses the same
+ * widgets and styles as the new tab page). ADO widgets are left out so the
+ * benchmark doesn't make network requests.
+ */
+
+import { DashboardRenderer } from '../DashboardRenderer.js';
+import { createWidget } from '../widgets/index.js';
+import { readGridMetrics, reflowLayout, findFreePosition } from '../GridLayout.js';
+
+const WIDGET_COUNT = 50;
+const MOVE_COUNT = 20;
+const TYPES = [
+  { type: 'clock', data: {} },
+  { type: 'notes', data: { content: 'Benchmark note\nSecond line' } },
+  { type: 'markdown', data: { markdown: '# Heading\nSome **markdown** text.' } },
+  { type: 'search', data: {} }
+];
+
+const dashboard = document.getElementById('dashboard');
+const results = document.getElementById('results');
+const noop = () => {};
+
+// Create widgets laid out in the first free space, like adding them on the dashboard does
+function createWidgets(columns) {
+  const items = [];
+  return Array.from({ length: WIDGET_COUNT }, (_, i) => {
+    const { type, data } = TYPES[i % TYPES.length];
+    const { x, y } = findFreePosition(items, 3, 2, columns);
+    items.push({ id: `bench-${i}`, x, y, width: 3, height: 2 });
+    return createWidget({ id: `bench-${i}`, type, x, y, width: 3, height: 2, data: structuredClone(data) });
+  });
+}
+
+const getLayout = (widgets) => widgets.map(w => ({ id: w.id, x: w.x, y: w.y, width: w.width, height: w.height }));
+
+// Move a widget the way the dashboard does: reflow the others around it
+function moveWidget(widgets, widget, x, y) {
+  const layout = reflowLayout(getLayout(widgets), { ...getLayout([widget])[0], x, y });
+  layout.forEach((item, i) => Object.assign(widgets[i], { x: item.x, y: item.y }));
+}
+
+// Rebuild every element, like the dashboard did before incremental rendering
+function renderFully(widgets) {
+  widgets.forEach(w => w.destroy());
+  dashboard.innerHTML = '';
+  for (const widget of widgets) {
+    dashboard.appendChild(widget.createElement(noop, noop, noop, noop, widget));
+  }
+}
+
+function runBenchmark() {
+  results.textContent = 'Running...';
+  dashboard.innerHTML = '';
+
+  const { columns } = readGridMetrics(dashboard);
+  const widgets = createWidgets(columns);
+  const counts = { created: 0, destroyed: 0, domAdded: 0, domRemoved: 0 };
+  widgets.forEach(widget => {
+    const destroy = widget.destroy.bind(widget);
+    widget.destroy = () => {
+      counts.destroyed++;
+      destroy();
+    };
+  });
+
+  const renderer = new DashboardRenderer(dashboard, {
+    createElement: (widget, rect) => {
+      counts.created++;
+      return widget.createElement(noop, noop, noop, noop, rect);
+    },
+    updateElement: (widget, el, rect) => widget.setElementRect(rect),
+    emptyHtml: ''
+  });
+
+  renderer.render(widgets, getLayout(widgets));
+  const initial = { ...counts };
+
+  // Count widget elements added to or removed from the dashboard
+  const observer = new MutationObserver(records => {
+    for (const record of records) {
+      counts.domAdded += record.addedNodes.length;
+      counts.domRemoved += record.removedNodes.length;
+    }
+  });
+  observer.observe(dashboard, { childList: true });
+
+  const moved = widgets[0];
+  const elementBefore = moved.element;
+  let incrementalMs = 0;
+  for (let i = 0; i < MOVE_COUNT; i++) {
+    moveWidget(widgets, moved, (i * 3) % Math.max(1, columns - 2), i % 5);
+    const start = performance.now();
+    renderer.render(widgets, getLayout(widgets));
+    incrementalMs += performance.now() - start;
+  }
+  observer.takeRecords();
+  observer.disconnect();
+  const incremental = { ...counts };
+  const keptElement = moved.element === elementBefore;
+
+  let fullMs = 0;
+  for (let i = 0; i < MOVE_COUNT; i++) {
+    moveWidget(widgets, moved, (i * 3) % Math.max(1, columns - 2), i % 5);
+    const start = performance.now();
+    renderFully(widgets);
+    fullMs += performance.now() - start;
+  }
+  widgets.forEach(w => w.destroy());
+
+  results.textContent = [
+    `${WIDGET_COUNT} widgets, ${MOVE_COUNT} moves, ${columns} columns`,
+    '',
+    `Initial render: ${initial.created} elements created`,
+    '',
+    'Incremental (DashboardRenderer)',
+    `  elements created:   ${incremental.created - initial.created}`,
+    `  widgets destroyed:  ${incremental.destroyed - initial.destroyed}`,
+    `  DOM nodes added:    ${incremental.domAdded}`,
+    `  DOM nodes removed:  ${incremental.domRemoved}`,
+    `  moved widget kept its element: ${keptElement ? 'yes' : 'NO'}`,
+    `  average per move:   ${(incrementalMs / MOVE_COUNT).toFixed(2)} ms`,
+    '',
+    'Full rebuild',
+    `  elements created:   ${WIDGET_COUNT * MOVE_COUNT}`,
+    `  average per move:   ${(fullMs / MOVE_COUNT).toFixed(2)} ms`
+  ].join('\n');
+}
+
+document.getElementById('runBenchmark').addEventListener('click', runBenchmark);
+runBenchmark();
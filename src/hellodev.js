@@ -1,16 +1,63 @@
 // HelloDev Dashboard
 
-import { createWidget, WidgetRegistry } from './widgets/index.js';
+import { createWidget, WidgetRegistry, WidgetBase, withoutSecrets, withSecretsOf } from './widgets/index.js';
+import { migrateDashboardState, migrateWidgetConfig, getStateVersion } from './StorageMigrations.js';
+import { buildExport, parseImport, findIdConflicts, reassignConflictingIds } from './LayoutTransfer.js';
+import { LocalStore, DashboardSync } from './Storage.js';
+import { CommandHistory } from './CommandHistory.js';
+import { trapFocus } from './FocusTrap.js';
+import { trackPointer } from './PointerDrag.js';
+import { CommandPalette } from './CommandPalette.js';
+import { DashboardRenderer } from './DashboardRenderer.js';
+import { Diagnostics } from './Diagnostics.js';
+import { WidgetVisibility } from './WidgetVisibility.js';
+import { widgetEvents } from './EventBus.js';
+import { loadPlugins, getInstalledPlugins, readPluginFiles, installPlugin, removePlugin, getPluginType } from './PluginManager.js';
+import { getTemplates, saveTemplate, removeTemplate, restoreTemplate, MAX_TEMPLATE_NAME_LENGTH } from './WidgetTemplates.js';
+import { renderConfigFields, ConfigForm } from './ConfigFields.js';
+import { saveWatchedQueries } from './ADOPullRequests.js';
+import { escapeHtml } from './HtmlEscape.js';
+import {
+  BREAKPOINTS,
+  PRIMARY_BREAKPOINT,
+  readGridMetrics,
+  getBreakpoint,
+  deriveLayout,
+  reflowLayout,
+  findFreePosition
+} from './GridLayout.js';
 
 const STORAGE_KEY = 'hellodev-widgets';
+const STORAGE_BACKUP_KEY = 'hellodev-widgets-backup';
 const THEME_STORAGE_KEY = 'hellodev-theme';
+const HISTORY_STORAGE_KEY = 'hellodev-history';
+
+// How long transient toasts (e.g. "Widget deleted - Undo") stay visible
+const TOAST_DURATION_MS = 6000;
+
+// Wait this long after a settings change before previewing it on the widget
+const CONFIG_PREVIEW_DELAY_MS = 300;
+
+// Wait this long after the last save before updating the PR queries the background worker checks
+const WATCHED_QUERIES_DELAY_MS = 1000;
 
 // Version number for saved widget state. Increment this when the saved state format
-// changes in an incompatible manner that would break loading of previously saved data.
-const STORAGE_VERSION = 1;
+// changes, and register a migration from the previous version in StorageMigrations.js.
+// Version history:
+//   1 - { version, widgets }
+//   2 - { version, activePageId, pages: [{ id, name, theme, widgets }] }
+const STORAGE_VERSION = 2;
+
+// Position and size fields of the widget config dialog, in grid cells
+const POSITION_FIELDS = [
+  { key: 'x', label: 'X Position', type: 'number', min: 0, step: 1, required: true },
+  { key: 'y', label: 'Y Position', type: 'number', min: 0, step: 1, required: true },
+  { key: 'width', label: 'Width', type: 'number', min: 1, step: 1, required: true },
+  { key: 'height', label: 'Height', type: 'number', min: 1, step: 1, required: true }
+];
 
-// Grid cell size in pixels
-const GRID_CELL_SIZE = 80;
+// Name of the page created for new users
+const DEFAULT_PAGE_NAME = 'Default';
 
 // Default theme colors
 const DEFAULT_THEME = {
@@ -51,10 +98,14 @@ Your personal developer dashboard is ready to customize.
 ];
 
 // State
-let widgets = [];
+let pages = [];           // [{ id, name, theme, widgets }] - theme is null when using the global theme
+let activePageId = null;
+let storageReadOnly = false; // Set when saved state could not be migrated, to avoid overwriting it
 let editMode = false;
 let themeMode = 'auto'; // 'auto', 'light', or 'dark'
-let draggingWidget = null;
+let activeBreakpoint = PRIMARY_BREAKPOINT; // Layout shown for the dashboard's current width
+let widgetConfigPreview = null; // { widget, originalData, timer, changed } while the config dialog is open
+const watchedQueries = { json: null, timer: null }; // Queries last given to the background worker, and the pending update
 
 // Detect OS color scheme preference
 const osPrefersDark = window.matchMedia('(prefers-color-scheme: dark)');
@@ -89,69 +140,804 @@ const dashboard = document.getElementById('dashboard');
 const editToggle = document.getElementById('editToggle');
 const addWidgetBtn = document.getElementById('addWidgetBtn');
 const customizeBtn = document.getElementById('customizeBtn');
+const pageSwitcher = document.getElementById('pageSwitcher');
+const storageNotice = document.getElementById('storageNotice');
+const toastContainer = document.getElementById('toastContainer');
+const liveRegion = document.getElementById('liveRegion');
+
+// Mirrors layout and theme to chrome.storage.sync when turned on
+const dashboardSync = new DashboardSync({
+  getState: getSyncState,
+  applyState: applySyncedState,
+  onStatus: updateSyncStatus,
+  withoutSecrets
+});
+
+// Undo/redo for layout and configuration edits
+const history = new CommandHistory({
+  storageKey: HISTORY_STORAGE_KEY,
+  apply: applyHistoryCommand
+});
+
+// Ctrl+K search over dashboard commands and widget content
+const commandPalette = new CommandPalette({ getItems: getPaletteItems });
+
+// Tells widgets when they're on-screen in a visible tab, so hidden ones can pause
+const widgetVisibility = new WidgetVisibility();
+
+// Updates widget elements in place as the active page's widgets change
+const dashboardRenderer = new DashboardRenderer(dashboard, {
+  createElement: (widget, rect) => {
+    const el = widget.createElement(removeWidget, resizeWidget, openWidgetConfig, previewResize, rect);
+    setWidgetEditable(el, editMode);
+    widgetVisibility.observe(widget, el);
+    return el;
+  },
+  updateElement: (widget, el, rect) => widget.setElementRect(rect),
+  removeElement: (widget, el) => {
+    widgetVisibility.unobserve(el);
+    widget.disconnectSubscriptions();
+    // Values the widget sent (e.g. search text) went with its element
+    widgetEvents.clear(widget.id);
+  },
+  emptyHtml: `
+    <div class="dashboard-empty">
+      <div class="dashboard-empty-icon">📦</div>
+      <p>No widgets yet. Click Edit to add some!</p>
+    </div>
+  `
+});
 
 // Theme state
-let currentTheme = { ...DEFAULT_THEME };
+let globalTheme = { ...DEFAULT_THEME };  // Theme saved under THEME_STORAGE_KEY
+let currentTheme = { ...DEFAULT_THEME }; // Theme in effect for the active page
 
 // Initialize
 document.addEventListener('DOMContentLoaded', init);
 
 function init() {
   loadTheme();
+  // Plugin widget types must be registered before saved widgets are created
+  loadPlugins();
   loadWidgets();
+  applyTheme(getEffectiveTheme());
+  renderPageSwitcher();
+  activeBreakpoint = getBreakpoint(readGridMetrics(dashboard).columns);
   renderDashboard();
   setupEventListeners();
   setupDashboardDragDrop();
+
+  if (!storageReadOnly) {
+    dashboardSync.start();
+    updateWatchedQueries();
+    // Don't lose an update still waiting when the tab closes
+    window.addEventListener('pagehide', () => {
+      if (watchedQueries.timer) updateWatchedQueries();
+    });
+  }
 }
 
-// Load widgets from storage
+// Load widgets from storage, migrating older saved state to STORAGE_VERSION
 function loadWidgets() {
   const stored = localStorage.getItem(STORAGE_KEY);
-  let configs = [];
+  pages = [];
 
   if (stored) {
+    let backedUp = false;
     try {
       const parsed = JSON.parse(stored);
-      // Check if stored data has version info (new format)
-      if (parsed && typeof parsed === 'object' && 'version' in parsed) {
-        // Verify compatible version
-        if (parsed.version === STORAGE_VERSION) {
-          configs = parsed.widgets || [];
-        } else {
-          // Incompatible version - use defaults
-          console.warn(`Incompatible saved state version ${parsed.version}, expected ${STORAGE_VERSION}. Using defaults.`);
-          configs = [...DEFAULT_WIDGETS];
-        }
-      } else {
-        // Legacy format (array without version) - use defaults
-        configs = [...DEFAULT_WIDGETS];
+      const { state, migrated } = migrateDashboardState(parsed, STORAGE_VERSION);
+
+      if (migrated) {
+        backupStoredState(stored, getStateVersion(parsed));
+        backedUp = true;
+      }
+
+      pages = instantiatePages(state.pages || []);
+      activePageId = state.activePageId;
+      warnInvalidSettings();
+
+      // Only replace the saved state once the migrated widgets have loaded
+      if (migrated) {
+        saveWidgets();
+        console.info(`Migrated saved dashboard state from version ${getStateVersion(parsed)} to ${STORAGE_VERSION}`);
       }
     } catch (e) {
-      configs = [...DEFAULT_WIDGETS];
+      console.error('Could not load saved dashboard state:', e);
+      if (backedUp) {
+        rollbackStoredState();
+      }
+      // Keep the saved state untouched so a fixed version can still migrate it
+      storageReadOnly = true;
+      pages = [];
+      showStorageNotice(`Your saved layout could not be loaded (${e.message}). It has been kept unchanged, and changes made now will not be saved.`);
     }
-  } else {
-    configs = [...DEFAULT_WIDGETS];
   }
 
-  // Convert plain objects to widget instances
-  widgets = configs.map(config => {
-    const widget = createWidget(config);
-    // Inject saveWidgets callback for widgets that need it
-    if (widget.saveWidgets !== undefined) {
-      widget.saveWidgets = saveWidgets;
+  if (pages.length === 0) {
+    pages = instantiatePages([createDefaultPageConfig(structuredClone(DEFAULT_WIDGETS))]);
+  }
+
+  if (!pages.some(p => p.id === activePageId)) {
+    activePageId = pages[0].id;
+  }
+}
+
+// Log widgets whose saved settings don't match their schema. They render a notice
+// (instead of their content) until their settings are fixed.
+function warnInvalidSettings() {
+  for (const page of pages) {
+    for (const widget of page.widgets) {
+      const invalid = widget.getInvalidFields();
+      if (invalid.length > 0) {
+        console.warn(`[HelloDev] Widget ${widget.id} on page "${page.name}" has invalid settings:`, invalid.map(f => f.key));
+      }
     }
-    return widget;
+  }
+}
+
+// Convert plain page objects to pages of widget instances
+function instantiatePages(pageConfigs) {
+  return pageConfigs.map(page => ({
+    id: page.id,
+    name: page.name,
+    theme: page.theme || null,
+    widgets: (page.widgets || []).map(instantiateWidget)
+  }));
+}
+
+// Save a snapshot of the saved state before it is replaced by a migrated version
+function backupStoredState(stored, fromVersion) {
+  LocalStore.set(STORAGE_BACKUP_KEY, {
+    savedAt: Date.now(),
+    fromVersion,
+    state: stored
   });
 }
 
+// Restore the saved state from the pre-migration backup
+function rollbackStoredState() {
+  const backup = LocalStore.get(STORAGE_BACKUP_KEY);
+  if (backup?.state) {
+    LocalStore.set(STORAGE_KEY, JSON.parse(backup.state));
+    console.warn(`Rolled back saved dashboard state to version ${backup.fromVersion}`);
+  }
+}
+
+// Show a notice above the dashboard
+function showStorageNotice(message) {
+  storageNotice.textContent = message;
+  storageNotice.hidden = false;
+}
+
+// Create the config for the "Default" page
+function createDefaultPageConfig(widgetConfigs) {
+  return {
+    id: 'page-1',
+    name: DEFAULT_PAGE_NAME,
+    theme: null,
+    widgets: widgetConfigs
+  };
+}
+
+// Create a widget instance from a plain config object
+function instantiateWidget(config) {
+  let widget;
+  try {
+    widget = createWidget(config);
+  } catch (err) {
+    // Keep the saved settings and show an error card in the widget's place
+    widget = new WidgetBase(config);
+    widget.reportCrash('constructor', err);
+  }
+  // Inject saveWidgets callback for widgets that need it
+  if (widget.saveWidgets !== undefined) {
+    widget.saveWidgets = saveWidgets;
+  }
+  return widget;
+}
+
+// Get the dashboard state in its saved format
+function getSavedState() {
+  return {
+    version: STORAGE_VERSION,
+    activePageId,
+    pages: pages.map(pageToConfig)
+  };
+}
+
+// Convert a page of widget instances to its plain saved form
+function pageToConfig(page) {
+  return {
+    id: page.id,
+    name: page.name,
+    theme: page.theme,
+    widgets: page.widgets.map(w => structuredClone(w.toJSON()))
+  };
+}
+
 // Save widgets to storage
 function saveWidgets() {
-  const configs = widgets.map(w => w.toJSON());
-  const state = {
-    version: STORAGE_VERSION,
-    widgets: configs
+  if (storageReadOnly) return;
+  LocalStore.set(STORAGE_KEY, getSavedState());
+  dashboardSync.recordLocalChange();
+  // Saves happen on every keystroke and drag, so this waits until they stop
+  clearTimeout(watchedQueries.timer);
+  watchedQueries.timer = setTimeout(updateWatchedQueries, WATCHED_QUERIES_DELAY_MS);
+}
+
+// Tell the background worker which PR queries to check for notifications (on every page),
+// if they changed since it was last told
+function updateWatchedQueries() {
+  clearTimeout(watchedQueries.timer);
+  watchedQueries.timer = null;
+  const widgets = pages.flatMap(page => page.widgets);
+  const queries = widgets.flatMap(widget => widget.getWatchedQueries?.() ?? []);
+  const json = JSON.stringify(queries);
+  if (json === watchedQueries.json) return;
+  watchedQueries.json = json;
+  saveWatchedQueries(queries);
+}
+
+// Get the page currently shown on the dashboard
+function getActivePage() {
+  return pages.find(p => p.id === activePageId) || pages[0];
+}
+
+// Get the widgets on the active page
+function getWidgets() {
+  return getActivePage().widgets;
+}
+
+// Find a widget on the active page by ID
+function findWidget(id) {
+  return getWidgets().find(w => w.id === id);
+}
+
+// ============================================================================
+// Sync
+// ============================================================================
+
+// Get the state mirrored to chrome.storage.sync (the active page stays per machine)
+function getSyncState() {
+  const { pages } = getSavedState();
+  return { pages, theme: globalTheme };
+}
+
+// Apply layout changes merged from another machine.
+// Widgets whose config didn't change keep their instances. Synced configs come
+// without secrets, so widgets keep the secret values saved on this machine.
+function applySyncedState(state) {
+  const existing = new Map(pages.flatMap(p => p.widgets).map(w => [w.id, w]));
+
+  closeAllFlyouts();
+  closeWidgetConfig();
+
+  pages = state.pages.map(page => ({
+    id: page.id,
+    name: page.name,
+    theme: page.theme || null,
+    widgets: page.widgets.map(config => {
+      // Machines running an older version sync widget data in its older format
+      try {
+        migrateWidgetConfig(config);
+      } catch (err) {
+        console.error('[HelloDev] Error migrating synced widget:', err);
+      }
+      const widget = existing.get(config.id);
+      if (!widget) {
+        return instantiateWidget(config);
+      }
+      const localConfig = widget.toJSON();
+      if (JSON.stringify(withoutSecrets(localConfig)) === JSON.stringify(config)) {
+        return widget;
+      }
+      return instantiateWidget(withSecretsOf(config, localConfig));
+    })
+  }));
+
+  if (state.theme) {
+    globalTheme = { ...DEFAULT_THEME, ...state.theme };
+    LocalStore.set(THEME_STORAGE_KEY, globalTheme);
+  }
+
+  if (!pages.some(p => p.id === activePageId)) {
+    activePageId = pages[0].id;
+  }
+
+  saveWidgets();
+  applyTheme(getEffectiveTheme());
+  renderPageSwitcher();
+  renderDashboard();
+}
+
+// Show sync status in the Appearance flyout, if open
+function updateSyncStatus(status) {
+  const statusEl = document.getElementById('flyoutSyncStatus');
+  if (statusEl) {
+    statusEl.textContent = status.message;
+    statusEl.classList.toggle('error', status.state === 'error');
+  }
+}
+
+// ============================================================================
+// Undo / Redo
+// ============================================================================
+
+// Undo the last layout or configuration edit
+function undo() {
+  const command = history.undo();
+  if (command) showToast(`Undid: ${command.label}`);
+}
+
+// Redo the last undone edit
+function redo() {
+  const command = history.redo();
+  if (command) showToast(`Redid: ${command.label}`);
+}
+
+// Apply a recorded command forwards or backwards. Returns false if the
+// command no longer fits the dashboard (e.g. its page was deleted on another machine).
+function applyHistoryCommand(command, isUndo) {
+  closeAllFlyouts();
+  closeWidgetConfig();
+
+  const pageId = applyCommandChanges(command, isUndo);
+  if (pageId === null) return false;
+
+  if (pageId && pageId !== activePageId && pages.some(p => p.id === pageId)) {
+    activePageId = pageId;
+  }
+  if (!pages.some(p => p.id === activePageId)) {
+    activePageId = pages[0].id;
+  }
+
+  saveWidgets();
+  applyTheme(getEffectiveTheme());
+  renderPageSwitcher();
+  renderDashboard();
+  return true;
+}
+
+// Change pages/widgets for a command. Returns the ID of the page to show
+// (undefined to stay on the current page) or null if the command can't be applied.
+function applyCommandChanges(command, isUndo) {
+  const findPage = (id) => pages.find(p => p.id === id);
+
+  switch (command.type) {
+    case 'update': {
+      const page = findPage(command.pageId);
+      const config = isUndo ? command.before : command.after;
+      const idx = page ? page.widgets.findIndex(w => w.id === config.id) : -1;
+      if (idx < 0) return null;
+      const widget = page.widgets[idx];
+      const settings = (w) => JSON.stringify([w.data, w.subscriptions ?? []]);
+      if (widget.type === config.type && settings(widget) === settings(config)) {
+        // Only the position changed: keep the widget (and its element) running
+        const { x, y, width, height, layouts = {} } = structuredClone(config);
+        Object.assign(widget, { x, y, width, height, layouts });
+      } else {
+        page.widgets[idx] = instantiateWidget(structuredClone(config));
+      }
+      return page.id;
+    }
+
+    case 'add':
+    case 'remove': {
+      const page = findPage(command.pageId);
+      if (!page) return null;
+      const adding = (command.type === 'add') !== isUndo;
+      const existing = page.widgets.find(w => w.id === command.config.id);
+      if (adding) {
+        if (existing) return null;
+        page.widgets.splice(Math.min(command.index, page.widgets.length), 0, instantiateWidget(structuredClone(command.config)));
+      } else {
+        if (!existing) return null;
+        page.widgets = page.widgets.filter(w => w !== existing);
+      }
+      return page.id;
+    }
+
+    case 'batch': {
+      const commands = isUndo ? [...command.commands].reverse() : command.commands;
+      let pageId;
+      for (const sub of commands) {
+        const result = applyCommandChanges(sub, isUndo);
+        if (result === null) return null;
+        pageId = result;
+      }
+      return pageId;
+    }
+
+    case 'addPage':
+    case 'removePage': {
+      const adding = (command.type === 'addPage') !== isUndo;
+      const existing = findPage(command.page.id);
+      if (adding) {
+        if (existing) return null;
+        pages.splice(Math.min(command.index, pages.length), 0, ...instantiatePages([structuredClone(command.page)]));
+        return command.page.id;
+      }
+      if (!existing || pages.length < 2) return null;
+      pages = pages.filter(p => p !== existing);
+      return undefined;
+    }
+
+    case 'renamePage': {
+      const page = findPage(command.pageId);
+      if (!page) return null;
+      page.name = isUndo ? command.before : command.after;
+      return undefined;
+    }
+
+    case 'replacePages': {
+      const target = isUndo ? command.before : command.after;
+      pages = instantiatePages(structuredClone(target.pages));
+      activePageId = target.activePageId;
+      if (target.theme) saveGlobalTheme({ ...target.theme });
+      return target.activePageId;
+    }
+
+    default:
+      return null;
+  }
+}
+
+// Handle Ctrl+Z / Ctrl+Shift+Z (Cmd on macOS). Text fields keep their own undo.
+function handleHistoryShortcuts(e) {
+  if (!(e.ctrlKey || e.metaKey) || e.altKey || e.code !== 'KeyZ') return;
+  if (e.target.closest?.('input, textarea, select, [contenteditable="true"]')) return;
+  if (document.querySelector('.widget-config-overlay')) return;
+
+  e.preventDefault();
+  if (e.shiftKey) {
+    redo();
+  } else {
+    undo();
+  }
+}
+
+// Show a transient message at the bottom of the screen, optionally with an action button
+function showToast(message, { actionLabel, onAction, duration = TOAST_DURATION_MS } = {}) {
+  const toast = document.createElement('div');
+  toast.className = 'toast';
+  toast.innerHTML = `<span class="toast-message"></span>`;
+  toast.querySelector('.toast-message').textContent = message;
+
+  const dismiss = () => {
+    clearTimeout(timer);
+    toast.remove();
   };
-  localStorage.setItem(STORAGE_KEY, JSON.stringify(state));
+
+  if (actionLabel) {
+    const button = document.createElement('button');
+    button.className = 'toast-action';
+    button.textContent = actionLabel;
+    button.addEventListener('click', () => {
+      dismiss();
+      onAction();
+    });
+    toast.appendChild(button);
+  }
+
+  // Only one toast at a time - a newer message replaces the old one
+  toastContainer.replaceChildren(toast);
+  const timer = setTimeout(dismiss, duration);
+}
+
+// ============================================================================
+// Command Palette
+// ============================================================================
+
+// Open or close the command palette with Ctrl+K / Cmd+K
+function handlePaletteShortcut(e) {
+  if (!(e.ctrlKey || e.metaKey) || e.altKey || e.shiftKey || e.code !== 'KeyK') return;
+  if (document.querySelector('.widget-config-overlay')) return;
+
+  e.preventDefault();
+  closeAllFlyouts();
+  commandPalette.toggle();
+}
+
+// Dashboard commands plus the commands and content contributed by widgets on every page
+function getPaletteItems() {
+  const items = [];
+
+  for (const [type, WidgetClass] of Object.entries(WidgetRegistry)) {
+    const { name, icon } = WidgetClass.metadata;
+    items.push({ title: `Add widget: ${name}`, icon, group: 'command', run: () => addWidget(type) });
+  }
+  for (const template of getTemplates()) {
+    const WidgetClass = WidgetRegistry[template.type];
+    if (!WidgetClass) continue;
+    items.push({
+      title: `Add widget: ${template.name}`,
+      detail: `${WidgetClass.metadata.name} template`,
+      icon: WidgetClass.metadata.icon,
+      group: 'command',
+      run: () => addWidget(template.type, template)
+    });
+  }
+
+  items.push({
+    title: editMode ? 'Finish editing layout' : 'Edit layout',
+    icon: '⚙',
+    group: 'command',
+    run: toggleEditMode
+  });
+
+  for (const mode of ['auto', 'light', 'dark']) {
+    if (mode === themeMode) continue;
+    items.push({
+      title: `Theme: ${getThemeModeDisplay(mode).replace(/^\S+ /, '')}`,
+      icon: getThemeModeDisplay(mode).split(' ')[0],
+      group: 'command',
+      run: () => saveTheme({ ...currentTheme, themeMode: mode })
+    });
+  }
+
+  const adoWidgets = pages.flatMap(page => page.widgets).filter(w => w.type === 'adopr');
+  if (adoWidgets.length > 0) {
+    items.push({
+      title: 'Refresh all ADO widgets',
+      icon: '🔄',
+      group: 'command',
+      run: () => adoWidgets.forEach(w => w.refresh())
+    });
+  }
+
+  for (const page of pages) {
+    if (page.id !== activePageId) {
+      items.push({ title: `Go to page: ${page.name}`, icon: '📑', group: 'command', run: () => switchPage(page.id) });
+    }
+  }
+
+  for (const page of pages) {
+    const onPage = (run) => () => {
+      switchPage(page.id);
+      run();
+    };
+    const pageDetail = pages.length > 1 ? page.name : '';
+
+    for (const widget of page.widgets) {
+      const title = widget.data?.title;
+      items.push({
+        title: `Configure: ${getWidgetName(widget)}`,
+        detail: [title, pageDetail].filter(Boolean).join(' · '),
+        icon: WidgetRegistry[widget.type]?.metadata.icon,
+        group: 'command',
+        run: onPage(() => openWidgetConfig(widget.id))
+      });
+      items.push({
+        title: `Duplicate: ${getWidgetName(widget)}`,
+        detail: [title, pageDetail].filter(Boolean).join(' · '),
+        icon: WidgetRegistry[widget.type]?.metadata.icon,
+        group: 'command',
+        run: onPage(() => duplicateWidget(widget.id))
+      });
+
+      let widgetItems = [];
+      try {
+        widgetItems = widget.getPaletteItems();
+      } catch (err) {
+        console.error('[HelloDev] Error getting palette items from widget:', widget.id, err);
+      }
+      for (const item of widgetItems) {
+        items.push({
+          ...item,
+          detail: [item.detail, pageDetail].filter(Boolean).join(' · '),
+          run: onPage(item.run)
+        });
+      }
+    }
+  }
+
+  return items;
+}
+
+// ============================================================================
+// Page Management
+// ============================================================================
+
+// Switch the dashboard to another page
+function switchPage(pageId) {
+  if (pageId === activePageId || !pages.some(p => p.id === pageId)) return;
+
+  closeAllFlyouts();
+  closeWidgetConfig();
+
+  activePageId = pageId;
+  saveWidgets();
+  applyTheme(getEffectiveTheme());
+  renderPageSwitcher();
+  renderDashboard();
+}
+
+// Switch to the next (or previous, with a negative offset) page, wrapping around
+function cyclePage(offset) {
+  if (pages.length < 2) return;
+  const idx = pages.findIndex(p => p.id === activePageId);
+  const next = (idx + offset + pages.length) % pages.length;
+  switchPage(pages[next].id);
+}
+
+// Add a new empty page and switch to it
+function addPage(name) {
+  const page = {
+    id: `page-${Date.now()}`,
+    name: name || `Page ${pages.length + 1}`,
+    theme: null,
+    widgets: []
+  };
+  pages.push(page);
+  history.record({ type: 'addPage', label: 'Add page', index: pages.length - 1, page: pageToConfig(page) });
+  saveWidgets();
+  switchPage(page.id);
+}
+
+// Rename a page
+function renamePage(pageId, name) {
+  const page = pages.find(p => p.id === pageId);
+  if (!page || !name || name === page.name) return;
+  history.record({ type: 'renamePage', label: 'Rename page', pageId, before: page.name, after: name });
+  page.name = name;
+  saveWidgets();
+  renderPageSwitcher();
+}
+
+// Delete a page and its widgets. The last remaining page cannot be deleted.
+function deletePage(pageId) {
+  if (pages.length < 2) return;
+  const page = pages.find(p => p.id === pageId);
+  if (!page) return;
+
+  history.record({ type: 'removePage', label: 'Delete page', index: pages.indexOf(page), page: pageToConfig(page) });
+  if (pageId === activePageId) {
+    const idx = pages.indexOf(page);
+    switchPage(pages[idx === 0 ? 1 : idx - 1].id);
+  }
+  pages = pages.filter(p => p.id !== pageId);
+  saveWidgets();
+  renderPageSwitcher();
+}
+
+// Update the page switcher button label
+function renderPageSwitcher() {
+  pageSwitcher.querySelector('.page-switcher-name').textContent = getActivePage().name;
+}
+
+// Show page switcher flyout
+function showPageFlyout() {
+  closeAllFlyouts();
+
+  const flyout = document.createElement('div');
+  flyout.className = 'flyout';
+  flyout.id = 'pageFlyout';
+
+  const pageItems = pages.map((page, index) => {
+    const isActive = page.id === activePageId;
+    const shortcut = index < 9 ? `<span class="page-shortcut">Alt+${index + 1}</span>` : '';
+    return `
+      <div class="page-item ${isActive ? 'active' : ''}" data-page="${page.id}">
+        <button class="page-item-name" data-page="${page.id}">${escapeHtml(page.name)}</button>
+        ${shortcut}
+        <button class="page-item-action rename" data-page="${page.id}" title="Rename">✎</button>
+        <button class="page-item-action delete" data-page="${page.id}" title="Delete page" ${pages.length < 2 ? 'disabled' : ''}>✕</button>
+      </div>
+    `;
+  }).join('');
+
+  flyout.innerHTML = `
+    <div class="flyout-dialog">
+      <div class="flyout-header">
+        <h3>Pages</h3>
+        <button class="flyout-close" title="Close" aria-label="Close">✕</button>
+      </div>
+      <div class="flyout-content">
+        <div class="page-list">
+          ${pageItems}
+        </div>
+        <form class="page-add-form">
+          <input type="text" class="page-add-input" placeholder="New page name">
+          <button type="submit" class="widget-option">+ Add</button>
+        </form>
+      </div>
+    </div>
+  `;
+
+  attachFlyout(flyout, pageSwitcher);
+
+  // Close button
+  flyout.querySelector('.flyout-close').addEventListener('click', (e) => {
+    e.stopPropagation();
+    closeAllFlyouts();
+  });
+
+  // Prevent clicks inside flyout from closing it
+  flyout.addEventListener('click', (e) => {
+    e.stopPropagation();
+  });
+
+  // Switch page
+  flyout.querySelectorAll('.page-item-name').forEach(btn => {
+    btn.addEventListener('click', () => {
+      switchPage(btn.dataset.page);
+      closeAllFlyouts();
+    });
+  });
+
+  // Rename page inline
+  flyout.querySelectorAll('.page-item-action.rename').forEach(btn => {
+    btn.addEventListener('click', () => {
+      const page = pages.find(p => p.id === btn.dataset.page);
+      const nameBtn = btn.parentElement.querySelector('.page-item-name');
+      const input = document.createElement('input');
+      input.type = 'text';
+      input.className = 'page-rename-input';
+      input.value = page.name;
+      nameBtn.replaceWith(input);
+      input.focus();
+      input.select();
+
+      let done = false;
+      const finish = (save) => {
+        if (done) return;
+        done = true;
+        if (save) renamePage(page.id, input.value.trim());
+        showPageFlyout();
+      };
+      input.addEventListener('keydown', (e) => {
+        if (e.key === 'Enter') finish(true);
+        if (e.key === 'Escape') {
+          e.stopPropagation(); // Cancel the rename, not the flyout
+          finish(false);
+        }
+      });
+      input.addEventListener('blur', () => finish(true));
+    });
+  });
+
+  // Delete page
+  flyout.querySelectorAll('.page-item-action.delete').forEach(btn => {
+    btn.addEventListener('click', () => {
+      deletePage(btn.dataset.page);
+      showPageFlyout();
+    });
+  });
+
+  // Add page
+  flyout.querySelector('.page-add-form').addEventListener('submit', (e) => {
+    e.preventDefault();
+    const input = flyout.querySelector('.page-add-input');
+    addPage(input.value.trim());
+    closeAllFlyouts();
+  });
+
+  // Close when clicking outside
+  setTimeout(() => {
+    document.addEventListener('click', handleOutsideClick);
+  }, 0);
+}
+
+// Handle keyboard shortcuts for switching pages:
+// Alt+PageDown / Alt+PageUp cycle through pages, Alt+1..9 jump to a page
+function handlePageShortcuts(e) {
+  if (!e.altKey || e.ctrlKey || e.metaKey) return;
+  if (document.querySelector('.widget-config-overlay')) return;
+
+  if (e.key === 'PageDown') {
+    e.preventDefault();
+    cyclePage(1);
+  } else if (e.key === 'PageUp') {
+    e.preventDefault();
+    cyclePage(-1);
+  } else if (/^Digit[1-9]$/.test(e.code)) {
+    const page = pages[parseInt(e.code.slice(5)) - 1];
+    if (page) {
+      e.preventDefault();
+      switchPage(page.id);
+    }
+  }
 }
 
 // ============================================================================
@@ -177,9 +963,7 @@ function loadTheme() {
     }
   }
 
-  currentTheme = theme;
-  themeMode = theme.themeMode || 'auto';
-  applyTheme(theme);
+  globalTheme = theme;
   
   // Listen for OS theme changes when in auto mode
   osPrefersDark.addEventListener('change', () => {
@@ -189,8 +973,16 @@ function loadTheme() {
   });
 }
 
+// Get the theme for the active page, falling back to the global theme
+function getEffectiveTheme() {
+  const page = getActivePage();
+  return page?.theme ? { ...DEFAULT_THEME, ...page.theme } : globalTheme;
+}
+
 // Apply theme colors to CSS custom properties
 function applyTheme(theme) {
+  currentTheme = theme;
+  themeMode = theme.themeMode || 'auto';
   document.documentElement.style.setProperty('--color-primary', theme.colorPrimary);
   document.documentElement.style.setProperty('--color-accent', theme.colorAccent);
   
@@ -199,13 +991,33 @@ function applyTheme(theme) {
   document.body.classList.toggle('light-mode', isLight);
 }
 
-// Save theme to storage
+// Save theme to storage. Pages with a theme override keep their theme with the page.
 function saveTheme(theme) {
-  currentTheme = theme;
-  localStorage.setItem(THEME_STORAGE_KEY, JSON.stringify(theme));
+  const page = getActivePage();
+  if (page.theme) {
+    page.theme = theme;
+    saveWidgets();
+  } else {
+    saveGlobalTheme(theme);
+  }
   applyTheme(theme);
 }
 
+// Save the theme used by pages without their own theme
+function saveGlobalTheme(theme) {
+  globalTheme = theme;
+  LocalStore.set(THEME_STORAGE_KEY, theme);
+  dashboardSync.recordLocalChange();
+}
+
+// Turn the active page's theme override on (starting from the current theme) or off
+function setPageThemeOverride(enabled) {
+  const page = getActivePage();
+  page.theme = enabled ? { ...currentTheme } : null;
+  saveWidgets();
+  applyTheme(getEffectiveTheme());
+}
+
 // Show Add Widget flyout
 function showAddWidgetFlyout() {
   closeAllFlyouts();
@@ -216,25 +1028,44 @@ function showAddWidgetFlyout() {
   
   let widgetButtons = '';
   for (const [type, WidgetClass] of Object.entries(WidgetRegistry)) {
-    const { name, icon } = WidgetClass.metadata;
-    widgetButtons += `<button class="widget-option" data-widget="${type}">${icon} ${name}</button>`;
+    const { name, icon, description } = WidgetClass.metadata;
+    widgetButtons += `
+      <button class="widget-option" data-widget="${escapeHtml(type)}">
+        <span class="widget-option-icon">${escapeHtml(icon)}</span>
+        <span class="widget-option-text">
+          <span class="widget-option-name">${escapeHtml(name)}</span>
+          ${description ? `<span class="widget-option-description">${escapeHtml(description)}</span>` : ''}
+        </span>
+      </button>
+    `;
   }
   
   flyout.innerHTML = `
     <div class="flyout-dialog">
       <div class="flyout-header">
         <h3>Add Widget</h3>
-        <button class="flyout-close" title="Close">✕</button>
+        <button class="flyout-close" title="Close" aria-label="Close">✕</button>
       </div>
       <div class="flyout-content">
         <div class="widget-options-grid">
           ${widgetButtons}
         </div>
+        <div class="customize-section template-section">
+          <div class="customize-label">Templates</div>
+          ${renderTemplateList()}
+        </div>
+        <div class="customize-section plugin-section">
+          <div class="customize-label">Plugins</div>
+          ${renderPluginList()}
+          <div class="layout-transfer-buttons">
+            <button class="widget-option" id="flyoutInstallPlugin" title="Install a widget plugin from its manifest (.json) and module (.js)">⭱ Install plugin</button>
+          </div>
+        </div>
       </div>
     </div>
   `;
   
-  addWidgetBtn.appendChild(flyout);
+  attachFlyout(flyout, addWidgetBtn);
   
   // Close button
   flyout.querySelector('.flyout-close').addEventListener('click', (e) => {
@@ -248,12 +1079,39 @@ function showAddWidgetFlyout() {
   });
   
   // Widget buttons
-  flyout.querySelectorAll('.widget-option').forEach(btn => {
+  flyout.querySelectorAll('.widget-option[data-widget]').forEach(btn => {
     btn.addEventListener('click', () => {
       addWidget(btn.dataset.widget);
       closeAllFlyouts();
     });
   });
+
+  // Templates
+  flyout.querySelectorAll('.template-add').forEach(btn => {
+    btn.addEventListener('click', () => {
+      const template = getTemplates().find(t => t.id === btn.dataset.template);
+      if (template) addWidget(template.type, template);
+      closeAllFlyouts();
+    });
+  });
+  flyout.querySelectorAll('.template-remove').forEach(btn => {
+    btn.addEventListener('click', () => {
+      deleteTemplate(btn.dataset.template);
+      showAddWidgetFlyout();
+    });
+  });
+
+  // Plugins
+  flyout.querySelector('#flyoutInstallPlugin').addEventListener('click', () => {
+    closeAllFlyouts();
+    choosePluginFiles();
+  });
+  flyout.querySelectorAll('.plugin-remove').forEach(btn => {
+    btn.addEventListener('click', () => {
+      closeAllFlyouts();
+      uninstallPlugin(btn.dataset.plugin);
+    });
+  });
   
   // Close when clicking outside
   setTimeout(() => {
@@ -292,7 +1150,7 @@ function showCustomizeFlyout() {
     <div class="flyout-dialog">
       <div class="flyout-header">
         <h3>Appearance</h3>
-        <button class="flyout-close" title="Close">✕</button>
+        <button class="flyout-close" title="Close" aria-label="Close">✕</button>
       </div>
       <div class="flyout-content">
         <div class="customize-section">
@@ -319,12 +1177,48 @@ function showCustomizeFlyout() {
               ${getThemeModeDisplay(themeMode)}
             </button>
           </div>
+          <div class="customize-row">
+            <span>This page only</span>
+            <button class="toggle-btn ${getActivePage().theme ? 'active' : ''}" id="flyoutPageThemeToggle" title="Use a separate theme for this page">
+              ${getActivePage().theme ? 'On' : 'Off'}
+            </button>
+          </div>
+        </div>
+        ${DashboardSync.isAvailable() ? `
+          <div class="customize-section">
+            <div class="customize-row">
+              <span>Sync across devices</span>
+              <button class="toggle-btn ${dashboardSync.enabled ? 'active' : ''}" id="flyoutSyncToggle" title="Sync pages, widgets and theme with your browser account" ${storageReadOnly ? 'disabled' : ''}>
+                ${dashboardSync.enabled ? 'On' : 'Off'}
+              </button>
+            </div>
+            <div class="sync-status ${dashboardSync.status.state === 'error' ? 'error' : ''}" id="flyoutSyncStatus">${escapeHtml(dashboardSync.status.message)}</div>
+          </div>
+        ` : ''}
+        <div class="customize-section">
+          <div class="customize-label">Layout</div>
+          <label class="customize-row">
+            <span>Include widget caches</span>
+            <input type="checkbox" id="flyoutExportCaches">
+          </label>
+          <div class="layout-transfer-buttons">
+            <button class="widget-option" id="flyoutExportLayout" title="Download all pages as a JSON file">⭳ Export</button>
+            <button class="widget-option" id="flyoutImportLayout" title="Load pages from a JSON file">⭱ Import</button>
+          </div>
+        </div>
+        <div class="customize-section">
+          <div class="customize-label">Diagnostics</div>
+          <div class="diagnostics-summary" id="flyoutDiagnostics">${renderDiagnosticsSummary()}</div>
+          <div class="layout-transfer-buttons">
+            <button class="widget-option" id="flyoutCopyDiagnostics" title="Copy the error log for a bug report">⧉ Copy</button>
+            <button class="widget-option" id="flyoutClearDiagnostics" title="Clear the error log">✕ Clear</button>
+          </div>
         </div>
       </div>
     </div>
   `;
   
-  customizeBtn.appendChild(flyout);
+  attachFlyout(flyout, customizeBtn);
   
   const primaryInput = flyout.querySelector('#flyoutColorPrimary');
   const accentInput = flyout.querySelector('#flyoutColorAccent');
@@ -373,6 +1267,48 @@ function showCustomizeFlyout() {
     });
   });
   
+  // Page theme override toggle - reopen so the inputs reflect the theme now in effect
+  flyout.querySelector('#flyoutPageThemeToggle').addEventListener('click', (e) => {
+    e.preventDefault();
+    setPageThemeOverride(!getActivePage().theme);
+    showCustomizeFlyout();
+  });
+  
+  // Sync toggle
+  flyout.querySelector('#flyoutSyncToggle')?.addEventListener('click', (e) => {
+    e.preventDefault();
+    const enabled = !dashboardSync.enabled;
+    dashboardSync.setEnabled(enabled);
+    e.currentTarget.classList.toggle('active', enabled);
+    e.currentTarget.textContent = enabled ? 'On' : 'Off';
+  });
+  
+  // Layout export / import
+  flyout.querySelector('#flyoutExportLayout').addEventListener('click', () => {
+    exportLayout(flyout.querySelector('#flyoutExportCaches').checked);
+  });
+  
+  flyout.querySelector('#flyoutImportLayout').addEventListener('click', () => {
+    closeAllFlyouts();
+    chooseLayoutFile();
+  });
+  
+  // Diagnostics
+  flyout.querySelector('#flyoutCopyDiagnostics').addEventListener('click', async () => {
+    try {
+      await navigator.clipboard.writeText(JSON.stringify(Diagnostics.getEntries(), null, 2));
+      showToast('Error log copied');
+    } catch (err) {
+      console.error('[HelloDev] Error copying diagnostics:', err);
+      showToast('Could not copy the error log');
+    }
+  });
+  
+  flyout.querySelector('#flyoutClearDiagnostics').addEventListener('click', () => {
+    Diagnostics.clear();
+    flyout.querySelector('#flyoutDiagnostics').innerHTML = renderDiagnosticsSummary();
+  });
+  
   // Theme mode toggle (cycles through auto -> light -> dark)
   themeModeToggle.addEventListener('click', (e) => {
     e.preventDefault();
@@ -384,17 +1320,444 @@ function showCustomizeFlyout() {
       themeMode: themeMode
     });
   });
-  
-  // Close when clicking outside
-  setTimeout(() => {
-    document.addEventListener('click', handleOutsideClick);
-  }, 0);
+  
+  // Close when clicking outside
+  setTimeout(() => {
+    document.addEventListener('click', handleOutsideClick);
+  }, 0);
+}
+
+// Most recent diagnostics entries, newest first
+function renderDiagnosticsSummary() {
+  const entries = Diagnostics.getEntries();
+  if (entries.length === 0) return 'No errors logged.';
+
+  const items = entries.slice(-5).reverse().map(entry => `
+    <li>
+      <time datetime="${escapeHtml(entry.time)}">${escapeHtml(new Date(entry.time).toLocaleString())}</time>
+      <span>${escapeHtml(entry.source)}: ${escapeHtml(entry.message)}</span>
+    </li>
+  `).join('');
+  return `
+    <p>${entries.length} error${entries.length === 1 ? '' : 's'} logged</p>
+    <ul class="diagnostics-list">${items}</ul>
+  `;
+}
+
+// ============================================================================
+// Layout Export / Import
+// ============================================================================
+
+// Download all pages and the global theme as a JSON file
+function exportLayout(includeCaches) {
+  const allWidgets = includeCaches ? pages.flatMap(p => p.widgets) : null;
+  const file = buildExport(getSavedState(), globalTheme, allWidgets);
+
+  const blob = new Blob([JSON.stringify(file, null, 2)], { type: 'application/json' });
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = `hellodev-layout-${new Date().toISOString().slice(0, 10)}.json`;
+  link.click();
+  setTimeout(() => URL.revokeObjectURL(url), 0);
+}
+
+// Let the user pick a layout file, then show the import preview
+function chooseLayoutFile() {
+  const input = document.createElement('input');
+  input.type = 'file';
+  input.accept = '.json,application/json';
+  input.addEventListener('change', async () => {
+    const file = input.files[0];
+    if (!file) return;
+
+    let imported;
+    try {
+      imported = parseImport(await file.text(), STORAGE_VERSION);
+    } catch (e) {
+      showImportDialog(null, e.message);
+      return;
+    }
+    showImportDialog(imported);
+  });
+  input.click();
+}
+
+// Show the import preview (or an error if the file could not be read)
+function showImportDialog(imported, errorMessage = null) {
+  closeWidgetConfig();
+
+  const dialog = document.createElement('div');
+  dialog.className = 'widget-config-overlay';
+
+  let content;
+  if (errorMessage) {
+    content = `<p class="import-error">${escapeHtml(errorMessage)}</p>`;
+  } else {
+    const conflicts = findIdConflicts(imported.state, pages);
+    const hasConflicts = conflicts.pageIds.length > 0 || conflicts.widgetIds.length > 0;
+    const cacheCount = Object.keys(imported.caches).length;
+
+    const pageList = imported.state.pages.map(page => {
+      const icons = page.widgets.map(w => {
+        const metadata = WidgetRegistry[w.type]?.metadata;
+        return `<span title="${escapeHtml(metadata?.name || w.type)}">${metadata?.icon || '📦'}</span>`;
+      }).join('');
+      return `
+        <li>
+          <span class="import-page-name">${escapeHtml(page.name)}</span>
+          <span class="import-page-widgets">${page.widgets.length} widget${page.widgets.length === 1 ? '' : 's'} ${icons}</span>
+        </li>
+      `;
+    }).join('');
+
+    const issueList = imported.issues.length > 0 ? `
+      <div class="widget-config-section">
+        <h4>Fixed During Validation</h4>
+        <ul class="import-issues">
+          ${imported.issues.map(issue => `<li>${escapeHtml(issue)}</li>`).join('')}
+        </ul>
+      </div>
+    ` : '';
+
+    content = `
+      <div class="widget-config-section">
+        <h4>Pages in File</h4>
+        <ul class="import-page-list">${pageList}</ul>
+        ${cacheCount > 0 ? `<p class="import-note">Includes cached data for ${cacheCount} widget${cacheCount === 1 ? '' : 's'}.</p>` : ''}
+      </div>
+      ${issueList}
+      <div class="widget-config-section">
+        <h4>Import Options</h4>
+        <div class="widget-config-field">
+          <label class="checkbox-label">
+            <input type="radio" name="importMode" value="merge" checked>
+            <span>Add these pages to my dashboard</span>
+          </label>
+          <label class="checkbox-label">
+            <input type="radio" name="importMode" value="replace">
+            <span>Replace my dashboard</span>
+          </label>
+        </div>
+        ${hasConflicts ? `
+          <div class="widget-config-field import-conflicts">
+            <label>
+              <span>${conflicts.pageIds.length} page${conflicts.pageIds.length === 1 ? '' : 's'} and ${conflicts.widgetIds.length} widget${conflicts.widgetIds.length === 1 ? '' : 's'} already exist</span>
+              <select name="importConflict">
+                <option value="copy">Import as copies with new IDs</option>
+                <option value="overwrite">Replace my pages with the same ID</option>
+              </select>
+            </label>
+          </div>
+        ` : ''}
+        ${imported.theme ? `
+          <div class="widget-config-field">
+            <label class="checkbox-label">
+              <input type="checkbox" name="importTheme">
+              <span>Use the theme from the file</span>
+            </label>
+          </div>
+        ` : ''}
+      </div>
+    `;
+  }
+
+  dialog.innerHTML = `
+    <div class="widget-config-dialog">
+      <div class="widget-config-header">
+        <h3>Import Layout</h3>
+        <button class="widget-config-close" title="Close" aria-label="Close">✕</button>
+      </div>
+      <div class="widget-config-content">
+        ${content}
+      </div>
+      <div class="widget-config-footer">
+        <div></div>
+        <div class="widget-config-footer-right">
+          <button class="widget-config-btn cancel">${errorMessage ? 'Close' : 'Cancel'}</button>
+          ${errorMessage ? '' : '<button class="widget-config-btn save">Import</button>'}
+        </div>
+      </div>
+    </div>
+  `;
+
+  attachDialog(dialog);
+
+  dialog.querySelector('.widget-config-close').addEventListener('click', closeWidgetConfig);
+  dialog.querySelector('.widget-config-btn.cancel').addEventListener('click', closeWidgetConfig);
+  dialog.addEventListener('click', (e) => {
+    if (e.target === dialog) closeWidgetConfig();
+  });
+
+  // Conflict handling only applies when merging
+  const conflictField = dialog.querySelector('.import-conflicts');
+  dialog.querySelectorAll('input[name="importMode"]').forEach(radio => {
+    radio.addEventListener('change', () => {
+      if (conflictField) conflictField.hidden = radio.value === 'replace' && radio.checked;
+    });
+  });
+
+  dialog.querySelector('.widget-config-btn.save')?.addEventListener('click', () => {
+    applyImport(imported, {
+      mode: dialog.querySelector('input[name="importMode"]:checked').value,
+      conflict: dialog.querySelector('select[name="importConflict"]')?.value || 'copy',
+      useTheme: dialog.querySelector('input[name="importTheme"]')?.checked || false
+    });
+    closeWidgetConfig();
+  });
+}
+
+// Apply an imported layout
+function applyImport(imported, { mode, conflict, useTheme }) {
+  const before = { pages: pages.map(pageToConfig), activePageId, theme: globalTheme };
+  let firstImportedPageId;
+
+  if (mode === 'replace') {
+    pages = instantiatePages(imported.state.pages);
+    firstImportedPageId = imported.state.activePageId;
+  } else {
+    // Pages being overwritten give up their IDs; everything else must stay unique
+    const overwriteIds = new Set(conflict === 'overwrite' ? imported.state.pages.map(p => p.id) : []);
+    const keptPages = pages.filter(p => !overwriteIds.has(p.id));
+    const takenIds = new Set(keptPages.flatMap(p => [p.id, ...p.widgets.map(w => w.id)]));
+    reassignConflictingIds(imported, takenIds);
+
+    for (const importedPage of instantiatePages(imported.state.pages)) {
+      const idx = pages.findIndex(p => p.id === importedPage.id);
+      if (idx >= 0) {
+        pages[idx] = importedPage;
+      } else {
+        pages.push(importedPage);
+      }
+    }
+    firstImportedPageId = imported.state.pages[0].id;
+  }
+
+  // Restore caches now that widgets have their final IDs
+  for (const widget of pages.flatMap(p => p.widgets)) {
+    if (widget.id in imported.caches) {
+      widget.importCache(imported.caches[widget.id]);
+    }
+  }
+
+  if (useTheme && imported.theme) {
+    saveGlobalTheme({ ...DEFAULT_THEME, ...imported.theme });
+  }
+
+  activePageId = pages.some(p => p.id === firstImportedPageId) ? firstImportedPageId : pages[0].id;
+  history.record({
+    type: 'replacePages',
+    label: 'Import layout',
+    before,
+    after: { pages: pages.map(pageToConfig), activePageId, theme: globalTheme }
+  });
+  saveWidgets();
+  applyTheme(getEffectiveTheme());
+  renderPageSwitcher();
+  renderDashboard();
+}
+
+// ============================================================================
+// Templates
+// ============================================================================
+
+// Saved widget templates, for the Add Widget flyout
+function renderTemplateList() {
+  // Templates of uninstalled plugins are kept, but can't be added
+  const templates = getTemplates().filter(t => WidgetRegistry[t.type]);
+  if (templates.length === 0) {
+    return '<p class="template-empty">No templates yet. Save one from a widget\'s settings.</p>';
+  }
+  return `
+    <ul class="template-list">
+      ${templates.map(template => {
+        const { name, icon } = WidgetRegistry[template.type].metadata;
+        return `
+          <li class="template-item">
+            <button class="widget-option template-add" data-template="${escapeHtml(template.id)}" title="Add a ${escapeHtml(name)} widget with these settings">
+              ${escapeHtml(icon)} ${escapeHtml(template.name)}
+            </button>
+            <button class="toggle-btn template-remove" data-template="${escapeHtml(template.id)}" title="Delete template" aria-label="Delete template ${escapeHtml(template.name)}">✕</button>
+          </li>
+        `;
+      }).join('')}
+    </ul>
+  `;
+}
+
+// Save a widget's settings as a named template
+function saveWidgetTemplate(widget, name, data) {
+  try {
+    const template = saveTemplate(name, { ...widget.toJSON(), data });
+    showToast(`Saved template "${template.name}". Add it from the Add Widget panel.`);
+    return true;
+  } catch (e) {
+    showToast(e.message);
+    return false;
+  }
+}
+
+// Delete a template, offering to undo
+function deleteTemplate(id) {
+  const removed = removeTemplate(id);
+  if (!removed) return;
+  showToast(`Template "${removed.template.name}" deleted`, {
+    actionLabel: 'Undo',
+    onAction: () => restoreTemplate(removed)
+  });
+}
+
+// ============================================================================
+// Plugins
+// ============================================================================
+
+// Installed plugins, for the Add Widget flyout
+function renderPluginList() {
+  const plugins = Object.values(getInstalledPlugins());
+  if (plugins.length === 0) {
+    return '<p class="plugin-empty">No plugins installed.</p>';
+  }
+  return `
+    <ul class="plugin-list">
+      ${plugins.map(({ manifest }) => `
+        <li class="customize-row">
+          <span>${escapeHtml(manifest.icon)} ${escapeHtml(manifest.name)} <span class="plugin-version">${escapeHtml(manifest.version)}</span></span>
+          <button class="toggle-btn plugin-remove" data-plugin="${escapeHtml(manifest.id)}" aria-label="Remove ${escapeHtml(manifest.name)}">Remove</button>
+        </li>
+      `).join('')}
+    </ul>
+  `;
+}
+
+// Let the user pick a plugin's manifest and module, then confirm installing it
+function choosePluginFiles() {
+  const input = document.createElement('input');
+  input.type = 'file';
+  input.multiple = true;
+  input.accept = '.json,.js,.mjs,application/json,text/javascript';
+  input.addEventListener('change', async () => {
+    const files = [...input.files];
+    if (files.length === 0) return;
+
+    try {
+      showPluginInstallDialog(await readPluginFiles(files));
+    } catch (e) {
+      showPluginInstallDialog(null, e.message);
+    }
+  });
+  input.click();
+}
+
+// Show what a plugin is and can do before installing it (or why it can't be installed)
+function showPluginInstallDialog(plugin, errorMessage = null) {
+  closeWidgetConfig();
+
+  const dialog = document.createElement('div');
+  dialog.className = 'widget-config-overlay';
+
+  let content;
+  if (errorMessage) {
+    content = `<p class="import-error">${escapeHtml(errorMessage)}</p>`;
+  } else {
+    const { manifest } = plugin;
+    const installed = getInstalledPlugins()[manifest.id];
+    const events = [...Object.values(manifest.publishes), ...Object.values(manifest.accepts)];
+    content = `
+      <div class="widget-config-section">
+        <h4>${escapeHtml(manifest.icon)} ${escapeHtml(manifest.name)} ${escapeHtml(manifest.version)}</h4>
+        ${manifest.description ? `<p class="import-note">${escapeHtml(manifest.description)}</p>` : ''}
+        ${installed ? `<p class="import-note">Replaces the installed version ${escapeHtml(installed.manifest.version)}.</p>` : ''}
+      </div>
+      <div class="widget-config-section">
+        <h4>Access</h4>
+        <ul class="import-issues">
+          <li>Runs in a sandbox, without access to your other widgets, settings or Azure DevOps sign-in</li>
+          <li>${manifest.connect.length > 0
+            ? `Can connect to: ${manifest.connect.map(escapeHtml).join(', ')}`
+            : 'Can\'t connect to the network'}</li>
+          ${events.length > 0 ? `<li>Can be linked to other widgets: ${events.map(e => escapeHtml(e.label)).join(', ')}</li>` : ''}
+        </ul>
+        <p class="import-note">Only install plugins from people you trust.</p>
+      </div>
+    `;
+  }
+
+  dialog.innerHTML = `
+    <div class="widget-config-dialog">
+      <div class="widget-config-header">
+        <h3>Install Plugin</h3>
+        <button class="widget-config-close" title="Close" aria-label="Close">✕</button>
+      </div>
+      <div class="widget-config-content">
+        ${content}
+      </div>
+      <div class="widget-config-footer">
+        <div></div>
+        <div class="widget-config-footer-right">
+          <button class="widget-config-btn cancel">${errorMessage ? 'Close' : 'Cancel'}</button>
+          ${errorMessage ? '' : '<button class="widget-config-btn save">Install</button>'}
+        </div>
+      </div>
+    </div>
+  `;
+
+  attachDialog(dialog);
+
+  dialog.querySelector('.widget-config-close').addEventListener('click', closeWidgetConfig);
+  dialog.querySelector('.widget-config-btn.cancel').addEventListener('click', closeWidgetConfig);
+  dialog.addEventListener('click', (e) => {
+    if (e.target === dialog) closeWidgetConfig();
+  });
+
+  dialog.querySelector('.widget-config-btn.save')?.addEventListener('click', () => {
+    closeWidgetConfig();
+    try {
+      installPlugin(plugin);
+    } catch (e) {
+      showPluginInstallDialog(null, e.message);
+      return;
+    }
+    reloadWidgetsOfType(getPluginType(plugin.manifest.id));
+    showToast(`${plugin.manifest.name} plugin installed. Add it from the Add Widget panel.`);
+  });
+}
+
+// Remove a plugin, offering to undo. Its widgets keep their settings.
+function uninstallPlugin(id) {
+  const plugin = removePlugin(id);
+  if (!plugin) return;
+
+  const type = getPluginType(id);
+  const count = reloadWidgetsOfType(type);
+  const usage = count > 0 ? ` ${count} widget${count === 1 ? '' : 's'} using it will show as unknown.` : '';
+  showToast(`${plugin.manifest.name} plugin removed.${usage}`, {
+    actionLabel: 'Undo',
+    onAction: () => {
+      installPlugin(plugin);
+      reloadWidgetsOfType(type);
+    }
+  });
+}
+
+// Re-create every widget of a type (e.g. after its plugin was installed or removed).
+// Returns how many there were.
+function reloadWidgetsOfType(type) {
+  let count = 0;
+  for (const page of pages) {
+    page.widgets = page.widgets.map(widget => {
+      if (widget.type !== type) return widget;
+      count++;
+      return instantiateWidget(structuredClone(widget.toJSON()));
+    });
+  }
+  if (count > 0) renderDashboard();
+  return count;
 }
 
 // Handle clicks outside flyouts
 function handleOutsideClick(e) {
   const flyout = document.querySelector('.flyout');
-  if (flyout && !flyout.contains(e.target) && !addWidgetBtn.contains(e.target) && !customizeBtn.contains(e.target)) {
+  if (flyout && !flyout.contains(e.target) && !addWidgetBtn.contains(e.target) && !customizeBtn.contains(e.target) && !pageSwitcher.contains(e.target)) {
     closeAllFlyouts();
   }
 }
@@ -402,9 +1765,29 @@ function handleOutsideClick(e) {
 // Close all flyouts
 function closeAllFlyouts() {
   document.querySelectorAll('.flyout').forEach(f => f.remove());
+  [addWidgetBtn, customizeBtn, pageSwitcher].forEach(btn => btn.setAttribute('aria-expanded', 'false'));
   document.removeEventListener('click', handleOutsideClick);
 }
 
+// Attach a flyout to its header button and move keyboard focus into it
+function attachFlyout(flyout, button) {
+  flyout.setAttribute('role', 'dialog');
+  flyout.setAttribute('aria-label', flyout.querySelector('.flyout-header h3').textContent);
+  button.appendChild(flyout);
+  button.setAttribute('aria-expanded', 'true');
+  trapFocus(flyout, { onEscape: closeAllFlyouts, returnFocusTo: button });
+}
+
+// Show a modal dialog (.widget-config-overlay) and keep keyboard focus inside it
+function attachDialog(overlay, returnFocusTo = document.activeElement) {
+  const dialog = overlay.querySelector('.widget-config-dialog');
+  dialog.setAttribute('role', 'dialog');
+  dialog.setAttribute('aria-modal', 'true');
+  dialog.setAttribute('aria-label', dialog.querySelector('.widget-config-header h3').textContent);
+  document.body.appendChild(overlay);
+  trapFocus(overlay, { onEscape: closeWidgetConfig, returnFocusTo });
+}
+
 // Setup event listeners
 function setupEventListeners() {
   // Edit mode toggle
@@ -429,6 +1812,34 @@ function setupEventListeners() {
       showCustomizeFlyout();
     }
   });
+  
+  // Page switcher button
+  pageSwitcher.addEventListener('click', (e) => {
+    e.stopPropagation();
+    if (document.getElementById('pageFlyout')) {
+      closeAllFlyouts();
+    } else {
+      showPageFlyout();
+    }
+  });
+  
+  // Page keyboard shortcuts
+  document.addEventListener('keydown', handlePageShortcuts);
+  
+  // Undo/redo shortcuts
+  document.addEventListener('keydown', handleHistoryShortcuts);
+  
+  // Command palette shortcut
+  document.addEventListener('keydown', handlePaletteShortcut);
+  
+  // Keyboard moving/resizing of widgets in edit mode
+  dashboard.addEventListener('keydown', handleWidgetKeydown);
+  
+  // Reload/reset buttons on crashed widgets
+  dashboard.addEventListener('click', handleWidgetCrashAction);
+  
+  // Switch layouts when the window is resized across a breakpoint
+  window.addEventListener('resize', updateBreakpoint);
 }
 
 // Toggle edit mode
@@ -437,101 +1848,229 @@ function toggleEditMode() {
   editToggle.classList.toggle('active', editMode);
   editToggle.querySelector('.edit-icon').textContent = editMode ? '✓' : '⚙';
   editToggle.title = editMode ? 'Done' : 'Edit';
+  editToggle.setAttribute('aria-pressed', String(editMode));
   dashboard.classList.toggle('edit-mode', editMode);
   
   // Show/hide edit mode buttons
   addWidgetBtn.classList.toggle('visible', editMode);
   customizeBtn.classList.toggle('visible', editMode);
   
-  // Enable/disable widget dragging
+  // Enable/disable keyboard editing
   dashboard.querySelectorAll('.widget').forEach(el => {
-    el.draggable = editMode;
+    setWidgetEditable(el, editMode);
   });
   
   // Close flyouts when exiting edit mode
   if (!editMode) {
     closeAllFlyouts();
   }
+
+  announce(editMode
+    ? 'Editing layout. Tab to a widget, then use arrow keys to move it and Shift+arrow keys to resize it.'
+    : 'Finished editing layout.');
 }
 
 // Render the dashboard
+// Only widgets that were added, replaced or removed are re-created; the rest are repositioned
 function renderDashboard() {
-  dashboard.innerHTML = '';
+  dashboard.dataset.breakpoint = activeBreakpoint;
+  dashboardRenderer.render(getWidgets(), getLayoutItems());
+}
 
-  if (widgets.length === 0) {
-    dashboard.innerHTML = `
-      <div class="dashboard-empty">
-        <div class="dashboard-empty-icon">📦</div>
-        <p>No widgets yet. Click Edit to add some!</p>
-      </div>
-    `;
-    return;
+// Re-render one widget's content (e.g. to preview its settings) without touching the others
+function renderWidget(widget) {
+  dashboardRenderer.rerender(widget);
+}
+
+// Make a widget element keyboard-focusable in edit mode
+function setWidgetEditable(el, editable) {
+  if (editable) {
+    el.tabIndex = 0;
+    el.setAttribute('aria-describedby', 'widgetKeyboardHelp');
+  } else {
+    el.removeAttribute('tabindex');
+    el.removeAttribute('aria-describedby');
+  }
+}
+
+// ============================================================================
+// Keyboard Layout Editing
+// ============================================================================
+
+// Arrow key directions as [dx, dy]
+const ARROW_KEYS = {
+  ArrowLeft: [-1, 0],
+  ArrowRight: [1, 0],
+  ArrowUp: [0, -1],
+  ArrowDown: [0, 1]
+};
+
+// Handle keys on a focused widget (or its move/resize handle) in edit mode:
+// arrows move, Shift+arrows (or arrows on the resize handle) resize,
+// Enter opens settings and Delete removes the widget
+function handleWidgetKeydown(e) {
+  if (!editMode || e.altKey || e.ctrlKey || e.metaKey) return;
+  const el = e.target.closest('.widget');
+  if (!el) return;
+  const onWidget = e.target === el;
+  const onHandle = e.target.matches('.drag-handle, .resize-handle');
+  if (!onWidget && !onHandle) return;
+
+  const widget = findWidget(el.dataset.id);
+  if (!widget) return;
+
+  if (e.key in ARROW_KEYS) {
+    e.preventDefault();
+    const [dx, dy] = ARROW_KEYS[e.key];
+    if (e.shiftKey || e.target.matches('.resize-handle')) {
+      resizeWidgetBy(widget, dx, dy);
+    } else {
+      moveWidgetBy(widget, dx, dy);
+    }
+    // The widget keeps its element when it moves, so focus stays where it was
+  } else if (onWidget && e.key === 'Enter') {
+    e.preventDefault();
+    openWidgetConfig(widget.id);
+  } else if (onWidget && e.key === 'Delete') {
+    e.preventDefault();
+    const index = getWidgets().indexOf(widget);
+    removeWidget(widget.id);
+    // Keep focus on the dashboard: the next widget, or the previous one if it was the last
+    const widgets = getWidgets();
+    (widgets[index] || widgets[index - 1])?.element?.focus();
   }
+}
 
-  widgets.forEach(widget => {
-    const el = widget.createElement(removeWidget, resizeWidget, openWidgetConfig);
-    // If in edit mode, make widget draggable
-    if (editMode) {
-      el.draggable = true;
+// Move a widget one step in a direction. Moving up or down skips ahead until the
+// widget actually changes place, since the grid compacts upwards.
+function moveWidgetBy(widget, dx, dy) {
+  const rect = getWidgetRect(widget);
+  const { columns } = readGridMetrics(dashboard);
+  const bottom = Math.max(...getLayoutItems().map(item => item.y + item.height));
+
+  for (let step = 1; ; step++) {
+    const x = rect.x + dx * step;
+    const y = rect.y + dy * step;
+    if (x < 0 || x + rect.width > Math.max(columns, rect.x + rect.width) || y < 0 || y > bottom) {
+      announce(`${getWidgetName(widget)} can't move further ${describeDirection(dx, dy)}.`);
+      return;
+    }
+    const moved = reflowAround({ ...rect, x, y }).find(item => item.id === widget.id);
+    if (moved.x !== rect.x || moved.y !== rect.y) {
+      moveWidget(widget.id, x, y);
+      return;
     }
-    dashboard.appendChild(el);
+  }
+}
+
+// Grow or shrink a widget by one cell
+function resizeWidgetBy(widget, dw, dh) {
+  const rect = getWidgetRect(widget);
+  const { columns } = readGridMetrics(dashboard);
+  const width = Math.min(Math.max(1, rect.width + dw), Math.max(columns - rect.x, rect.width));
+  const height = Math.max(1, rect.height + dh);
+
+  if (width === rect.width && height === rect.height) {
+    announce(`${getWidgetName(widget)} can't be resized further.`);
+    return;
+  }
+  resizeWidget(widget.id, width, height);
+}
+
+// Display name of a widget's type
+function getWidgetName(widget) {
+  return WidgetRegistry[widget.type]?.metadata.name || 'Widget';
+}
+
+// Name of an arrow direction, for announcements
+function describeDirection(dx, dy) {
+  if (dx < 0) return 'left';
+  if (dx > 0) return 'right';
+  return dy < 0 ? 'up' : 'down';
+}
+
+// Announce a widget's position and size to screen readers
+function announceWidgetRect(widget, verb) {
+  const rect = getWidgetRect(widget);
+  announce(`${getWidgetName(widget)} ${verb} to column ${rect.x + 1}, row ${rect.y + 1}, ${rect.width} by ${rect.height} cells.`);
+}
+
+// Read a message out to screen reader users
+function announce(message) {
+  // Clearing first makes repeated messages announce again
+  liveRegion.textContent = '';
+  requestAnimationFrame(() => {
+    liveRegion.textContent = message;
   });
 }
 
 // Setup drag and drop on the dashboard
 function setupDashboardDragDrop() {
-  dashboard.addEventListener('dragover', (e) => {
-    if (!editMode) return;
-    e.preventDefault();
-    e.dataTransfer.dropEffect = 'move';
-    
-    // Track which widget is being dragged
-    if (!draggingWidget) {
-      const draggingEl = dashboard.querySelector('.widget.dragging');
-      if (draggingEl) {
-        draggingWidget = widgets.find(w => w.id === draggingEl.dataset.id);
-      }
-    }
-    
-    // Show drop indicator with widget dimensions
-    const pos = getGridPositionFromEvent(e);
-    const width = draggingWidget?.width ?? 1;
-    const height = draggingWidget?.height ?? 1;
-    updateDropIndicator(pos.x, pos.y, width, height);
-  });
+  dashboard.addEventListener('pointerdown', handleWidgetPointerDown);
+}
 
-  dashboard.addEventListener('dragleave', (e) => {
-    // Only remove indicator if leaving the dashboard entirely
-    if (!dashboard.contains(e.relatedTarget)) {
-      removeDropIndicator();
-      draggingWidget = null;
-    }
-  });
+// Start moving a widget with the pointer in edit mode. Mouse and pen drags start
+// on movement; on touch, the widget body needs a long press (the move handle doesn't),
+// so swiping across widgets still scrolls the page.
+function handleWidgetPointerDown(e) {
+  if (!editMode || e.button !== 0) return;
+  const el = e.target.closest('.widget');
+  if (!el) return;
+  const onHandle = !!e.target.closest('.drag-handle');
+  // Other controls and the widget's own inputs and links keep working
+  if (!onHandle && e.target.closest('.widget-control, button, a, input, textarea, select, [contenteditable="true"]')) return;
+
+  const widget = findWidget(el.dataset.id);
+  if (!widget) return;
+  if (onHandle) e.preventDefault();
 
-  dashboard.addEventListener('drop', (e) => {
-    if (!editMode) return;
-    e.preventDefault();
+  const start = getWidgetRect(widget);
+  const box = el.getBoundingClientRect();
+  const grabOffset = { x: e.clientX - box.left, y: e.clientY - box.top };
+  let target = null;
+
+  const endDrag = () => {
+    el.classList.remove('dragging');
     removeDropIndicator();
-    draggingWidget = null;
-    
-    const widgetId = e.dataTransfer.getData('text/plain');
-    const pos = getGridPositionFromEvent(e);
-    moveWidget(widgetId, pos.x, pos.y);
+  };
+
+  trackPointer(el, e, {
+    longPress: e.pointerType === 'touch' && !onHandle,
+    autoScroll: true,
+    onStart: () => el.classList.add('dragging'),
+    onMove: (point) => {
+      // Snap to the grid: only update when the widget's top-left cell changes
+      const pos = getGridPositionFromPoint(point, grabOffset);
+      if (target && pos.x === target.x && pos.y === target.y) return;
+      target = pos;
+      placeElement(el, { ...start, ...pos });
+
+      // Show where the widget will land and how its neighbours will reflow
+      const layout = previewLayout({ ...start, ...pos }, { isDrag: true });
+      const landing = layout.find(item => item.id === widget.id);
+      updateDropIndicator(landing.x, landing.y, landing.width, landing.height);
+    },
+    onEnd: () => {
+      endDrag();
+      moveWidget(widget.id, target.x, target.y);
+    },
+    onCancel: () => {
+      endDrag();
+      resetLayoutPreview();
+    }
   });
 }
 
-// Calculate grid position from mouse event
-function getGridPositionFromEvent(e) {
+// Calculate the grid cell for a dragged widget's top-left corner from a pointer position
+function getGridPositionFromPoint({ clientX, clientY }, grabOffset = { x: 0, y: 0 }) {
   const rect = dashboard.getBoundingClientRect();
-  const padding = 32; // 2rem padding
-  const gap = 16; // var(--grid-gap)
-  const cellSize = GRID_CELL_SIZE;
+  const { pitch, paddingLeft, paddingTop } = readGridMetrics(dashboard);
   
-  const relativeX = e.clientX - rect.left - padding;
-  const relativeY = e.clientY - rect.top - padding;
+  const relativeX = clientX - grabOffset.x - rect.left - paddingLeft;
+  const relativeY = clientY - grabOffset.y - rect.top - paddingTop;
   
-  const x = Math.max(0, Math.floor(relativeX / (cellSize + gap)));
-  const y = Math.max(0, Math.floor(relativeY / (cellSize + gap)));
+  const x = Math.max(0, Math.round(relativeX / pitch));
+  const y = Math.max(0, Math.round(relativeY / pitch));
   
   return { x, y };
 }
@@ -556,133 +2095,302 @@ function removeDropIndicator() {
   }
 }
 
-// Move a widget to a new position
+// Re-render with a different layout if the dashboard's width crossed a breakpoint
+function updateBreakpoint() {
+  const breakpoint = getBreakpoint(readGridMetrics(dashboard).columns);
+  if (breakpoint !== activeBreakpoint) {
+    activeBreakpoint = breakpoint;
+    renderDashboard();
+  }
+}
+
+// Get the layout of a page's widgets at a breakpoint, generating positions
+// for widgets that have none stored for it. Items are in widget order.
+function getLayoutItems(page = getActivePage(), breakpoint = activeBreakpoint) {
+  const primaryItems = page.widgets.map(w => ({ id: w.id, ...w.getRect(PRIMARY_BREAKPOINT) }));
+  const storedRects = new Map();
+  page.widgets.forEach(w => {
+    const rect = w.getRect(breakpoint);
+    if (rect) storedRects.set(w.id, rect);
+  });
+  return deriveLayout(primaryItems, storedRects, breakpoint, readGridMetrics(dashboard).columns);
+}
+
+// Get a widget's position and size at the current breakpoint
+function getWidgetRect(widget, breakpoint = activeBreakpoint) {
+  return getLayoutItems(getActivePage(), breakpoint).find(item => item.id === widget.id);
+}
+
+// Reflow the active page around a changed widget, keeping it within the visible columns
+function reflowAround(changed, breakpoint = activeBreakpoint) {
+  const { columns } = readGridMetrics(dashboard);
+  const width = Math.min(changed.width, columns);
+  const x = Math.max(0, Math.min(changed.x, columns - width));
+  return reflowLayout(getLayoutItems(getActivePage(), breakpoint), { ...changed, x, width });
+}
+
+// Show the layout that would result from moving/resizing a widget, without saving it.
+// A dragged widget is left where the caller put it, under the pointer (the drop
+// indicator shows where it will land).
+// Returns the previewed layout.
+function previewLayout(changed, { isDrag = false } = {}) {
+  const layout = reflowAround(changed);
+  for (const item of layout) {
+    const el = dashboard.querySelector(`.widget[data-id="${item.id}"]`);
+    if (el && !(isDrag && item.id === changed.id)) placeElement(el, item);
+  }
+  return layout;
+}
+
+// Put widget elements back at their saved positions after a cancelled preview
+function resetLayoutPreview() {
+  const layout = getLayoutItems();
+  getWidgets().forEach((widget, i) => {
+    if (widget.element) placeElement(widget.element, layout[i]);
+  });
+}
+
+// Place an element on the grid
+function placeElement(el, { x, y, width, height }) {
+  el.style.gridColumn = `${x + 1} / span ${width}`;
+  el.style.gridRow = `${y + 1} / span ${height}`;
+}
+
+// Preview neighbours reflowing while a widget is being resized
+function previewResize(id, newWidth, newHeight) {
+  const widget = findWidget(id);
+  if (!widget) return;
+  const rect = getWidgetRect(widget);
+  if (newWidth === rect.width && newHeight === rect.height) {
+    resetLayoutPreview();
+  } else {
+    previewLayout({ ...rect, width: newWidth, height: newHeight });
+  }
+}
+
+// Store positions/sizes from the layout engine on the active page's widgets.
+// Editing a narrower breakpoint stores its whole layout, so it no longer follows the wide one.
+function applyLayout(layout, breakpoint = activeBreakpoint) {
+  for (const item of layout) {
+    findWidget(item.id)?.setRect(breakpoint, item);
+  }
+}
+
+// Move a widget to a new position, reflowing the widgets around it
 function moveWidget(id, newX, newY) {
-  const widget = widgets.find(w => w.id === id);
+  const widget = findWidget(id);
   if (widget) {
-    widget.x = newX;
-    widget.y = newY;
+    changeWidgets('Move widget', () => {
+      applyLayout(reflowAround({ ...getWidgetRect(widget), x: newX, y: newY }));
+    });
     saveWidgets();
     renderDashboard();
+    announceWidgetRect(widget, 'moved');
   }
 }
 
-// Find next available position for a new widget
-function findNextPosition() {
-  // Find the maximum y position used, then place at the next row
-  let maxY = -1;
-  widgets.forEach(w => {
-    const bottomY = w.y + w.height;
-    if (bottomY > maxY) maxY = bottomY;
+// Make a change to the active page's widgets and record it as one undo step
+function changeWidgets(label, change) {
+  const snapshot = () => new Map(getWidgets().map(w => [w.id, structuredClone(w.toJSON())]));
+  const before = snapshot();
+  change();
+  const after = snapshot();
+
+  const commands = [];
+  after.forEach((config, id) => {
+    if (before.has(id) && JSON.stringify(before.get(id)) !== JSON.stringify(config)) {
+      commands.push({ type: 'update', pageId: activePageId, before: before.get(id), after: config });
+    }
   });
-  return { x: 0, y: maxY < 0 ? 0 : maxY };
-}
 
-// Add a new widget
-function addWidget(type) {
-  const id = `widget-${Date.now()}`;
-  const pos = findNextPosition();
-  
-  // Check if there's an existing widget of the same type to copy properties from
-  const existingWidget = widgets.find(w => w.type === type);
-  
-  // Copy size from existing widget, or use default size from widget class
-  let width, height, data;
-  if (existingWidget) {
-    width = existingWidget.width;
-    height = existingWidget.height;
-    data = structuredClone(existingWidget.data);
-  } else {
-    const WidgetClass = WidgetRegistry[type];
-    const defaultSize = WidgetClass?.metadata?.defaultSize || { width: 2, height: 2 };
-    width = defaultSize.width;
-    height = defaultSize.height;
-    data = {};
+  if (commands.length === 1) {
+    history.record({ ...commands[0], label });
+  } else if (commands.length > 1) {
+    history.record({ type: 'batch', label, commands });
   }
-  
+}
+
+// Find the first free spot in a page's wide layout that fits a widget of the given size.
+// Narrower layouts place the widget themselves.
+function findNextPosition(page = getActivePage(), width = 1, height = 1) {
+  const { columns } = readGridMetrics(dashboard);
+  const wideColumns = Math.max(columns, BREAKPOINTS[0].minColumns);
+  return findFreePosition(getLayoutItems(page, PRIMARY_BREAKPOINT), width, height, wideColumns);
+}
+
+// Add a new widget with default settings, or with the size and settings of a template
+function addWidget(type, template = null) {
+  const defaultSize = WidgetRegistry[type]?.metadata?.defaultSize || { width: 2, height: 2 };
+  const width = template?.width ?? defaultSize.width;
+  const height = template?.height ?? defaultSize.height;
+  const pos = findNextPosition(getActivePage(), width, height);
+
   const config = {
-    id,
+    id: `widget-${Date.now()}`,
     type,
     x: pos.x,
     y: pos.y,
     width,
     height,
-    data
+    dataVersion: template ? template.dataVersion : WidgetRegistry[type]?.dataVersion,
+    data: template ? structuredClone(template.data) : {}
   };
-  const newWidget = createWidget(config);
-  // Inject saveWidgets callback for widgets that need it
-  if (newWidget.saveWidgets !== undefined) {
-    newWidget.saveWidgets = saveWidgets;
+  // Templates saved before the widget's data format changed are upgraded like saved widgets
+  try {
+    migrateWidgetConfig(config);
+  } catch (err) {
+    showToast(template
+      ? `Template "${template.name}" can't be used: ${err.message}`
+      : `The widget could not be added: ${err.message}`);
+    return;
   }
-  widgets.push(newWidget);
+  insertWidget(config, 'Add widget');
+}
+
+// Add a copy of a widget (settings and links included) in the next free space
+function duplicateWidget(id) {
+  const widget = findWidget(id);
+  if (!widget) return;
+
+  const config = structuredClone(widget.toJSON());
+  const pos = findNextPosition(getActivePage(), config.width, config.height);
+  // Narrower layouts are generated again for the copy's new position
+  delete config.layouts;
+
+  const copy = insertWidget({ ...config, id: `widget-${Date.now()}`, x: pos.x, y: pos.y }, 'Duplicate widget');
+  if (editMode) copy.element?.focus();
+  announce(`${getWidgetName(copy)} duplicated.`);
+}
+
+// Add a widget to the active page as one undoable step
+function insertWidget(config, label) {
+  const widget = instantiateWidget(config);
+  getWidgets().push(widget);
+  history.record({
+    type: 'add',
+    label,
+    pageId: activePageId,
+    index: getWidgets().length - 1,
+    config: structuredClone(widget.toJSON())
+  });
   saveWidgets();
   renderDashboard();
+  return widget;
 }
 
-// Remove a widget
+// Remove a widget, offering to undo
 function removeWidget(id) {
-  const widget = widgets.find(w => w.id === id);
-  if (widget && widget.destroy) {
-    widget.destroy();
-  }
-  widgets = widgets.filter(w => w.id !== id);
+  const page = getActivePage();
+  const widget = findWidget(id);
+  if (!widget) return;
+
+  history.record({
+    type: 'remove',
+    label: 'Delete widget',
+    pageId: page.id,
+    index: page.widgets.indexOf(widget),
+    config: structuredClone(widget.toJSON())
+  });
+  page.widgets = page.widgets.filter(w => w.id !== id);
   saveWidgets();
   renderDashboard();
+
+  const name = WidgetRegistry[widget.type]?.metadata.name || 'Widget';
+  showToast(`${name} widget deleted`, { actionLabel: 'Undo', onAction: undo });
 }
 
 // Resize widget to specific dimensions
 function resizeWidget(id, newWidth, newHeight) {
-  const widget = widgets.find(w => w.id === id);
+  const widget = findWidget(id);
   if (widget) {
-    widget.width = newWidth;
-    widget.height = newHeight;
+    changeWidgets('Resize widget', () => {
+      applyLayout(reflowAround({ ...getWidgetRect(widget), width: newWidth, height: newHeight }));
+    });
     saveWidgets();
     renderDashboard();
+    announceWidgetRect(widget, 'resized');
+  }
+}
+
+// Handle the buttons on a crashed widget's error card
+function handleWidgetCrashAction(e) {
+  const button = e.target.closest('.widget-crash-reload, .widget-crash-reset');
+  const id = button?.closest('.widget')?.dataset.id;
+  if (!id) return;
+
+  if (button.classList.contains('widget-crash-reload')) {
+    reloadWidget(id);
+  } else {
+    resetWidgetSettings(id);
   }
 }
 
+// Start a widget again from its saved settings with a new instance
+function reloadWidget(id) {
+  const page = getActivePage();
+  const idx = page.widgets.findIndex(w => w.id === id);
+  if (idx < 0) return;
+
+  page.widgets[idx] = instantiateWidget(structuredClone(page.widgets[idx].toJSON()));
+  renderDashboard();
+  page.widgets[idx].element?.focus();
+}
+
+// Put a widget's settings back to their defaults, offering to undo
+function resetWidgetSettings(id) {
+  const page = getActivePage();
+  const idx = page.widgets.findIndex(w => w.id === id);
+  if (idx < 0) return;
+
+  const config = structuredClone(page.widgets[idx].toJSON());
+  changeWidgets('Reset widget settings', () => {
+    page.widgets[idx] = instantiateWidget({ ...config, data: {}, dataVersion: WidgetRegistry[config.type]?.dataVersion });
+  });
+  saveWidgets();
+  renderDashboard();
+  showToast(`${getWidgetName(page.widgets[idx])} settings reset`, { actionLabel: 'Undo', onAction: undo });
+}
+
 // Open widget configuration dialog
 function openWidgetConfig(id) {
-  const widget = widgets.find(w => w.id === id);
+  const widget = findWidget(id);
   if (!widget) return;
 
   // Remove existing dialog if any
   closeWidgetConfig();
 
+  const linkFields = getLinkFields(widget);
+
+  // Position fields edit the layout for the current width
+  const rect = getWidgetRect(widget);
+  const breakpointLabel = activeBreakpoint === PRIMARY_BREAKPOINT
+    ? ''
+    : ` <span class="widget-config-breakpoint">(${BREAKPOINTS.find(bp => bp.name === activeBreakpoint).label} layout)</span>`;
+
   const dialog = document.createElement('div');
   dialog.className = 'widget-config-overlay';
+  dialog.dataset.breakpoint = activeBreakpoint;
   dialog.innerHTML = `
     <div class="widget-config-dialog">
       <div class="widget-config-header">
         <h3>Configure Widget</h3>
-        <button class="widget-config-close" title="Close">✕</button>
+        <button class="widget-config-close" title="Close" aria-label="Close">✕</button>
       </div>
       <div class="widget-config-content">
-        <div class="widget-config-section">
-          <h4>Position & Size</h4>
-          <div class="widget-config-grid">
-            <label>
-              <span>X Position</span>
-              <input type="number" name="x" value="${widget.x}" min="0">
-            </label>
-            <label>
-              <span>Y Position</span>
-              <input type="number" name="y" value="${widget.y}" min="0">
-            </label>
-            <label>
-              <span>Width</span>
-              <input type="number" name="width" value="${widget.width}" min="1">
-            </label>
-            <label>
-              <span>Height</span>
-              <input type="number" name="height" value="${widget.height}" min="1">
-            </label>
-          </div>
+        <div class="widget-config-section widget-config-position">
+          <h4>Position & Size${breakpointLabel}</h4>
+          ${renderConfigFields(POSITION_FIELDS, rect)}
         </div>
         ${renderWidgetConfigFields(widget)}
+        ${renderWidgetLinkSection(widget, linkFields)}
+        ${renderWidgetPageSection()}
+        ${renderWidgetTemplateSection(widget)}
       </div>
       <div class="widget-config-footer">
-        <button class="widget-config-btn delete">Delete Widget</button>
+        <div class="widget-config-footer-left">
+          <button class="widget-config-btn delete">Delete Widget</button>
+          <button class="widget-config-btn secondary duplicate" title="Add a copy of this widget to the page">Duplicate</button>
+        </div>
         <div class="widget-config-footer-right">
           <button class="widget-config-btn cancel">Cancel</button>
           <button class="widget-config-btn save">Save</button>
@@ -691,7 +2399,8 @@ function openWidgetConfig(id) {
     </div>
   `;
 
-  document.body.appendChild(dialog);
+  // Focus returns to the widget (re-rendered after saving) when the dialog closes
+  attachDialog(dialog, () => findWidget(id)?.element);
 
   // Close button
   dialog.querySelector('.widget-config-close').addEventListener('click', closeWidgetConfig);
@@ -702,229 +2411,312 @@ function openWidgetConfig(id) {
     closeWidgetConfig();
     removeWidget(id);
   });
+
+  // Duplicate the saved widget (unsaved changes in the dialog are discarded)
+  dialog.querySelector('.widget-config-btn.duplicate').addEventListener('click', () => {
+    closeWidgetConfig();
+    duplicateWidget(id);
+  });
   
   // Click outside to close
   dialog.addEventListener('click', (e) => {
     if (e.target === dialog) closeWidgetConfig();
   });
 
+  // Validate as the user types; Save is enabled only while every field is valid
+  const saveBtn = dialog.querySelector('.widget-config-btn.save');
+  const forms = [];
+  const updateSaveButton = () => {
+    saveBtn.disabled = !forms.every(form => form.isValid);
+  };
+  const positionForm = new ConfigForm(dialog.querySelector('.widget-config-position > .widget-config-fields'), POSITION_FIELDS, {
+    onValidityChange: updateSaveButton
+  });
+  const settingsFields = dialog.querySelector('.widget-config-settings > .widget-config-fields');
+  const settingsForm = settingsFields && new ConfigForm(settingsFields, widget.getConfigSchema(), {
+    onValidityChange: updateSaveButton,
+    onChange: () => scheduleWidgetConfigPreview(settingsForm)
+  });
+  const linkContainer = dialog.querySelector('.widget-config-links > .widget-config-fields');
+  const linkForm = linkContainer && new ConfigForm(linkContainer, linkFields, {
+    onValidityChange: updateSaveButton
+  });
+  forms.push(positionForm, ...[settingsForm, linkForm].filter(Boolean));
+  updateSaveButton();
+
+  // Settings are previewed on the widget behind the dialog until saved or cancelled
+  widgetConfigPreview = { widget, originalData: structuredClone(widget.data), timer: null, changed: false };
+  widget.element?.classList.add('config-preview');
+  dialog.classList.add('previewing');
+
   // Save button
-  dialog.querySelector('.widget-config-btn.save').addEventListener('click', () => {
-    saveWidgetConfig(widget, dialog);
+  saveBtn.addEventListener('click', () => {
+    saveWidgetConfig(widget, dialog.dataset.breakpoint, positionForm, settingsForm, linkForm);
+  });
+
+  // Save the settings as shown in the dialog as a template
+  dialog.querySelector('.widget-config-template-save').addEventListener('click', async () => {
+    if (settingsForm && !(await settingsForm.validate())) return;
+    const nameInput = dialog.querySelector('input[name="templateName"]');
+    if (saveWidgetTemplate(widget, nameInput.value, settingsForm ? settingsForm.getValues() : {})) {
+      nameInput.value = '';
+    }
+  });
+
+  // Move / copy to another page
+  dialog.querySelectorAll('.widget-config-page-btn').forEach(btn => {
+    btn.addEventListener('click', () => {
+      const targetPageId = dialog.querySelector('select[name="targetPage"]').value;
+      closeWidgetConfig();
+      transferWidget(id, targetPageId, btn.dataset.action === 'copy');
+    });
   });
 }
 
-// Render widget-specific config fields
-function renderWidgetConfigFields(widget) {
-  const schema = widget.getConfigSchema();
-  if (schema.length === 0) return '';
+// Render the move/copy to page section of the config dialog
+function renderWidgetPageSection() {
+  const otherPages = pages.filter(p => p.id !== activePageId);
+  if (otherPages.length === 0) return '';
+
+  return `
+    <div class="widget-config-section">
+      <h4>Page</h4>
+      <div class="widget-config-page-row">
+        <select name="targetPage">
+          ${otherPages.map(p => `<option value="${p.id}">${escapeHtml(p.name)}</option>`).join('')}
+        </select>
+        <button type="button" class="widget-config-btn secondary widget-config-page-btn" data-action="move">Move</button>
+        <button type="button" class="widget-config-btn secondary widget-config-page-btn" data-action="copy">Copy</button>
+      </div>
+    </div>
+  `;
+}
 
-  let html = `<div class="widget-config-section"><h4>Widget Settings</h4>`;
+// Render the save as template section of the config dialog
+function renderWidgetTemplateSection(widget) {
+  const title = typeof widget.data.title === 'string' ? widget.data.title.trim() : '';
+  return `
+    <div class="widget-config-section">
+      <h4>Template</h4>
+      <p class="widget-config-hint">Save these settings to add more widgets like this one from the Add Widget panel.</p>
+      <div class="widget-config-page-row">
+        <input type="text" name="templateName" maxlength="${MAX_TEMPLATE_NAME_LENGTH}" placeholder="Template name, e.g. My reviews" value="${escapeHtml(title)}" aria-label="Template name">
+        <button type="button" class="widget-config-btn secondary widget-config-template-save">Save as template</button>
+      </div>
+    </div>
+  `;
+}
 
-  for (const field of schema) {
-    const value = widget.data[field.key] ?? field.default;
-    html += `<div class="widget-config-field">`;
+// Move or copy a widget from the active page to another page.
+// The widget is placed below the existing widgets on the target page.
+function transferWidget(id, targetPageId, copy) {
+  const widget = findWidget(id);
+  const targetPage = pages.find(p => p.id === targetPageId);
+  if (!widget || !targetPage) return;
 
-    switch (field.type) {
-      case 'string':
-        html += `
-          <label>
-            <span>${field.label}</span>
-            <input type="text" name="config_${field.key}" value="${escapeHtml(value || '')}">
-          </label>
-        `;
-        break;
+  const pos = findNextPosition(targetPage, widget.width, widget.height);
+  const config = {
+    ...structuredClone(widget.toJSON()),
+    x: pos.x,
+    y: pos.y
+  };
+  // Narrower layouts of the old page don't fit the new one; they are generated again
+  delete config.layouts;
+  // Links are to widgets on the old page
+  delete config.subscriptions;
 
-      case 'text':
-        html += `
-          <label>
-            <span>${field.label}</span>
-            <textarea name="config_${field.key}">${escapeHtml(value || '')}</textarea>
-          </label>
-        `;
-        break;
+  if (copy) {
+    config.id = `widget-${Date.now()}`;
+  }
 
-      case 'number':
-        html += `
-          <label>
-            <span>${field.label}</span>
-            <input type="number" name="config_${field.key}" value="${value || 0}">
-          </label>
-        `;
-        break;
+  const addCommand = { type: 'add', pageId: targetPageId, index: targetPage.widgets.length, config: structuredClone(config) };
 
-      case 'boolean':
-        html += `
-          <label class="checkbox-label">
-            <input type="checkbox" name="config_${field.key}" ${value ? 'checked' : ''}>
-            <span>${field.label}</span>
-          </label>
-        `;
-        break;
-
-      case 'select':
-        html += `
-          <label>
-            <span>${field.label}</span>
-            <select name="config_${field.key}">
-              ${field.options.map(opt => {
-                const optValue = typeof opt === 'object' ? opt.value : opt;
-                const optLabel = typeof opt === 'object' ? opt.label : opt;
-                return `<option value="${optValue}" ${value === optValue ? 'selected' : ''}>${optLabel}</option>`;
-              }).join('')}
-            </select>
-          </label>
-        `;
-        break;
-
-      case 'list':
-        html += `
-          <div class="widget-config-list" data-field="${field.key}">
-            <span class="widget-config-list-label">${field.label}</span>
-            <div class="widget-config-list-items">
-              ${(value || []).map((item, index) => renderListItem(field, item, index)).join('')}
-            </div>
-            <button type="button" class="widget-config-list-add" data-field="${field.key}">+ Add Item</button>
-          </div>
-        `;
-        break;
-    }
+  if (copy) {
+    history.record({ ...addCommand, label: 'Copy widget to page' });
+  } else {
+    const page = getActivePage();
+    history.record({
+      type: 'batch',
+      label: 'Move widget to page',
+      commands: [
+        { type: 'remove', pageId: page.id, index: page.widgets.indexOf(widget), config: structuredClone(widget.toJSON()) },
+        addCommand
+      ]
+    });
+    page.widgets = page.widgets.filter(w => w.id !== id);
+  }
+
+  targetPage.widgets.push(instantiateWidget(config));
+  saveWidgets();
+  renderDashboard();
+}
+
+// Render widget-specific config fields
+function renderWidgetConfigFields(widget) {
+  const schema = widget.getConfigSchema();
+  if (schema.length === 0) return '';
+
+  return `
+    <div class="widget-config-section widget-config-settings">
+      <h4>Widget Settings</h4>
+      ${renderConfigFields(schema, widget.data)}
+    </div>
+  `;
+}
 
-    html += `</div>`;
+// Config fields for the Linked Widgets section: a list of links from another
+// widget's event to one of this widget's actions of the same kind
+function getLinkFields(widget) {
+  const accepts = Object.entries(widget.constructor.accepts);
+  const options = [];
+  for (const source of getWidgets()) {
+    if (source === widget) continue;
+    for (const [event, published] of Object.entries(source.constructor.publishes)) {
+      for (const [action, accepted] of accepts) {
+        if (published.kind !== accepted.kind) continue;
+        options.push({
+          value: JSON.stringify([source.id, event, action]),
+          label: `${describeLinkSource(source)}: ${published.label} → ${accepted.label}`
+        });
+      }
+    }
   }
+  if (options.length === 0) return [];
+
+  return [{
+    key: 'links',
+    label: 'Links',
+    type: 'list',
+    itemLabel: 'Link',
+    fields: [{ key: 'link', label: 'When', type: 'select', options, default: options[0].value }],
+    default: []
+  }];
+}
 
-  html += `</div>`;
-  return html;
+// Name of a widget in link options, e.g. 'ADO PRs "Reviews"' or 'Search (2)'
+function describeLinkSource(widget) {
+  const title = typeof widget.data.title === 'string' ? widget.data.title.trim() : '';
+  const name = title ? `${getWidgetName(widget)} "${title}"` : getWidgetName(widget);
+  const sameName = getWidgets().filter(w => w.type === widget.type && !(w.data.title ?? '').toString().trim());
+  return !title && sameName.length > 1 ? `${name} (${sameName.indexOf(widget) + 1})` : name;
 }
 
-// Render a single list item
-function renderListItem(field, item, index) {
-  let html = `<div class="widget-config-list-item" data-index="${index}">`;
-  for (const subField of field.fields) {
-    const subValue = item[subField.key] || '';
-    html += `
-      <input type="text" 
-             name="config_${field.key}_${index}_${subField.key}" 
-             placeholder="${subField.label}"
-             value="${escapeHtml(subValue)}">
+// Render the Linked Widgets section for widgets that can react to other widgets
+function renderWidgetLinkSection(widget, linkFields) {
+  if (Object.keys(widget.constructor.accepts).length === 0) return '';
+  if (linkFields.length === 0) {
+    return `
+      <div class="widget-config-section">
+        <h4>Linked Widgets</h4>
+        <p class="widget-config-hint">No other widget on this page sends events this widget can react to.</p>
+      </div>
     `;
   }
-  html += `<button type="button" class="widget-config-list-remove" data-index="${index}">✕</button>`;
-  html += `</div>`;
-  return html;
+
+  // Links to widgets that have since been removed are dropped
+  const available = new Set(linkFields[0].fields[0].options.map(option => option.value));
+  const links = widget.subscriptions
+    .map(({ source, event, action }) => ({ link: JSON.stringify([source, event, action]) }))
+    .filter(({ link }) => available.has(link));
+
+  return `
+    <div class="widget-config-section widget-config-links">
+      <h4>Linked Widgets</h4>
+      <p class="widget-config-hint">React to what happens in other widgets on this page.</p>
+      ${renderConfigFields(linkFields, { links })}
+    </div>
+  `;
 }
 
-// Escape HTML for safe insertion
-function escapeHtml(text) {
-  const div = document.createElement('div');
-  div.textContent = text;
-  return div.innerHTML;
+// Read the links chosen in the Linked Widgets section as widget subscriptions
+function readLinkSubscriptions(linkForm) {
+  const seen = new Set();
+  return linkForm.getValues().links
+    .filter(({ link }) => !seen.has(link) && seen.add(link))
+    .map(({ link }) => {
+      const [source, event, action] = JSON.parse(link);
+      return { source, event, action };
+    });
 }
 
-// Save widget configuration
-function saveWidgetConfig(widget, dialog) {
-  // Save position and size
-  widget.x = parseInt(dialog.querySelector('input[name="x"]').value) || 0;
-  widget.y = parseInt(dialog.querySelector('input[name="y"]').value) || 0;
-  widget.width = Math.max(1, parseInt(dialog.querySelector('input[name="width"]').value) || 1);
-  widget.height = Math.max(1, parseInt(dialog.querySelector('input[name="height"]').value) || 1);
+// Save widget configuration from the config dialog's forms
+function saveWidgetConfig(widget, breakpoint, positionForm, settingsForm, linkForm) {
+  if (![positionForm, settingsForm, linkForm].every(form => !form || form.isValid)) return;
 
-  // Save widget-specific config
-  const schema = widget.getConfigSchema();
-  for (const field of schema) {
-    if (field.type === 'list') {
-      // Collect list items
-      const items = [];
-      const listContainer = dialog.querySelector(`.widget-config-list[data-field="${field.key}"] .widget-config-list-items`);
-      const listItems = listContainer.querySelectorAll('.widget-config-list-item');
-      
-      listItems.forEach((itemEl, index) => {
-        const item = {};
-        for (const subField of field.fields) {
-          const input = itemEl.querySelector(`input[name="config_${field.key}_${index}_${subField.key}"]`);
-          if (input) {
-            item[subField.key] = input.value;
-          }
-        }
-        items.push(item);
-      });
-      widget.data[field.key] = items;
-    } else if (field.type === 'boolean') {
-      const input = dialog.querySelector(`input[name="config_${field.key}"]`);
-      widget.data[field.key] = input?.checked || false;
-    } else if (field.type === 'number') {
-      const input = dialog.querySelector(`input[name="config_${field.key}"]`);
-      widget.data[field.key] = parseFloat(input?.value) || 0;
-    } else {
-      const input = dialog.querySelector(`[name="config_${field.key}"]`);
-      widget.data[field.key] = input?.value || '';
-    }
+  // Undo goes back to the settings from before the dialog opened, not to the last preview
+  const previewData = widget.data;
+  const originalData = endWidgetConfigPreview();
+  if (originalData) {
+    widget.data = originalData;
   }
+  const savedData = JSON.stringify([widget.data, widget.subscriptions]);
 
+  changeWidgets('Edit widget settings', () => {
+    widget.data = previewData;
+    if (settingsForm) {
+      widget.setConfig(settingsForm.getValues());
+    }
+    if (linkForm) {
+      widget.subscriptions = readLinkSubscriptions(linkForm);
+    }
+    const rect = positionForm.getValues();
+    applyLayout(reflowAround({ id: widget.id, ...rect }, breakpoint), breakpoint);
+  });
   saveWidgets();
   closeWidgetConfig();
   renderDashboard();
+  // Moving keeps the widget's element; new settings need fresh content
+  if (JSON.stringify([widget.data, widget.subscriptions]) !== savedData) {
+    renderWidget(widget);
+  }
+}
+
+// Preview settings once the user pauses typing. Settings with errors aren't previewed.
+function scheduleWidgetConfigPreview(settingsForm) {
+  const preview = widgetConfigPreview;
+  if (!preview) return;
+
+  clearTimeout(preview.timer);
+  preview.timer = setTimeout(() => {
+    if (widgetConfigPreview !== preview || settingsForm.hasErrors) return;
+    preview.changed = true;
+    preview.widget.setConfig(settingsForm.getValues());
+    renderWidget(preview.widget);
+    preview.widget.element?.classList.add('config-preview');
+  }, CONFIG_PREVIEW_DELAY_MS);
+}
+
+// Stop previewing settings. Returns the widget's data from before the preview,
+// or null if nothing was previewed.
+function endWidgetConfigPreview() {
+  const preview = widgetConfigPreview;
+  if (!preview) return null;
+
+  widgetConfigPreview = null;
+  clearTimeout(preview.timer);
+  preview.widget.element?.classList.remove('config-preview');
+  return preview.changed ? preview.originalData : null;
+}
+
+// Put back the settings a widget had before the config dialog opened
+function revertWidgetConfigPreview() {
+  const widget = widgetConfigPreview?.widget;
+  const originalData = endWidgetConfigPreview();
+  if (!originalData) return;
+
+  // setConfig() lets widgets react (e.g. reload data for the original filters)
+  const schemaKeys = widget.getConfigSchema().map(field => field.key);
+  widget.setConfig(Object.fromEntries(schemaKeys.filter(key => key in originalData).map(key => [key, originalData[key]])));
+  widget.data = originalData;
+  renderWidget(widget);
 }
 
 // Close widget configuration dialog
 function closeWidgetConfig() {
+  revertWidgetConfigPreview();
   const overlay = document.querySelector('.widget-config-overlay');
   if (overlay) {
     overlay.remove();
   }
 }
 
-// Setup list item add/remove handlers (using event delegation)
-document.addEventListener('click', (e) => {
-  // Add list item
-  if (e.target.classList.contains('widget-config-list-add')) {
-    const fieldKey = e.target.dataset.field;
-    const listContainer = e.target.closest('.widget-config-list');
-    const itemsContainer = listContainer.querySelector('.widget-config-list-items');
-    
-    // Find the field schema
-    const overlay = document.querySelector('.widget-config-overlay');
-    if (overlay) {
-      // Get field info from existing items
-      const existingItems = itemsContainer.querySelectorAll('.widget-config-list-item');
-      const newIndex = existingItems.length;
-      
-      // Create new item based on first item structure or field key
-      const firstItem = existingItems[0];
-      if (firstItem) {
-        const newItem = document.createElement('div');
-        newItem.className = 'widget-config-list-item';
-        newItem.dataset.index = newIndex;
-        
-        const inputs = firstItem.querySelectorAll('input[type="text"]');
-        inputs.forEach(input => {
-          const nameParts = input.name.split('_');
-          const subFieldKey = nameParts[nameParts.length - 1];
-          const newInput = document.createElement('input');
-          newInput.type = 'text';
-          newInput.name = `config_${fieldKey}_${newIndex}_${subFieldKey}`;
-          newInput.placeholder = input.placeholder;
-          newItem.appendChild(newInput);
-        });
-        
-        const removeBtn = document.createElement('button');
-        removeBtn.type = 'button';
-        removeBtn.className = 'widget-config-list-remove';
-        removeBtn.dataset.index = newIndex;
-        removeBtn.textContent = '✕';
-        newItem.appendChild(removeBtn);
-        
-        itemsContainer.appendChild(newItem);
-      }
-    }
-  }
-
-  // Remove list item
-  if (e.target.classList.contains('widget-config-list-remove')) {
-    const listItem = e.target.closest('.widget-config-list-item');
-    if (listItem) {
-      listItem.remove();
-    }
-  }
-});
-
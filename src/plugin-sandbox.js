@@ -0,0 +1,155 @@
+/**
+ * Plugin Sandbox
+ * Runs one plugin widget's module inside a sandboxed iframe (see widgets/PluginWidget.js).
+ *
+ * This page is listed under "sandbox" in manifest.json, so it has a unique
+ * origin and no access to extension APIs, the dashboard's storage or other
+ * widgets. The dashboard sends an "init" message with the plugin's code and a
+ * MessageChannel port; everything after that goes over the port. Network
+ * requests are limited to the origins in the plugin's manifest ("connect").
+ *
+ * The plugin module's default export is called with the widget API:
+ *
+ *   export default function setup(widget) {
+ *     widget.root.textContent = `Hello ${widget.data.name ?? 'world'}`;
+ *     widget.onLinkedEvent((action, value) => { ... });
+ *   }
+ *
+ * - root: element to render into
+ * - id, data: the widget's ID and saved settings/data
+ * - visible: whether the widget can be seen
+ * - saveData(values): merge values into the widget's saved data
+ * - publish(event, value): send an event declared in "publishes" to linked widgets
+ * - openUrl(url): open an http(s) link in a new tab
+ * - onLinkedEvent(handler): (action, value) for actions declared in "accepts"
+ * - onVisible(handler), onHidden(handler): pause work while the widget can't be seen
+ * - onRefresh(handler): the user asked to reload the widget's data
+ *
+ * Uncaught errors show the widget's error card on the dashboard.
+ *
+ * This is a classic script rather than a module: sandboxed pages have an opaque
+ * origin, and loading a module script from the extension would need CORS.
+ */
+
+(() => {
+  'use strict';
+
+  let started = false;
+
+  window.addEventListener('message', (e) => {
+    if (started || e.source !== window.parent || e.data?.type !== 'init' || !e.ports[0]) return;
+    started = true;
+    start(e.data, e.ports[0]);
+  });
+
+  async function start({ plugin, source, widget, theme }, port) {
+    const reportError = (error) => {
+      port.postMessage({ type: 'error', message: error?.message || String(error), stack: error?.stack || '' });
+    };
+    window.addEventListener('error', (e) => reportError(e.error || e.message));
+    window.addEventListener('unhandledrejection', (e) => reportError(e.reason));
+
+    applyTheme(theme);
+    restrictNetwork(plugin.connect);
+
+    const handlers = { linkedEvent: [], visible: [], hidden: [], refresh: [] };
+    const linked = { ...widget.linked };
+    let visible = widget.visible;
+
+    const call = (handler, ...args) => {
+      try {
+        handler(...args);
+      } catch (err) {
+        reportError(err);
+      }
+    };
+
+    port.addEventListener('message', (e) => {
+      const message = e.data;
+      switch (message?.type) {
+        case 'visible':
+        case 'hidden':
+          visible = message.type === 'visible';
+          handlers[message.type].forEach(handler => call(handler));
+          break;
+        case 'linkedEvent':
+          linked[message.action] = message.value;
+          handlers.linkedEvent.forEach(handler => call(handler, message.action, message.value));
+          break;
+        case 'refresh':
+          handlers.refresh.forEach(handler => call(handler));
+          break;
+      }
+    });
+    port.start();
+
+    const data = widget.data;
+    const api = Object.freeze({
+      id: widget.id,
+      root: document.getElementById('root'),
+      data,
+      get visible() {
+        return visible;
+      },
+      saveData(values) {
+        Object.assign(data, values);
+        port.postMessage({ type: 'saveData', values });
+      },
+      publish(event, value = null) {
+        port.postMessage({ type: 'publish', event, value });
+      },
+      openUrl(url) {
+        port.postMessage({ type: 'openUrl', url: String(url) });
+      },
+      // Called straight away with the current value of each linked action
+      onLinkedEvent(handler) {
+        handlers.linkedEvent.push(handler);
+        Object.entries(linked).forEach(([action, value]) => call(handler, action, value));
+      },
+      onVisible(handler) {
+        handlers.visible.push(handler);
+      },
+      onHidden(handler) {
+        handlers.hidden.push(handler);
+      },
+      onRefresh(handler) {
+        handlers.refresh.push(handler);
+      }
+    });
+
+    const url = URL.createObjectURL(new Blob([source], { type: 'text/javascript' }));
+    try {
+      const module = await import(url);
+      if (typeof module.default !== 'function') {
+        throw new Error(`Plugin "${plugin.name}" must export a default function.`);
+      }
+      await module.default(api);
+    } catch (err) {
+      reportError(err);
+    } finally {
+      URL.revokeObjectURL(url);
+    }
+  }
+
+  function applyTheme(theme) {
+    for (const [name, value] of Object.entries(theme || {})) {
+      document.documentElement.style.setProperty(name.startsWith('--') ? name : `--${name}`, value);
+    }
+  }
+
+  // Tighten the sandbox's Content Security Policy (see manifest.json) to the plugin's own origins.
+  // CSP doesn't cover the frame navigating itself, which could carry data to any URL,
+  // so navigations are cancelled too (PluginWidget stops the widget if one gets through).
+  function restrictNetwork(origins) {
+    const allowed = Array.isArray(origins) && origins.length > 0 ? origins.join(' ') : "'none'";
+    const images = ['data:', 'blob:', ...(Array.isArray(origins) ? origins : [])].join(' ');
+    const meta = document.createElement('meta');
+    meta.httpEquiv = 'Content-Security-Policy';
+    meta.content = `connect-src ${allowed}; img-src ${images}; form-action 'none'`;
+    document.head.appendChild(meta);
+
+    // Taken now, before plugin code could replace it
+    const preventDefault = Event.prototype.preventDefault;
+    window.navigation?.addEventListener('navigate', (e) => preventDefault.call(e));
+  }
+})();
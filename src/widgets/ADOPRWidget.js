@@ -1,78 +1,254 @@
 import { WidgetBase } from './WidgetBase.js';
 import { ADOAuthHelper } from '../ADOAuthHelper.js';
+import { LocalStore } from '../Storage.js';
+import { responseError } from '../DataService.js';
+import { escapeHtml } from '../HtmlEscape.js';
+import {
+  VOTES, NOTIFY_RULES, buildPullRequestsUrl, getPullRequestWebUrl, getPullRequestApiUrl, fetchJSON,
+  lookupUserId, getAuthenticatedUser, getConnectionDataUrl, getLastActivityDate
+} from '../ADOPullRequests.js';
+
+// Settings of a query that select which PRs are fetched, in cache key order
+const QUERY_FILTER_KEYS = ['repository', 'status', 'maxCount', 'creatorEmail', 'reviewerEmail', 'targetBranch', 'titleText'];
+
+const MAX_QUERIES = 10;
+
+// How long fetched details of an expanded PR stay fresh
+const DETAILS_TTL_MS = 2 * 60 * 1000;
+
+// Identity ADO expects in autoCompleteSetBy to cancel auto-complete
+const NO_IDENTITY = '00000000-0000-0000-0000-000000000000';
+
+// Merge statuses of a PR, from the ADO API
+const MERGE_STATUSES = {
+  succeeded: 'No merge conflicts',
+  conflicts: 'Merge conflicts',
+  queued: 'Checking for merge conflicts...',
+  rejectedByPolicy: 'Merge blocked by policy',
+  failure: 'Merge check failed'
+};
 
 /**
- * Azure DevOps Pull Request widget - displays a list of PRs
+ * Azure DevOps Pull Request widget - displays lists of PRs
  * Uses native messaging with az cli for authentication
+ *
+ * Each widget has one or more named queries (e.g. "Created by me" and "Waiting
+ * on my review"), shown as tabs with their PR counts. Every query has its own
+ * data source, so they are fetched in parallel and cached separately.
+ *
+ * PRs expand to show their reviewers, merge state, policies, status checks and
+ * unresolved comments. Policies, checks and comments are fetched when a PR is
+ * first expanded.
+ *
+ * Active PRs have actions on hover (or focus): vote, publish or mark as draft,
+ * set or cancel auto-complete, and add a comment. The list shows the change
+ * straight away and goes back if the request fails.
+ *
+ * Each query fetches one page of PRs; more are loaded as the list is scrolled
+ * to the end. Loaded PRs are sorted, grouped and filtered here rather than by
+ * the API. Sorting by last update also fetches each PR's threads, since the PR
+ * list has no last-updated date.
+ *
+ * Queries with notification rules are also checked by the background worker,
+ * which shows desktop notifications even when no dashboard is open (see
+ * ADOPullRequests.js).
  */
 export class ADOPRWidget extends WidgetBase {
   static metadata = {
     name: 'ADO PRs',
     icon: '🔀',
+    description: 'Pull requests from an Azure DevOps project',
     defaultSize: { width: 4, height: 4 }
   };
 
+  static publishes = {
+    repository: { label: 'Clicked repository', kind: 'repository' }
+  };
+
+  static accepts = {
+    filterText: { label: 'Filter PRs by text', kind: 'text' },
+    filterRepository: { label: 'Show only PRs in repository', kind: 'repository' }
+  };
+
+  static dataVersion = 2;
+
+  static dataMigrations = {
+    // v1 -> v2: The widget's single filter set becomes its first query
+    1: (data) => {
+      const { repository, status, maxCount, creatorEmail, reviewerEmail, targetBranch, titleText, ...rest } = data;
+      const query = { name: 'Pull requests', repository, status, maxCount, creatorEmail, reviewerEmail, targetBranch, titleText };
+      return {
+        ...rest,
+        queries: [Object.fromEntries(Object.entries(query).filter(([, value]) => value !== undefined))]
+      };
+    }
+  };
+
   constructor(config) {
     super({ ...config, type: 'adopr' });
-    this.prs = [];
-    this.loading = false;
-    this.loadingStatus = '';       // Current loading sub-activity
-    this.error = null;
-    this.lastFetched = null;      // Timestamp for display (includes cache restore)
-    this.lastServerFetch = null;  // Timestamp of actual server fetch (for auto-refresh)
-    this.intervalId = null;
     
     // Apply defaults
     this.data.organization ??= '';
     this.data.project ??= '';
-    this.data.repository ??= '';
-    this.data.status ??= 'active';
-    this.data.maxCount ??= 10;
     this.data.refreshInterval ??= 60;
-    this.data.creatorEmail ??= '';
-    this.data.reviewerEmail ??= '';
-    this.data.targetBranch ??= '';
-    this.data.titleText ??= '';
     this.data.title ??= '';
+    this.data.sortBy ??= 'created';
+    this.data.groupBy ??= 'none';
+    this.data.density ??= 'comfortable';
+    if (!Array.isArray(this.data.queries) || this.data.queries.length === 0) {
+      this.data.queries = [{ name: 'Active' }];
+    }
+    this.data.queries = this.data.queries.map(query => ADOPRWidget.withQueryDefaults(query));
     
-    // Cache for resolved user IDs
-    this._userIdCache = {};
+    // User ID lookups by email or name, shared by queries fetched at the same time
+    this._userIdLookups = {};
+
+    // Results of project existence checks, by "organization/project"
+    this._projectChecks = {};
+
+    // Filters set by linked widgets (see onLinkedEvent)
+    this.linkFilters = { text: '', repository: '' };
+    this.selectedRepository = null; // Repository last clicked in this widget
     
-    this.restoreFromCache();
+    // One data source per query. Widgets (in any tab) with the same query share fetched PRs.
+    this.querySources = [];
+    this.activeQuery = 0; // Index of the query whose tab is shown
+    this.detailSources = new Map(); // Details of expanded PRs, by pullRequestId
+    this.morePages = [];            // PRs loaded after the first page, by query index (see loadMore)
+    this.collapsedGroups = new Set(); // "groupBy:name" of collapsed groups
+    this.loadMoreObserver = null;
+
+    // PR actions (see runPRAction), by pullRequestId
+    this.pendingActions = new Map(); // Optimistic change of a PR while its request runs
+    this.actionErrors = new Map();   // Message of the last failed action
+    this.commentDrafts = new Map();  // Text of open comment boxes
+    this.currentUser = null;         // Signed-in user ({ organization, id, displayName }), once looked up
+    this._currentUserLookup = null;
+    this.syncQuerySources();
+    this.migrateLegacyCache();
+  }
+
+  static withQueryDefaults(query) {
+    return {
+      name: '',
+      repository: '',
+      status: 'active',
+      maxCount: 10,
+      creatorEmail: '',
+      reviewerEmail: '',
+      targetBranch: '',
+      titleText: '',
+      notify: [],
+      ...query
+    };
   }
   
   get isConfigured() {
     return this.data.organization && this.data.project;
   }
-  
-  getCacheKey() {
-    return `adopr_cache_${this.id}`;
+
+  // Data source of the query shown
+  get source() {
+    return this.querySources[this.activeQuery] ?? this.querySources[0];
   }
   
-  restoreFromCache() {
-    try {
-      const cached = localStorage.getItem(this.getCacheKey());
-      if (cached) {
-        const data = JSON.parse(cached);
-        if (Array.isArray(data.prs)) {
-          this.prs = data.prs;
-          this.lastFetched = data.lastFetched || null;
-        }
-      }
-    } catch (e) {
-      console.error('[ADOPRWidget] Cache restore error:', e);
+  // PRs of every query from the last fetch (or the cache), without duplicates
+  get prs() {
+    const prs = new Map();
+    this.querySources.forEach((source, index) => {
+      this.getQueryPRs(index).forEach(pr => prs.set(pr.pullRequestId, pr));
+    });
+    return [...prs.values()];
+  }
+
+  // A query's PRs: its first page, then any loaded after it
+  getQueryPRs(index) {
+    const firstPage = this.querySources[index]?.data ?? [];
+    const more = this.getMorePages(index);
+    if (!more) return firstPage;
+    const ids = new Set(firstPage.map(pr => pr.pullRequestId));
+    // PRs move between pages when new ones are created
+    return [...firstPage, ...more.prs.filter(pr => !ids.has(pr.pullRequestId))];
+  }
+
+  // Pages loaded after a query's first, unless the query changed since
+  getMorePages(index) {
+    const more = this.morePages[index];
+    const source = this.querySources[index];
+    return more && source && more.key === source.key ? more : null;
+  }
+
+  // Whether the API may have more PRs for a query than are loaded
+  hasMorePRs(index) {
+    const more = this.getMorePages(index);
+    if (more) return !more.done;
+    const firstPage = this.querySources[index]?.data;
+    return Boolean(firstPage) && firstPage.length >= this.data.queries[index].maxCount;
+  }
+
+  // Create or remove data sources to match the queries
+  syncQuerySources() {
+    while (this.querySources.length < this.data.queries.length) {
+      const index = this.querySources.length;
+      this.querySources.push(this.createDataSource({
+        key: () => (this.isConfigured && this.data.queries[index] ? this.getSourceKey(this.data.queries[index], this.sortsByActivity) : null),
+        fetch: ({ setStatus }) => this.requestPRs(this.data.queries[index], setStatus),
+        ttl: () => this.getRefreshIntervalMs() || Infinity,
+        onChange: () => {
+          this.refreshMorePages(index);
+          this.pruneDetailSources();
+        },
+        onError: (err) => ADOAuthHelper.handleAuthError(err.message)
+      }));
+    }
+    while (this.querySources.length > this.data.queries.length) {
+      this.removeDataSource(this.querySources.pop());
     }
+    this.activeQuery = Math.min(this.activeQuery, this.querySources.length - 1);
+  }
+
+  // Cache key for the PRs a query selects. PRs fetched with their last activity
+  // (see addLastActivity) are cached separately.
+  getSourceKey(query, withActivity = false) {
+    const { organization, project } = this.data;
+    const filters = QUERY_FILTER_KEYS.map(key => [key, query[key]]);
+    return `adopr:${JSON.stringify({ organization, project, ...Object.fromEntries(filters), ...(withActivity && { activity: true }) })}`;
+  }
+
+  get sortsByActivity() {
+    return this.data.sortBy === 'updated';
+  }
+
+  getRefreshIntervalMs() {
+    return Math.max(0, this.data.refreshInterval || 0) * 60 * 1000;
   }
   
-  saveToCache() {
-    try {
-      localStorage.setItem(this.getCacheKey(), JSON.stringify({
-        prs: this.prs,
-        lastFetched: this.lastFetched
-      }));
-    } catch (e) {
-      console.error('[ADOPRWidget] Cache save error:', e);
+  // PRs used to be cached per widget; move them to the shared data cache of the first query
+  migrateLegacyCache() {
+    const legacyKey = `adopr_cache_${this.id}`;
+    const legacy = LocalStore.get(legacyKey);
+    if (legacy === null) return;
+    if (Array.isArray(legacy.prs) && this.querySources[0].data === undefined) {
+      this.querySources[0].seed(legacy.prs, legacy.lastFetched || 0);
     }
+    LocalStore.remove(legacyKey);
+  }
+
+  exportCache() {
+    const queries = this.querySources.map(source => (
+      source.data?.length ? { prs: source.data, lastFetched: source.state.updatedAt } : null
+    ));
+    return queries.some(Boolean) ? { queries } : null;
+  }
+
+  importCache(cache) {
+    // Layouts exported before queries had a single list of PRs
+    const queries = Array.isArray(cache?.queries) ? cache.queries : [cache];
+    queries.forEach((entry, index) => {
+      if (Array.isArray(entry?.prs) && this.querySources[index]) {
+        this.querySources[index].seed(entry.prs, entry.lastFetched || 0);
+      }
+    });
   }
 
   getConfigSchema() {
@@ -81,12 +257,89 @@ export class ADOPRWidget extends WidgetBase {
         key: 'organization',
         label: 'Organization',
         type: 'string',
+        required: true,
+        pattern: '^[A-Za-z0-9][A-Za-z0-9-]*$',
+        patternMessage: 'Use the organization name from dev.azure.com/<organization>',
         default: ''
       },
       {
         key: 'project',
         label: 'Project',
         type: 'string',
+        required: true,
+        validate: (project, values) => this.validateProject(values.organization, project),
+        default: ''
+      },
+      {
+        key: 'queries',
+        label: 'Queries (shown as tabs)',
+        type: 'list',
+        itemLabel: 'Query',
+        required: true,
+        max: MAX_QUERIES,
+        fields: this.getQuerySchema(),
+        default: [{ name: 'Active' }]
+      },
+      {
+        key: 'sortBy',
+        label: 'Sort By',
+        type: 'select',
+        options: [
+          { value: 'created', label: 'Newest first' },
+          { value: 'updated', label: 'Last updated' },
+          { value: 'reviewerState', label: 'Reviewer state (rejected first)' }
+        ],
+        default: 'created'
+      },
+      {
+        key: 'groupBy',
+        label: 'Group By',
+        type: 'select',
+        options: [
+          { value: 'none', label: 'No grouping' },
+          { value: 'repository', label: 'Repository' },
+          { value: 'targetBranch', label: 'Target branch' },
+          { value: 'author', label: 'Author' }
+        ],
+        default: 'none'
+      },
+      {
+        key: 'density',
+        label: 'Density',
+        type: 'select',
+        options: [
+          { value: 'comfortable', label: 'Comfortable' },
+          { value: 'compact', label: 'Compact' }
+        ],
+        default: 'comfortable'
+      },
+      {
+        key: 'refreshInterval',
+        label: 'Auto Refresh (minutes, 0 = disabled)',
+        type: 'slider',
+        min: 0,
+        max: 240,
+        unit: 'min',
+        default: 60
+      },
+      {
+        key: 'title',
+        label: 'Widget Title (optional)',
+        type: 'string',
+        default: ''
+      }
+    ];
+  }
+
+  // Fields of one query
+  getQuerySchema() {
+    return [
+      {
+        key: 'name',
+        label: 'Tab Name',
+        type: 'string',
+        required: true,
+        max: 30,
         default: ''
       },
       {
@@ -109,16 +362,12 @@ export class ADOPRWidget extends WidgetBase {
       },
       {
         key: 'maxCount',
-        label: 'Max PRs to Show',
+        label: 'PRs per Page',
         type: 'number',
+        min: 1,
+        step: 1,
         default: 10
       },
-      {
-        key: 'refreshInterval',
-        label: 'Auto Refresh (minutes, 0 = disabled)',
-        type: 'number',
-        default: 60
-      },
       {
         key: 'creatorEmail',
         label: 'Creator Email (optional)',
@@ -129,12 +378,16 @@ export class ADOPRWidget extends WidgetBase {
         key: 'reviewerEmail',
         label: 'Reviewer Email (optional)',
         type: 'string',
+        // Reviewer filters only make sense for PRs still waiting for review
+        visibleWhen: (values) => values.status === 'active',
         default: ''
       },
       {
         key: 'targetBranch',
         label: 'Target Branch (optional, e.g. main)',
         type: 'string',
+        pattern: '^\\S*$',
+        patternMessage: 'Branch names can\'t contain spaces',
         default: ''
       },
       {
@@ -144,30 +397,26 @@ export class ADOPRWidget extends WidgetBase {
         default: ''
       },
       {
-        key: 'title',
-        label: 'Widget Title (optional)',
-        type: 'string',
-        default: ''
+        key: 'notify',
+        label: 'Desktop Notifications (checked every few minutes)',
+        type: 'multiselect',
+        options: NOTIFY_RULES,
+        default: []
       }
     ];
   }
 
   /**
-   * Override setConfig to clear cache and refresh when config changes.
+   * Override setConfig to match the data sources to the new queries.
+   * Queries whose filters didn't change keep their cached PRs.
    */
   setConfig(values) {
     super.setConfig(values);
-    
-    // Clear cached data
-    this.prs = [];
-    this.lastFetched = null;
-    this.lastServerFetch = null;
-    localStorage.removeItem(this.getCacheKey());
-    
-    // Refresh if configured
-    if (this.isConfigured && this.element) {
-      this.fetchPRs();
-    }
+    this.data.queries = this.data.queries.map(query => ADOPRWidget.withQueryDefaults(query));
+    this.syncQuerySources();
+    // Each source shows cached PRs for its new query, if any, and fetches if the widget is visible
+    this.querySources.forEach(source => source.keyChanged());
+    this.pruneDetailSources();
   }
 
   getContent() {
@@ -180,96 +429,498 @@ export class ADOPRWidget extends WidgetBase {
       `;
     }
 
-    if (this.loading) {
+    const query = this.data.queries[this.activeQuery];
+    const hasTabs = this.data.queries.length > 1;
+    return `
+      ${this.renderHeader(query)}
+      ${hasTabs ? this.renderTabs() : ''}
+      <div class="widget-adopr-panel${this.data.density === 'compact' ? ' compact' : ''}" id="${this.id}-panel"${hasTabs ? ` role="tabpanel" aria-label="${escapeHtml(query.name)}"` : ''}>
+        ${this.renderDataState(this.source, {
+          render: () => this.renderPRList(this.getQueryPRs(this.activeQuery), query),
+          emptyMessage: 'No pull requests found'
+        })}
+      </div>
+    `;
+  }
+
+  renderHeader(query) {
+    const { updatedAt } = this.source.state;
+    const loading = this.querySources.some(source => source.state.loading);
+    const lastFetchedStr = updatedAt ? new Date(updatedAt).toLocaleTimeString() : '';
+
+    const displayTitle = escapeHtml(this.data.title || 'Pull Requests');
+    const titleHtml = query.repository
+      ? `<a href="${this.getPRListUrl(query)}" target="_blank" class="widget-adopr-title-link">${displayTitle}</a>`
+      : `<span class="widget-adopr-title">${displayTitle}</span>`;
+
+    return `
+      <div class="widget-adopr-header">
+        ${titleHtml}
+        <span class="widget-adopr-last-updated" title="Last updated">${lastFetchedStr}</span>
+        <button class="widget-adopr-refresh${loading ? ' loading' : ''}" title="Reload">⟳</button>
+      </div>
+    `;
+  }
+
+  // A tab per query, with the number of PRs it shows
+  renderTabs() {
+    // Sources rather than queries: while queries are being added, new sources can render before the rest exist
+    const tabs = this.querySources.map((source, index) => {
+      const query = this.data.queries[index];
+      const { data, error, loading } = source.state;
+      let count = '';
+      if (data !== undefined) {
+        count = this.filterPRs(this.getQueryPRs(index)).length;
+        if (this.hasMorePRs(index)) count = `${count}+`;
+      } else if (error && !loading) {
+        count = '!';
+      }
+      const selected = index === this.activeQuery;
       return `
-        <div class="widget-adopr-loading">
-          <div class="widget-adopr-spinner">⟳</div>
-          <p>${this.loadingStatus || 'Loading...'}</p>
-        </div>
+        <button type="button" class="widget-adopr-tab" role="tab" data-query="${index}"
+          aria-selected="${selected}" aria-controls="${this.id}-panel" tabindex="${selected ? 0 : -1}">
+          ${escapeHtml(query.name)}
+          <span class="widget-adopr-tab-count">${count}</span>
+        </button>
       `;
+    });
+    return `<div class="widget-adopr-tabs" role="tablist">${tabs.join('')}</div>`;
+  }
+
+  onLinkedEvent(action, value) {
+    if (action === 'filterText') {
+      this.linkFilters.text = typeof value === 'string' ? value.trim() : '';
+    } else if (action === 'filterRepository') {
+      this.linkFilters.repository = typeof value === 'string' ? value : '';
+    }
+    this.updateContent();
+  }
+
+  // PRs that pass the filters from linked widgets
+  filterPRs(prs) {
+    const { text, repository } = this.linkFilters;
+    const needle = text.toLowerCase();
+    return prs.filter(pr => {
+      if (repository && pr.repository?.name !== repository) return false;
+      if (!needle) return true;
+      return [pr.title, `#${pr.pullRequestId}`, pr.createdBy?.displayName, pr.repository?.name]
+        .some(value => value?.toLowerCase().includes(needle));
+    });
+  }
+
+  renderPRList(allPRs, query) {
+    const prs = this.sortPRs(this.filterPRs(allPRs.map(pr => this.withPendingAction(pr))));
+    const { text, repository } = this.linkFilters;
+
+    return `
+      ${text || repository ? this.renderFilterNotice(prs.length, allPRs.length) : ''}
+      <ul class="widget-adopr-list">
+        ${this.data.groupBy === 'none' ? prs.map(pr => this.renderPR(pr, query)).join('') : this.renderGroups(prs, query)}
+        ${this.renderLoadMore()}
+      </ul>
+    `;
+  }
+
+  // PRs in the order chosen in settings; ties are newest first
+  sortPRs(prs) {
+    const newestFirst = (a, b) => this.getTime(b.creationDate) - this.getTime(a.creationDate);
+    const compare = {
+      created: newestFirst,
+      updated: (a, b) => this.getUpdatedTime(b) - this.getUpdatedTime(a) || newestFirst(a, b),
+      reviewerState: (a, b) => this.getReviewerRank(a) - this.getReviewerRank(b) || newestFirst(a, b)
+    }[this.data.sortBy] ?? newestFirst;
+    return [...prs].sort(compare);
+  }
+
+  getTime(date) {
+    return date ? new Date(date).getTime() || 0 : 0;
+  }
+
+  // Last activity, or creation or closing for PRs whose threads couldn't be fetched
+  getUpdatedTime(pr) {
+    return this.getTime(pr.lastActivityDate) || Math.max(this.getTime(pr.creationDate), this.getTime(pr.closedDate));
+  }
+
+  // The lowest vote, so rejected PRs come first and fully approved ones last
+  getReviewerRank(pr) {
+    const votes = (pr.reviewers || []).map(reviewer => reviewer.vote || 0);
+    return votes.length > 0 ? Math.min(...votes) : 0;
+  }
+
+  getGroupName(pr) {
+    switch (this.data.groupBy) {
+      case 'repository':
+        return pr.repository?.name || 'Unknown repository';
+      case 'targetBranch':
+        return pr.targetRefName?.replace(/^refs\/heads\//, '') || 'Unknown branch';
+      case 'author':
+        return pr.createdBy?.displayName || 'Unknown';
+      default:
+        return '';
+    }
+  }
+
+  // PRs under a collapsible header per group, groups in alphabetical order
+  renderGroups(prs, query) {
+    const groups = new Map();
+    for (const pr of prs) {
+      const name = this.getGroupName(pr);
+      if (!groups.has(name)) groups.set(name, []);
+      groups.get(name).push(pr);
     }
 
-    if (this.error) {
+    return [...groups.keys()].sort((a, b) => a.localeCompare(b)).map((name, index) => {
+      const groupPRs = groups.get(name);
+      const collapsed = this.collapsedGroups.has(`${this.data.groupBy}:${name}`);
+      const listId = `${this.id}-group-${index}`;
       return `
-        <div class="widget-adopr-error">
-          <div class="widget-adopr-icon">⚠️</div>
-          <p>${this.error}</p>
-          <button class="widget-adopr-retry">Retry</button>
-        </div>
+        <li class="widget-adopr-group">
+          <button type="button" class="widget-adopr-group-header" data-group="${escapeHtml(name)}"
+            data-focus="group-${index}" aria-expanded="${!collapsed}" aria-controls="${listId}">
+            <span class="widget-adopr-group-name">${escapeHtml(name)}</span>
+            <span class="widget-adopr-group-count">${groupPRs.length}</span>
+          </button>
+          <ul class="widget-adopr-group-list" id="${listId}"${collapsed ? ' hidden' : ''}>
+            ${collapsed ? '' : groupPRs.map(pr => this.renderPR(pr, query)).join('')}
+          </ul>
+        </li>
       `;
-    }
+    }).join('');
+  }
 
-    if (this.prs.length === 0) {
+  toggleGroup(name) {
+    const key = `${this.data.groupBy}:${name}`;
+    if (!this.collapsedGroups.delete(key)) this.collapsedGroups.add(key);
+    this.updateContent();
+  }
+
+  // End of the list: loads the next page when scrolled into view (or clicked)
+  renderLoadMore() {
+    const more = this.getMorePages(this.activeQuery);
+    if (more?.loading) {
+      return '<li class="widget-adopr-more-item" role="status">Loading more pull requests...</li>';
+    }
+    if (more?.error) {
       return `
-        <div class="widget-adopr-empty">
-          <div class="widget-adopr-icon">✓</div>
-          <p>No pull requests found</p>
-          <button class="widget-adopr-refresh" title="Reload">⟳</button>
-        </div>
+        <li class="widget-adopr-more-item">
+          <span class="widget-adopr-more-error">${escapeHtml(more.error)}</span>
+          <button type="button" class="widget-adopr-more" data-focus="more">Try again</button>
+        </li>
       `;
     }
+    if (!this.hasMorePRs(this.activeQuery)) return '';
+    return `
+      <li class="widget-adopr-more-item">
+        <button type="button" class="widget-adopr-more" data-focus="more">Load more</button>
+      </li>
+    `;
+  }
 
-    const lastFetchedStr = this.lastFetched 
-      ? new Date(this.lastFetched).toLocaleTimeString()
-      : '';
+  /**
+   * Fetch the page of PRs after those loaded for a query
+   * @param {number} [index] - Query index (defaults to the one shown)
+   */
+  async loadMore(index = this.activeQuery) {
+    const source = this.querySources[index];
+    const query = this.data.queries[index];
+    if (!source?.data || !this.hasMorePRs(index)) return;
 
-    const displayTitle = this.escapeHtml(this.data.title || 'Pull Requests');
-    const titleHtml = this.data.repository
-      ? `<a href="${this.getPRListUrl()}" target="_blank" class="widget-adopr-title-link">${displayTitle}</a>`
-      : `<span class="widget-adopr-title">${displayTitle}</span>`;
+    const more = this.getMorePages(index) ??
+      { key: source.key, firstPageTime: source.state.updatedAt, prs: [], loading: false, refreshing: false, error: null, done: false };
+    if (more.loading || more.refreshing) return;
+    this.morePages[index] = more;
+    more.loading = true;
+    more.error = null;
+    this.updateContent();
+
+    try {
+      const page = await this.requestPRs(query, () => {}, source.data.length + more.prs.length);
+      more.prs.push(...page);
+      more.done = page.length < query.maxCount;
+    } catch (err) {
+      console.warn(`[ADOPRWidget] Could not load more PRs for "${query.name}":`, err);
+      more.error = err.message;
+      ADOAuthHelper.handleAuthError(err.message);
+    } finally {
+      more.loading = false;
+      this.updateContent();
+    }
+  }
+
+  /**
+   * Fetch the pages loaded after a query's first again once its first page was
+   * refreshed, so the list doesn't go back to one page. Until they arrive, the
+   * old ones stay, without PRs that are now on the first page (see getQueryPRs).
+   * @param {number} index - Query index
+   */
+  async refreshMorePages(index) {
+    const source = this.querySources[index];
+    const more = this.getMorePages(index);
+    if (!more || more.loading || more.refreshing || !source.data || more.firstPageTime === source.state.updatedAt) return;
 
+    more.firstPageTime = source.state.updatedAt;
+    const count = more.prs.length;
+    if (count === 0) return;
+    const query = this.data.queries[index];
+    more.refreshing = true;
+
+    try {
+      const prs = await this.requestPRs({ ...query, maxCount: count }, () => {}, source.data.length);
+      more.prs = prs;
+      more.done = prs.length < count;
+      this.pruneDetailSources();
+    } catch (err) {
+      console.warn(`[ADOPRWidget] Could not refresh more PRs for "${query.name}":`, err);
+    } finally {
+      more.refreshing = false;
+      this.updateContent();
+    }
+  }
+
+  // Infinite scroll: load the next page once the end of the list comes into view.
+  // Not after a failed load, so errors don't repeat; "Try again" is clicked instead.
+  observeLoadMore(element = this.element) {
+    this.loadMoreObserver?.disconnect();
+    this.loadMoreObserver = null;
+    const button = element?.querySelector('.widget-adopr-more');
+    if (!button || this.getMorePages(this.activeQuery)?.error || typeof IntersectionObserver === 'undefined') return;
+
+    const index = this.activeQuery;
+    this.loadMoreObserver = new IntersectionObserver((entries) => {
+      if (entries.some(entry => entry.isIntersecting)) this.loadMore(index);
+    }, { root: button.closest('.widget-adopr-list') });
+    this.loadMoreObserver.observe(button);
+  }
+
+  renderFilterNotice(shown, total) {
+    const { text, repository } = this.linkFilters;
+    const parts = [
+      text && `matching "${escapeHtml(text)}"`,
+      repository && `in ${escapeHtml(repository)}`
+    ].filter(Boolean);
     return `
-      <div class="widget-adopr-header">
-        ${titleHtml}
-        <span class="widget-adopr-last-updated" title="Last updated">${lastFetchedStr}</span>
-        <button class="widget-adopr-refresh" title="Reload">⟳</button>
+      <div class="widget-adopr-filter" role="status">
+        ${shown === 0 ? 'No PRs' : `${shown} of ${total} PRs`} ${parts.join(' ')}
       </div>
-      <ul class="widget-adopr-list">
-        ${this.prs.map(pr => this.renderPR(pr)).join('')}
-      </ul>
     `;
   }
 
-  getPRListUrl() {
+  getPRListUrl(query) {
     const org = encodeURIComponent(this.data.organization);
     const project = encodeURIComponent(this.data.project);
-    return `https://dev.azure.com/${org}/${project}/_git/${encodeURIComponent(this.data.repository)}/pullrequests`;
+    return `https://dev.azure.com/${org}/${project}/_git/${encodeURIComponent(query.repository)}/pullrequests`;
   }
 
-  renderPR(pr) {
+  renderPR(pr, query) {
     const statusClass = this.getStatusClass(pr.status);
     const reviewerStatus = this.getReviewerStatusIcon(pr);
     const age = this.formatAge(pr.creationDate);
-    const creator = this.escapeHtml(pr.createdBy?.displayName || 'Unknown');
+    const creator = escapeHtml(pr.createdBy?.displayName || 'Unknown');
     const avatarUrl = pr.createdBy?.imageUrl;
     const initials = this.getInitials(pr.createdBy?.displayName || '?');
     
     const avatarHtml = avatarUrl
-      ? `<img class="widget-adopr-avatar" src="${this.escapeHtml(avatarUrl)}" alt="${creator}" onerror="this.style.display='none';this.nextElementSibling.style.display='flex'"><span class="widget-adopr-avatar-initials" style="display:none">${initials}</span>`
+      ? `<img class="widget-adopr-avatar" src="${escapeHtml(avatarUrl)}" alt="${creator}" onerror="this.style.display='none';this.nextElementSibling.style.display='flex'"><span class="widget-adopr-avatar-initials" style="display:none">${initials}</span>`
       : `<span class="widget-adopr-avatar-initials">${initials}</span>`;
     
+    // Lists of a single repository don't need the repository on every PR
+    const repository = pr.repository?.name;
+    const repoHtml = repository && !query.repository
+      ? `<button type="button" class="widget-adopr-repo" data-repository="${escapeHtml(repository)}"
+          aria-pressed="${repository === this.selectedRepository}" title="Show PRs in ${escapeHtml(repository)} in linked widgets">${escapeHtml(repository)}</button>`
+      : '';
+    
+    const detailSource = this.detailSources.get(pr.pullRequestId);
+    const detailsId = `${this.id}-pr-${pr.pullRequestId}`;
+    const actionError = this.actionErrors.get(pr.pullRequestId);
+    const busy = this.pendingActions.has(pr.pullRequestId);
+    
     return `
-      <li class="widget-adopr-item ${statusClass}">
+      <li class="widget-adopr-item ${statusClass}${detailSource ? ' expanded' : ''}"${busy ? ' aria-busy="true"' : ''}>
+        <button type="button" class="widget-adopr-expand" data-pr="${pr.pullRequestId}"
+          aria-expanded="${Boolean(detailSource)}" aria-controls="${detailsId}" title="${detailSource ? 'Hide details' : 'Show details'}"
+          aria-label="Details of #${pr.pullRequestId}">▸</button>
         <a href="${pr.url}" target="_blank" class="widget-adopr-link">
           <div class="widget-adopr-avatar-container">
             ${avatarHtml}
           </div>
           <div class="widget-adopr-pr-content">
             <div class="widget-adopr-pr-line1">
-              <span class="widget-adopr-pr-title">${this.escapeHtml(pr.title)}</span>
+              <span class="widget-adopr-pr-title">${escapeHtml(pr.title)}</span>
               <span class="widget-adopr-pr-status">${reviewerStatus}</span>
             </div>
             <div class="widget-adopr-pr-line2">
               <span class="widget-adopr-pr-id">#${pr.pullRequestId}</span>
               <span class="widget-adopr-pr-author">${creator}</span>
               <span class="widget-adopr-pr-age">${age}</span>
+              ${pr.isDraft ? '<span class="widget-adopr-badge">Draft</span>' : ''}
+              ${pr.autoCompleteSetBy ? '<span class="widget-adopr-badge">Auto-complete</span>' : ''}
             </div>
           </div>
         </a>
+        ${repoHtml}
+        ${pr.status === 'active' ? this.renderPRActions(pr) : ''}
+        ${this.commentDrafts.has(pr.pullRequestId) ? this.renderCommentForm(pr) : ''}
+        ${actionError ? `<p class="widget-adopr-action-error" role="alert">${escapeHtml(actionError)}</p>` : ''}
+        ${detailSource ? `<div class="widget-adopr-details" id="${detailsId}">${this.renderPRDetails(pr, detailSource)}</div>` : ''}
       </li>
     `;
   }
 
+  // Vote, draft, auto-complete and comment controls, shown on hover or focus.
+  // data-focus lets updateContent() keep focus on the same control.
+  renderPRActions(pr) {
+    const id = pr.pullRequestId;
+    const me = this.getKnownCurrentUser();
+    const myVote = me ? (pr.reviewers || []).find(r => r.id === me.id)?.vote ?? 0 : null;
+    const voteOptions = VOTES.map(vote => `
+      <option value="${vote.value}"${vote.value === myVote ? ' selected' : ''}>${vote.icon} ${vote.label}</option>
+    `).join('');
+    const autoComplete = Boolean(pr.autoCompleteSetBy);
+    const commenting = this.commentDrafts.has(id);
+
+    return `
+      <div class="widget-adopr-pr-actions">
+        <select class="widget-adopr-vote" data-pr="${id}" data-focus="vote-${id}" aria-label="Vote on #${id}" title="Vote">
+          ${myVote === null ? '<option value="" selected disabled>Vote</option>' : ''}
+          ${voteOptions}
+        </select>
+        <button type="button" class="widget-adopr-action" data-action="draft" data-pr="${id}" data-focus="draft-${id}"
+          title="${pr.isDraft ? 'Publish' : 'Mark as draft'}" aria-label="${pr.isDraft ? 'Publish' : 'Mark as draft'} #${id}">${pr.isDraft ? '📤' : '📝'}</button>
+        <button type="button" class="widget-adopr-action" data-action="autoComplete" data-pr="${id}" data-focus="autoComplete-${id}"
+          aria-pressed="${autoComplete}" title="${autoComplete ? 'Cancel auto-complete' : 'Set auto-complete'}" aria-label="Auto-complete #${id}">⚡</button>
+        <button type="button" class="widget-adopr-action" data-action="comment" data-pr="${id}" data-focus="comment-button-${id}"
+          aria-expanded="${commenting}" title="Add a comment" aria-label="Comment on #${id}">💬</button>
+      </div>
+    `;
+  }
+
+  renderCommentForm(pr) {
+    const id = pr.pullRequestId;
+    const text = escapeHtml(this.commentDrafts.get(id));
+    return `
+      <form class="widget-adopr-comment" data-pr="${id}">
+        <input type="text" class="widget-adopr-comment-input" data-pr="${id}" data-focus="comment-${id}"
+          value="${text}" placeholder="Add a comment" aria-label="Comment on #${id}">
+        <button type="submit" class="widget-adopr-comment-send">Post</button>
+      </form>
+    `;
+  }
+
+  // Details of an expanded PR: reviewers and merge state from the PR itself,
+  // then what was fetched for it
+  renderPRDetails(pr, source) {
+    const reviewers = (pr.reviewers || []).map(reviewer => {
+      const vote = VOTES.find(v => v.value === reviewer.vote) ?? VOTES.find(v => v.value === 0);
+      const voteClass = reviewer.vote > 0 ? 'ok' : reviewer.vote < 0 ? 'bad' : 'pending';
+      return `
+        <li class="widget-adopr-detail">
+          <span class="widget-adopr-state ${voteClass}" aria-hidden="true">${vote.icon}</span>
+          <span class="widget-adopr-detail-name">${escapeHtml(reviewer.displayName || 'Unknown')}</span>
+          ${reviewer.isRequired ? '<span class="widget-adopr-badge">Required</span>' : ''}
+          <span class="widget-adopr-detail-value">${vote.label}</span>
+        </li>
+      `;
+    });
+    const merge = MERGE_STATUSES[pr.mergeStatus];
+    const mergeClass = pr.mergeStatus === 'succeeded' ? 'ok' : pr.mergeStatus === 'queued' ? 'pending' : 'bad';
+
+    return `
+      <h5 class="widget-adopr-details-heading">Reviewers</h5>
+      <ul class="widget-adopr-details-list">
+        ${reviewers.join('') || '<li class="widget-adopr-detail">No reviewers</li>'}
+      </ul>
+      ${merge ? `
+        <p class="widget-adopr-detail">
+          <span class="widget-adopr-state ${mergeClass}" aria-hidden="true">${mergeClass === 'ok' ? '✓' : mergeClass === 'bad' ? '✕' : '…'}</span>
+          ${merge}
+        </p>
+      ` : ''}
+      ${this.renderDataState(source, {
+        render: (details) => this.renderFetchedDetails(details),
+        isEmpty: () => false
+      })}
+    `;
+  }
+
+  renderFetchedDetails({ policies, checks, unresolvedThreads }) {
+    const row = ({ name, state, value, blocking = true }) => {
+      const stateClass = this.getStateClass(state);
+      const icon = { ok: '✓', bad: '✕', pending: '…' }[stateClass];
+      return `
+        <li class="widget-adopr-detail">
+          <span class="widget-adopr-state ${stateClass}" aria-hidden="true">${icon}</span>
+          <span class="widget-adopr-detail-name">${escapeHtml(name)}</span>
+          ${blocking ? '' : '<span class="widget-adopr-badge">Optional</span>'}
+          <span class="widget-adopr-detail-value">${escapeHtml(value)}</span>
+        </li>
+      `;
+    };
+
+    return `
+      ${policies.length > 0 ? `
+        <h5 class="widget-adopr-details-heading">Policies</h5>
+        <ul class="widget-adopr-details-list">
+          ${policies.map(policy => row({ ...policy, state: policy.status, value: this.formatState(policy.status) })).join('')}
+        </ul>
+      ` : ''}
+      ${checks.length > 0 ? `
+        <h5 class="widget-adopr-details-heading">Builds and checks</h5>
+        <ul class="widget-adopr-details-list">
+          ${checks.map(check => row({ ...check, value: check.description || this.formatState(check.state) })).join('')}
+        </ul>
+      ` : ''}
+      <p class="widget-adopr-detail">
+        <span class="widget-adopr-state ${unresolvedThreads > 0 ? 'pending' : 'ok'}" aria-hidden="true">💬</span>
+        ${unresolvedThreads === 0 ? 'No unresolved comments' : `${unresolvedThreads} unresolved comment thread${unresolvedThreads === 1 ? '' : 's'}`}
+      </p>
+    `;
+  }
+
+  // ok, bad or pending, for policy evaluation and status check states
+  getStateClass(state) {
+    if (state === 'approved' || state === 'succeeded') return 'ok';
+    if (state === 'rejected' || state === 'failed' || state === 'error' || state === 'broken') return 'bad';
+    return 'pending';
+  }
+
+  // e.g. "notSet" -> "Not set"
+  formatState(state) {
+    const words = String(state || 'unknown').replace(/([A-Z])/g, ' $1').toLowerCase();
+    return words.charAt(0).toUpperCase() + words.slice(1);
+  }
+
+  // Expand or collapse a PR, fetching its details when first expanded
+  toggleDetails(pullRequestId) {
+    const source = this.detailSources.get(pullRequestId);
+    if (source) {
+      this.removeDataSource(source);
+      this.detailSources.delete(pullRequestId);
+    } else {
+      const pr = this.prs.find(p => p.pullRequestId === pullRequestId);
+      if (!pr) return;
+      this.detailSources.set(pullRequestId, this.createDataSource({
+        key: () => `adopr-details:${this.data.organization}/${pr.repository?.id}/${pullRequestId}`,
+        fetch: () => this.requestPRDetails(pr),
+        ttl: () => DETAILS_TTL_MS,
+        onError: (err) => ADOAuthHelper.handleAuthError(err.message)
+      }));
+    }
+    this.updateContent();
+    this.element?.querySelector(`.widget-adopr-expand[data-pr="${pullRequestId}"]`)?.focus();
+  }
+
+  // Stop fetching details of expanded PRs that no query lists any more
+  pruneDetailSources() {
+    const listed = new Set(this.prs.map(pr => pr.pullRequestId));
+    for (const [pullRequestId, source] of this.detailSources) {
+      if (!listed.has(pullRequestId)) {
+        this.removeDataSource(source);
+        this.detailSources.delete(pullRequestId);
+      }
+    }
+  }
+
   getInitials(name) {
     if (!name) return '?';
     const parts = name.trim().split(/\s+/);
@@ -322,92 +973,339 @@ export class ADOPRWidget extends WidgetBase {
     return '👁';
   }
 
-  escapeHtml(text) {
-    const div = document.createElement('div');
-    div.textContent = text;
-    return div.innerHTML;
-  }
-
   setupBehavior(element) {
+    // The dashboard clears what this widget sent when its element is replaced
+    this.selectedRepository = null;
     element.addEventListener('click', (e) => {
-      if (e.target.classList.contains('widget-adopr-refresh') || 
-          e.target.classList.contains('widget-adopr-retry')) {
+      if (e.target.classList.contains('widget-adopr-refresh')) {
         e.preventDefault();
         e.stopPropagation();
-        this.fetchPRs();
+        this.refresh();
       }
-    });
 
-    if (this.isConfigured) {
-      if (!this.lastFetched) {
-        this.fetchPRs();
-      } else {
+      const tab = e.target.closest('.widget-adopr-tab');
+      if (tab) this.selectQuery(Number(tab.dataset.query));
+
+      const expandButton = e.target.closest('.widget-adopr-expand');
+      if (expandButton) this.toggleDetails(Number(expandButton.dataset.pr));
+
+      const groupHeader = e.target.closest('.widget-adopr-group-header');
+      if (groupHeader) this.toggleGroup(groupHeader.dataset.group);
+
+      if (e.target.closest('.widget-adopr-more')) this.loadMore();
+
+      const actionButton = e.target.closest('.widget-adopr-action');
+      if (actionButton) this.handlePRAction(actionButton.dataset.action, Number(actionButton.dataset.pr));
+
+      // Clicking the selected repository again clears the selection
+      const repoButton = e.target.closest('.widget-adopr-repo');
+      if (repoButton) {
+        const repository = repoButton.dataset.repository;
+        this.selectedRepository = repository === this.selectedRepository ? null : repository;
+        this.publish('repository', this.selectedRepository);
         this.updateContent();
       }
+    });
+
+    element.addEventListener('change', (e) => {
+      if (e.target.classList.contains('widget-adopr-vote') && e.target.value !== '') {
+        this.vote(Number(e.target.dataset.pr), Number(e.target.value));
+      }
+    });
+
+    // Comment boxes keep their text when the list is rendered again
+    element.addEventListener('input', (e) => {
+      if (e.target.classList.contains('widget-adopr-comment-input')) {
+        this.commentDrafts.set(Number(e.target.dataset.pr), e.target.value);
+      }
+    });
+
+    element.addEventListener('submit', (e) => {
+      const form = e.target.closest('.widget-adopr-comment');
+      if (!form) return;
+      e.preventDefault();
+      this.addComment(Number(form.dataset.pr));
+    });
+
+    this.observeLoadMore(element);
+
+    // Look up who is signed in, so vote menus show your current votes
+    if (this.isConfigured && !this.getKnownCurrentUser()) {
+      this.getCurrentUser().then(() => this.updateContent(), () => {});
     }
-    
-    this.startAutoRefresh();
+
+    // Arrow keys move between tabs; Escape closes a comment box
+    element.addEventListener('keydown', (e) => {
+      if (e.key === 'Escape' && e.target.classList.contains('widget-adopr-comment-input')) {
+        e.stopPropagation();
+        this.toggleCommentForm(Number(e.target.dataset.pr));
+        return;
+      }
+
+      const tab = e.target.closest('.widget-adopr-tab');
+      if (!tab || (e.key !== 'ArrowLeft' && e.key !== 'ArrowRight')) return;
+      e.preventDefault();
+      e.stopPropagation();
+      const count = this.data.queries.length;
+      this.selectQuery((this.activeQuery + (e.key === 'ArrowRight' ? 1 : -1) + count) % count);
+      this.element.querySelector('.widget-adopr-tab[aria-selected="true"]')?.focus();
+    });
   }
-  
-  startAutoRefresh() {
-    if (this.intervalId) clearInterval(this.intervalId);
-    
-    this.intervalId = setInterval(() => {
-      if (!this.isConfigured) return;
-      if (!this.data.refreshInterval || this.data.refreshInterval <= 0) return;
 
-      const intervalMs = this.data.refreshInterval * 60 * 1000;
-      if (!this.lastServerFetch || (Date.now() - this.lastServerFetch) >= intervalMs) {
-        this.fetchPRs();
+  // Show a query's tab
+  selectQuery(index) {
+    if (index === this.activeQuery || !this.querySources[index]) return;
+    this.activeQuery = index;
+    this.updateContent();
+  }
+
+  // The list is replaced on every render; keep focus (and the caret) on the same control
+  updateContent() {
+    const focused = this.element?.contains(document.activeElement) ? document.activeElement : null;
+    const focusKey = focused?.dataset.focus;
+    const { selectionStart, selectionEnd } = focused ?? {};
+    super.updateContent();
+    this.observeLoadMore();
+    if (!focusKey) return;
+    const control = this.element.querySelector(`[data-focus="${focusKey}"]`);
+    control?.focus();
+    if (control && typeof selectionStart === 'number') control.setSelectionRange(selectionStart, selectionEnd);
+  }
+
+  handlePRAction(action, pullRequestId) {
+    if (action === 'draft') this.toggleDraft(pullRequestId);
+    else if (action === 'autoComplete') this.toggleAutoComplete(pullRequestId);
+    else if (action === 'comment') this.toggleCommentForm(pullRequestId);
+  }
+
+  // Open or close a PR's comment box, moving focus into or out of it
+  toggleCommentForm(pullRequestId) {
+    const open = !this.commentDrafts.has(pullRequestId);
+    if (open) this.commentDrafts.set(pullRequestId, '');
+    else this.commentDrafts.delete(pullRequestId);
+    this.updateContent();
+    const focusKey = open ? `comment-${pullRequestId}` : `comment-button-${pullRequestId}`;
+    this.element?.querySelector(`[data-focus="${focusKey}"]`)?.focus();
+  }
+
+  // A PR as shown: with the change of an action in progress applied
+  withPendingAction(pr) {
+    const optimistic = this.pendingActions.get(pr.pullRequestId);
+    return optimistic ? optimistic(pr) : pr;
+  }
+
+  /**
+   * Change a PR on the server, showing the change straight away. If the request
+   * fails the PR is shown as fetched again, with the error under it.
+   * @param {number} pullRequestId
+   * @param {Object} action
+   * @param {string} action.failure - Start of the message shown if it fails, e.g. "Couldn't vote"
+   * @param {Function} [action.optimistic] - (pr) => the PR as it should look once done
+   * @param {Function} action.request - async (pr) => function that applies the server's answer to a PR
+   * @param {Function} [action.rollback] - Undoes anything else changed for the action
+   * @returns {Promise<boolean>} Whether the PR was changed
+   */
+  async runPRAction(pullRequestId, { failure, optimistic = (pr) => pr, request, rollback }) {
+    const pr = this.prs.find(p => p.pullRequestId === pullRequestId);
+    if (!pr || this.pendingActions.has(pullRequestId)) return false;
+
+    this.actionErrors.delete(pullRequestId);
+    this.pendingActions.set(pullRequestId, optimistic);
+    this.updateContent();
+    try {
+      this.updatePR(pullRequestId, await request(pr));
+      return true;
+    } catch (err) {
+      console.warn(`[ADOPRWidget] ${failure} (#${pullRequestId}):`, err);
+      rollback?.();
+      this.actionErrors.set(pullRequestId, `${failure}: ${err.message}`);
+      ADOAuthHelper.handleAuthError(err.message);
+      return false;
+    } finally {
+      this.pendingActions.delete(pullRequestId);
+      this.updateContent();
+    }
+  }
+
+  // Change a PR in the cached results (and later pages) of every query that lists it
+  updatePR(pullRequestId, update) {
+    const updateIn = (prs) => prs.map(pr => (pr.pullRequestId === pullRequestId ? update(pr) : pr));
+    this.querySources.forEach((source, index) => {
+      const more = this.getMorePages(index);
+      if (more) more.prs = updateIn(more.prs);
+      const prs = source.data;
+      if (!prs?.some(pr => pr.pullRequestId === pullRequestId)) return;
+      // Same time as before, so pages loaded after the first still belong with it
+      source.seed(updateIn(prs), source.state.updatedAt);
+    });
+  }
+
+  // Reviewers with one added, or updated if already there
+  mergeReviewer(reviewers = [], reviewer) {
+    return reviewers.some(r => r.id === reviewer.id)
+      ? reviewers.map(r => (r.id === reviewer.id ? { ...r, ...reviewer } : r))
+      : [...reviewers, reviewer];
+  }
+
+  vote(pullRequestId, vote) {
+    const me = this.getKnownCurrentUser();
+    const myReviewer = { id: me?.id ?? null, displayName: me?.displayName ?? 'You', vote };
+    return this.runPRAction(pullRequestId, {
+      failure: 'Couldn\'t vote',
+      optimistic: (pr) => ({ ...pr, reviewers: this.mergeReviewer(pr.reviewers, myReviewer) }),
+      request: async (pr) => {
+        const { id } = await this.getCurrentUser();
+        const reviewer = await this.sendPRRequest(pr, 'PUT', `/reviewers/${encodeURIComponent(id)}`, { vote });
+        return (current) => ({ ...current, reviewers: this.mergeReviewer(current.reviewers, reviewer) });
       }
-    }, 60000);
+    });
   }
-  
+
+  toggleDraft(pullRequestId) {
+    const pr = this.prs.find(p => p.pullRequestId === pullRequestId);
+    if (!pr) return;
+    const isDraft = !pr.isDraft;
+    return this.runPRAction(pullRequestId, {
+      failure: isDraft ? 'Couldn\'t mark as draft' : 'Couldn\'t publish',
+      optimistic: (current) => ({ ...current, isDraft }),
+      request: async (current) => {
+        const updated = await this.sendPRRequest(current, 'PATCH', '', { isDraft });
+        return (latest) => ({ ...latest, isDraft: updated.isDraft });
+      }
+    });
+  }
+
+  toggleAutoComplete(pullRequestId) {
+    const pr = this.prs.find(p => p.pullRequestId === pullRequestId);
+    if (!pr) return;
+    const enable = !pr.autoCompleteSetBy;
+    const me = this.getKnownCurrentUser();
+    return this.runPRAction(pullRequestId, {
+      failure: enable ? 'Couldn\'t set auto-complete' : 'Couldn\'t cancel auto-complete',
+      optimistic: (current) => ({
+        ...current,
+        autoCompleteSetBy: enable ? { id: me?.id ?? null, displayName: me?.displayName ?? 'You' } : undefined
+      }),
+      request: async (current) => {
+        const { id } = enable ? await this.getCurrentUser() : { id: NO_IDENTITY };
+        const updated = await this.sendPRRequest(current, 'PATCH', '', { autoCompleteSetBy: { id } });
+        return (latest) => ({ ...latest, autoCompleteSetBy: updated.autoCompleteSetBy });
+      }
+    });
+  }
+
+  // Post the text of a PR's comment box as a new thread. The box closes straight
+  // away and opens again with the text if posting fails.
+  addComment(pullRequestId) {
+    const content = (this.commentDrafts.get(pullRequestId) || '').trim();
+    if (!content || this.pendingActions.has(pullRequestId)) return;
+
+    this.commentDrafts.delete(pullRequestId);
+    const done = this.runPRAction(pullRequestId, {
+      failure: 'Couldn\'t add the comment',
+      request: async (pr) => {
+        await this.sendPRRequest(pr, 'POST', '/threads', {
+          comments: [{ parentCommentId: 0, content, commentType: 'text' }],
+          status: 'active'
+        });
+        // Its unresolved comment count is now out of date
+        this.detailSources.get(pullRequestId)?.refresh({ force: true });
+        return (current) => current;
+      },
+      rollback: () => this.commentDrafts.set(pullRequestId, content)
+    });
+    this.element?.querySelector(`[data-focus="comment-button-${pullRequestId}"]`)?.focus();
+    return done;
+  }
+
+  // Signed-in user, if already looked up for this organization
+  getKnownCurrentUser() {
+    return this.currentUser?.organization === this.data.organization ? this.currentUser : null;
+  }
+
+  /**
+   * The signed-in user, needed to vote and set auto-complete
+   * @returns {Promise<{ organization: string, id: string, displayName: string }>}
+   */
+  async getCurrentUser() {
+    const { organization } = this.data;
+    const known = this.getKnownCurrentUser();
+    if (known) return known;
+
+    // Actions started together share the lookup
+    if (this._currentUserLookup?.organization !== organization) {
+      const promise = this.requestCurrentUser(organization)
+        .then(user => (this.currentUser = user))
+        .finally(() => {
+          if (this._currentUserLookup?.promise === promise) this._currentUserLookup = null;
+        });
+      this._currentUserLookup = { organization, promise };
+    }
+    return this._currentUserLookup.promise;
+  }
+
+  async requestCurrentUser(organization) {
+    const accessToken = await ADOAuthHelper.getToken();
+    const user = getAuthenticatedUser(await fetchJSON(getConnectionDataUrl(organization), accessToken));
+    return { organization, ...user };
+  }
+
+  /**
+   * Queries with notification rules, for the background worker (see saveWatchedQueries())
+   * @returns {Array<{ key: string, organization: string, project: string, name: string, query: Object, notify: Array<string> }>}
+   */
+  getWatchedQueries() {
+    if (!this.isConfigured) return [];
+    const { organization, project } = this.data;
+    return this.data.queries
+      .filter(query => query.notify.length > 0)
+      .map(query => ({
+        key: this.getSourceKey(query),
+        organization,
+        project,
+        name: query.name,
+        query: Object.fromEntries(QUERY_FILTER_KEYS.map(key => [key, query[key]])),
+        notify: query.notify
+      }));
+  }
+
   destroy() {
-    if (this.intervalId) {
-      clearInterval(this.intervalId);
-      this.intervalId = null;
+    this.loadMoreObserver?.disconnect();
+    this.loadMoreObserver = null;
+  }
+
+  getPaletteItems() {
+    const items = this.prs.map(pr => ({
+      title: pr.title,
+      detail: `#${pr.pullRequestId} · ${pr.repository?.name || ''} · ${pr.createdBy?.displayName || 'Unknown'}`,
+      icon: ADOPRWidget.metadata.icon,
+      group: 'content',
+      run: () => window.open(pr.url, '_blank')
+    }));
+
+    if (this.isConfigured) {
+      items.push({
+        title: `Refresh ${this.data.title || 'Pull Requests'}`,
+        icon: '🔄',
+        group: 'command',
+        run: () => this.refresh()
+      });
+      if (this.data.queries.length > 1) {
+        this.data.queries.forEach((query, index) => items.push({
+          title: `Show ${query.name}`,
+          detail: this.data.title || 'Pull Requests',
+          icon: ADOPRWidget.metadata.icon,
+          group: 'command',
+          run: () => this.selectQuery(index)
+        }));
+      }
     }
+
+    return items;
   }
   
-  buildApiUrl(creatorId, reviewerId) {
-    const org = encodeURIComponent(this.data.organization);
-    const project = encodeURIComponent(this.data.project);
-    
-    let url = this.data.repository
-      ? `https://dev.azure.com/${org}/${project}/_apis/git/repositories/${encodeURIComponent(this.data.repository)}/pullrequests`
-      : `https://dev.azure.com/${org}/${project}/_apis/git/pullrequests`;
-    
-    url += '?api-version=7.0';
-    if (this.data.status && this.data.status !== 'all') {
-      url += `&searchCriteria.status=${this.data.status}`;
-    }
-    url += `&$top=${this.data.maxCount || 10}`;
-    
-    // Add creator filter
-    if (creatorId) {
-      url += `&searchCriteria.creatorId=${encodeURIComponent(creatorId)}`;
-    }
-    
-    // Add reviewer filter
-    if (reviewerId) {
-      url += `&searchCriteria.reviewerId=${encodeURIComponent(reviewerId)}`;
-    }
-    
-    // Add target branch filter
-    if (this.data.targetBranch) {
-      const branchRef = this.data.targetBranch.startsWith('refs/') 
-        ? this.data.targetBranch 
-        : `refs/heads/${this.data.targetBranch}`;
-      url += `&searchCriteria.targetRefName=${encodeURIComponent(branchRef)}`;
-    }
-    
-    // Add title text filter
-    if (this.data.titleText) {
-      url += `&searchCriteria.title=${encodeURIComponent(this.data.titleText)}`;
-    }
-    
-    return url;
+  buildApiUrl(query, creatorId, reviewerId, skip = 0) {
+    return buildPullRequestsUrl(this.data.organization, this.data.project, query, { creatorId, reviewerId, skip });
   }
 
   /**
@@ -416,165 +1314,188 @@ export class ADOPRWidget extends WidgetBase {
   async resolveUserId(emailOrName, accessToken) {
     if (!emailOrName) return null;
     
-    // Check cache first
-    if (this._userIdCache[emailOrName]) {
-      return this._userIdCache[emailOrName];
-    }
-    
-    const org = encodeURIComponent(this.data.organization);
-    
-    // Use the Graph API to search for users
-    // The subjectQuery parameter searches across display name and email
-    const url = `https://vssps.dev.azure.com/${org}/_apis/graph/users?api-version=7.0-preview.1&subjectTypes=aad,msa&$top=10`;
-    
+    // Queries fetched in parallel share the lookup; failed lookups are tried again next time
+    this._userIdLookups[emailOrName] ??= this.lookupUserId(emailOrName, accessToken).then(userId => {
+      if (!userId) delete this._userIdLookups[emailOrName];
+      return userId;
+    });
+    return this._userIdLookups[emailOrName];
+  }
+
+  /**
+   * Fetch a user's GUID from the server, without caching (see resolveUserId())
+   */
+  lookupUserId(emailOrName, accessToken) {
+    return lookupUserId(this.data.organization, emailOrName, accessToken);
+  }
+
+  /**
+   * Config validator: check that the project exists in the organization.
+   * Returns null (valid) when the check itself can't be done, e.g. when not signed in.
+   */
+  async validateProject(organization, project) {
+    if (!organization || !project) return null;
+
+    const key = `${organization}/${project}`;
+    if (key in this._projectChecks) return this._projectChecks[key];
+
     try {
+      const accessToken = await ADOAuthHelper.getToken();
+      const url = `https://dev.azure.com/${encodeURIComponent(organization)}/_apis/projects/${encodeURIComponent(project)}?api-version=7.0`;
       const response = await fetch(url, {
         headers: {
           'Authorization': `Bearer ${accessToken}`,
           'Content-Type': 'application/json'
         }
       });
-      
-      if (!response.ok) {
-        console.warn(`[ADOPRWidget] Failed to search users: ${response.status}`);
+
+      if (response.status === 404) {
+        this._projectChecks[key] = `Project "${project}" was not found in ${organization}.`;
+      } else if (response.ok) {
+        this._projectChecks[key] = null;
+      } else {
         return null;
       }
-      
-      const data = await response.json();
-      const users = data.value || [];
-      
-      // Find user by email (principalName) or display name
-      const searchLower = emailOrName.toLowerCase();
-      const user = users.find(u => 
-        u.principalName?.toLowerCase() === searchLower ||
-        u.displayName?.toLowerCase() === searchLower ||
-        u.mailAddress?.toLowerCase() === searchLower
-      );
-      
-      if (user) {
-        // Extract the user ID from the descriptor or use originId
-        // The descriptor format is typically: aad.{base64-encoded-id}
-        const userId = user.originId || user.descriptor;
-        this._userIdCache[emailOrName] = userId;
-        return userId;
-      }
-      
-      // If exact match not found, try a more specific search using identities API
-      return await this.resolveUserIdViaIdentities(emailOrName, accessToken);
+      return this._projectChecks[key];
     } catch (err) {
-      console.warn(`[ADOPRWidget] Error resolving user '${emailOrName}':`, err);
+      console.warn(`[ADOPRWidget] Could not check project '${key}':`, err);
       return null;
     }
   }
 
   /**
-   * Fallback user lookup using the identities API
+   * Request a query's PRs from the server
+   * @param {Object} query - One of data.queries
+   * @param {Function} setStatus - Reports progress, e.g. "Looking up creator..."
+   * @param {number} [skip=0] - PRs to skip, for pages after the first
    */
-  async resolveUserIdViaIdentities(emailOrName, accessToken) {
-    const org = encodeURIComponent(this.data.organization);
-    const url = `https://vssps.dev.azure.com/${org}/_apis/identities?api-version=7.0&searchFilter=General&filterValue=${encodeURIComponent(emailOrName)}`;
+  async requestPRs(query, setStatus, skip = 0) {
+    setStatus('Obtaining access token...');
+    const accessToken = await ADOAuthHelper.getToken();
+
+    // Resolve user IDs if email filters are configured
+    let creatorId = null;
+    let reviewerId = null;
     
-    try {
-      const response = await fetch(url, {
-        headers: {
-          'Authorization': `Bearer ${accessToken}`,
-          'Content-Type': 'application/json'
-        }
-      });
-      
-      if (!response.ok) return null;
-      
-      const data = await response.json();
-      const identities = data.value || [];
-      
-      if (identities.length > 0) {
-        const userId = identities[0].id;
-        this._userIdCache[emailOrName] = userId;
-        return userId;
+    if (query.creatorEmail) {
+      setStatus('Looking up creator...');
+      creatorId = await this.resolveUserId(query.creatorEmail, accessToken);
+      if (!creatorId) {
+        console.warn(`[ADOPRWidget] Could not resolve creator: ${query.creatorEmail}`);
+      }
+    }
+    
+    if (query.reviewerEmail && query.status === 'active') {
+      setStatus('Looking up reviewer...');
+      reviewerId = await this.resolveUserId(query.reviewerEmail, accessToken);
+      if (!reviewerId) {
+        console.warn(`[ADOPRWidget] Could not resolve reviewer: ${query.reviewerEmail}`);
       }
-      
-      return null;
-    } catch (err) {
-      console.warn(`[ADOPRWidget] Error in identity lookup:`, err);
-      return null;
     }
-  }
-
-  async fetchPRs() {
-    if (this.loading || !this.isConfigured) return;
-
-    this.loading = true;
-    this.loadingStatus = 'Obtaining access token...';
-    this.error = null;
-    this.updateContent();
 
-    try {
-      const accessToken = await ADOAuthHelper.getToken();
+    setStatus('Fetching pull requests...');
 
-      // Resolve user IDs if email filters are configured
-      let creatorId = null;
-      let reviewerId = null;
-      
-      if (this.data.creatorEmail) {
-        this.loadingStatus = 'Looking up creator...';
-        this.updateContent();
-        creatorId = await this.resolveUserId(this.data.creatorEmail, accessToken);
-        if (!creatorId) {
-          console.warn(`[ADOPRWidget] Could not resolve creator: ${this.data.creatorEmail}`);
-        }
-      }
-      
-      if (this.data.reviewerEmail) {
-        this.loadingStatus = 'Looking up reviewer...';
-        this.updateContent();
-        reviewerId = await this.resolveUserId(this.data.reviewerEmail, accessToken);
-        if (!reviewerId) {
-          console.warn(`[ADOPRWidget] Could not resolve reviewer: ${this.data.reviewerEmail}`);
-        }
+    const response = await fetch(this.buildApiUrl(query, creatorId, reviewerId, skip), {
+      headers: {
+        'Authorization': `Bearer ${accessToken}`,
+        'Content-Type': 'application/json'
       }
+    });
 
-      this.loadingStatus = 'Fetching pull requests...';
-      this.updateContent();
+    if (!response.ok) {
+      if (response.status === 401) throw responseError(response, 'Authentication failed. Try running: az login');
+      if (response.status === 404) throw responseError(response, 'Project or repository not found.');
+      throw responseError(response, `API error: ${response.status}`);
+    }
 
-      const response = await fetch(this.buildApiUrl(creatorId, reviewerId), {
-        headers: {
-          'Authorization': `Bearer ${accessToken}`,
-          'Content-Type': 'application/json'
-        }
-      });
+    const data = await response.json();
+    
+    const prs = (data.value || []).map(pr => ({
+      ...pr,
+      url: getPullRequestWebUrl(this.data.organization, this.data.project, pr)
+    }));
 
-      if (!response.ok) {
-        if (response.status === 401) throw new Error('Authentication failed. Try running: az login');
-        if (response.status === 404) throw new Error('Project or repository not found.');
-        throw new Error(`API error: ${response.status}`);
+    if (this.sortsByActivity) {
+      setStatus('Fetching recent activity...');
+      await this.addLastActivity(prs, accessToken);
+    }
+    return prs;
+  }
+
+  // Set lastActivityDate on PRs from their threads (see getLastActivityDate)
+  async addLastActivity(prs, accessToken) {
+    await Promise.all(prs.map(async (pr) => {
+      try {
+        const url = `${getPullRequestApiUrl(this.data.organization, this.data.project, pr)}/threads?api-version=7.0`;
+        const threads = await fetchJSON(url, accessToken);
+        pr.lastActivityDate = getLastActivityDate(pr, threads.value || []);
+      } catch (err) {
+        console.warn(`[ADOPRWidget] Could not fetch threads of PR ${pr.pullRequestId}:`, err);
       }
+    }));
+  }
 
-      const data = await response.json();
-      
-      this.prs = (data.value || []).map(pr => ({
-        ...pr,
-        url: `https://dev.azure.com/${this.data.organization}/${this.data.project}/_git/${pr.repository?.name || ''}/pullrequest/${pr.pullRequestId}`
+  /**
+   * Request what isn't in the PR list for an expanded PR: policy evaluations,
+   * the latest status of each build or check, and the number of unresolved comment threads
+   * @param {Object} pr - PR from the list
+   */
+  async requestPRDetails(pr) {
+    const accessToken = await ADOAuthHelper.getToken();
+    const org = encodeURIComponent(this.data.organization);
+    const project = encodeURIComponent(this.data.project);
+    const prUrl = getPullRequestApiUrl(this.data.organization, this.data.project, pr);
+    // Policies are looked up by the PR's artifact ID, which needs the project's GUID
+    const projectId = pr.repository?.project?.id;
+    const artifactId = `vstfs:///CodeReview/CodeReviewId/${projectId}/${pr.pullRequestId}`;
+
+    const [evaluations, statuses, threads] = await Promise.all([
+      projectId
+        ? fetchJSON(`https://dev.azure.com/${org}/${project}/_apis/policy/evaluations?artifactId=${encodeURIComponent(artifactId)}&api-version=7.0-preview.1`, accessToken)
+        : { value: [] },
+      fetchJSON(`${prUrl}/statuses?api-version=7.0`, accessToken),
+      fetchJSON(`${prUrl}/threads?api-version=7.0`, accessToken)
+    ]);
+
+    const policies = (evaluations.value || [])
+      .filter(evaluation => evaluation.status !== 'notApplicable')
+      .map(evaluation => ({
+        name: evaluation.configuration?.settings?.displayName || evaluation.configuration?.type?.displayName || 'Policy',
+        status: evaluation.status,
+        blocking: evaluation.configuration?.isBlocking !== false
       }));
-      
-      this.lastFetched = Date.now();
-      this.lastServerFetch = this.lastFetched;
-      this.saveToCache();
-    } catch (err) {
-      this.error = err.message || 'Failed to fetch PRs';
-      ADOAuthHelper.handleAuthError(this.error);
-    } finally {
-      this.loading = false;
-      this.loadingStatus = '';
-      this.updateContent();
+
+    // Statuses are posted again for each run; keep the newest per build or check
+    const latest = new Map();
+    for (const status of statuses.value || []) {
+      const key = `${status.context?.genre || ''}/${status.context?.name || ''}`;
+      if (!latest.has(key) || status.id > latest.get(key).id) latest.set(key, status);
     }
+    const checks = [...latest.values()].map(status => ({
+      name: status.context?.genre ? `${status.context.genre}/${status.context.name}` : (status.context?.name || 'Status'),
+      state: status.state,
+      description: status.description || ''
+    }));
+
+    // System threads (e.g. "reviewer added") have no status
+    const unresolvedThreads = (threads.value || []).filter(thread =>
+      !thread.isDeleted &&
+      (thread.status === 'active' || thread.status === 'pending') &&
+      (thread.comments || []).some(comment => comment.commentType !== 'system')
+    ).length;
+
+    return { policies, checks, unresolvedThreads };
   }
 
-  updateContent() {
-    if (this.element) {
-      const contentEl = this.element.querySelector('.widget-content');
-      if (contentEl) {
-        contentEl.innerHTML = this.getContent();
-      }
-    }
+  /**
+   * Send a change to a PR, e.g. sendPRRequest(pr, 'PATCH', '', { isDraft: true })
+   * @param {Object} pr - PR from the list
+   * @param {string} method - HTTP method
+   * @param {string} path - Path under the PR, e.g. "/threads"
+   * @param {Object} body - Sent as JSON
+   */
+  async sendPRRequest(pr, method, path, body) {
+    const accessToken = await ADOAuthHelper.getToken();
+    return fetchJSON(`${getPullRequestApiUrl(this.data.organization, this.data.project, pr)}${path}?api-version=7.0`, accessToken, { method, body });
   }
 }
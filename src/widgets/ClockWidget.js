@@ -7,6 +7,7 @@ export class ClockWidget extends WidgetBase {
   static metadata = {
     name: 'Clock',
     icon: '🕐',
+    description: 'Greeting with the current time and date',
     defaultSize: { width: 3, height: 2 }
   };
 
@@ -35,9 +36,19 @@ export class ClockWidget extends WidgetBase {
   }
 
   setupBehavior(element) {
-    // Update immediately, then every second
     this.updateClock();
-    this.intervalId = setInterval(() => this.updateClock(), 1000);
+  }
+
+  // Tick every second only while the clock can be seen
+  onVisible() {
+    this.updateClock();
+    if (!this.intervalId) {
+      this.intervalId = setInterval(() => this.updateClock(), 1000);
+    }
+  }
+
+  onHidden() {
+    this.destroy();
   }
 
   destroy() {
@@ -7,6 +7,7 @@ export class MarkdownWidget extends WidgetBase {
   static metadata = {
     name: 'Markdown',
     icon: '📄',
+    description: 'Formatted text and links written in Markdown',
     defaultSize: { width: 4, height: 3 }
   };
 
@@ -33,6 +34,24 @@ export class MarkdownWidget extends WidgetBase {
     return `<div class="widget-markdown-content">${html}</div>`;
   }
 
+  getPaletteItems() {
+    const headings = (this.data.markdown || '')
+      .split('\n')
+      .map(line => line.match(/^#{1,5} (.+)$/)?.[1])
+      .filter(Boolean);
+
+    return headings.map((heading, index) => ({
+      title: heading.replace(/[*_`]/g, ''),
+      detail: 'Markdown heading',
+      icon: MarkdownWidget.metadata.icon,
+      group: 'content',
+      run: () => {
+        const el = this.element?.querySelectorAll('.widget-markdown-content :is(h1, h2, h3, h4, h5)')[index];
+        el?.scrollIntoView({ block: 'nearest', behavior: 'smooth' });
+      }
+    }));
+  }
+
   /**
    * Simple markdown parser - converts markdown to HTML
    * Supports: headings, bold, italic, links, lists (with sublists), code, blockquotes, horizontal rules
@@ -7,6 +7,7 @@ export class NotesWidget extends WidgetBase {
   static metadata = {
     name: 'Notes',
     icon: '📝',
+    description: 'Quick notes, saved as you type',
     defaultSize: { width: 3, height: 3 }
   };
 
@@ -47,4 +48,30 @@ export class NotesWidget extends WidgetBase {
       });
     }
   }
+
+  getPaletteItems() {
+    const title = this.data.title ?? 'Quick Notes';
+    const lines = (this.data.content || '').split('\n');
+    return lines
+      .map((line, index) => ({ text: line.trim(), index }))
+      .filter(({ text }) => text)
+      .slice(0, 100)
+      .map(({ text, index }) => ({
+        title: text,
+        detail: title,
+        icon: NotesWidget.metadata.icon,
+        group: 'content',
+        run: () => this.focusLine(index)
+      }));
+  }
+
+  // Focus the textarea with the cursor at the start of a line
+  focusLine(lineIndex) {
+    const textarea = this.element?.querySelector('.notes-textarea');
+    if (!textarea) return;
+    const lines = textarea.value.split('\n');
+    const offset = lines.slice(0, lineIndex).reduce((total, line) => total + line.length + 1, 0);
+    textarea.focus();
+    textarea.setSelectionRange(offset, offset + (lines[lineIndex]?.length ?? 0));
+  }
 }
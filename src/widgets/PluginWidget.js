@@ -0,0 +1,176 @@
+import { WidgetBase } from './WidgetBase.js';
+import { escapeHtml } from '../HtmlEscape.js';
+import { getSecretFields } from '../ConfigFields.js';
+
+// Theme variables passed to plugins so their content matches the dashboard
+const THEME_VARIABLES = ['--text-primary', '--text-secondary', '--accent', '--accent-subtle', '--bg-widget', '--danger'];
+
+// Data a plugin can save for one widget (as JSON)
+const MAX_DATA_BYTES = 100 * 1024;
+
+/**
+ * Plugin widget - hosts a third-party widget (see PluginManager.js) in a
+ * sandboxed iframe.
+ *
+ * The plugin's module runs in plugin-sandbox.html, which has no access to the
+ * extension, the dashboard or other widgets. It talks to this widget over a
+ * MessageChannel and can only use what is forwarded here: its settings, saving
+ * data, linked-widget events, visibility, refresh and opening links.
+ *
+ * Each installed plugin gets a subclass from definePluginWidget().
+ */
+export class PluginWidget extends WidgetBase {
+  static metadata = {
+    name: 'Plugin',
+    icon: '🧩',
+    defaultSize: { width: 3, height: 2 }
+  };
+
+  // { manifest, source } of the plugin this class runs (set by definePluginWidget)
+  static plugin = null;
+
+  constructor(config) {
+    super(config);
+    this.saveWidgets = null; // Will be set by the dashboard
+    this.port = null;        // MessageChannel port to the sandbox
+    this.linkedValues = {};  // Latest value for each linked action, sent when the sandbox starts
+    // Saved with the config, so machines without this plugin know what not to sync
+    this.secretFields = getSecretFields(this.getConfigSchema());
+  }
+
+  getConfigSchema() {
+    return structuredClone(this.constructor.plugin.manifest.settings);
+  }
+
+  // Scripts only: no forms, popups or navigating the dashboard
+  getContent() {
+    return `<iframe class="widget-plugin-frame" src="plugin-sandbox.html" sandbox="allow-scripts" title="${escapeHtml(this.constructor.metadata.name)}"></iframe>`;
+  }
+
+  setupBehavior(element) {
+    const frame = element.querySelector('.widget-plugin-frame');
+    let loaded = false;
+    frame.addEventListener('load', () => {
+      if (loaded) {
+        this.leftSandbox();
+      } else {
+        loaded = true;
+        this.connect(frame);
+      }
+    });
+  }
+
+  // The frame loaded another page: the plugin navigated it, which its network
+  // restrictions don't cover. Stop it rather than run whatever was loaded.
+  leftSandbox() {
+    if (!this.behaviorStarted) return;
+    this.showCrash('plugin', new Error('The plugin tried to navigate away from its sandbox and was stopped.'));
+  }
+
+  // Start the plugin in the sandbox, handing it one end of a private channel
+  connect(frame) {
+    if (!this.behaviorStarted || !frame.isConnected) return;
+
+    const channel = new MessageChannel();
+    this.port = channel.port1;
+    this.port.addEventListener('message', (e) => this.handleMessage(e.data));
+    this.port.start();
+
+    const { manifest, source } = this.constructor.plugin;
+    const styles = getComputedStyle(document.documentElement);
+    const theme = Object.fromEntries(THEME_VARIABLES.map(name => [name, styles.getPropertyValue(name).trim()]));
+    theme['font-family'] = getComputedStyle(document.body).fontFamily;
+
+    frame.contentWindow.postMessage({
+      type: 'init',
+      plugin: { id: manifest.id, name: manifest.name, connect: manifest.connect },
+      source,
+      widget: { id: this.id, data: this.data, visible: this.visible, linked: this.linkedValues },
+      theme
+    }, '*', [channel.port2]);
+  }
+
+  handleMessage(message) {
+    if (!this.behaviorStarted || !message || typeof message.type !== 'string') return;
+
+    switch (message.type) {
+      case 'saveData':
+        this.saveData(message.values);
+        break;
+      case 'publish':
+        if (Object.hasOwn(this.constructor.publishes, message.event)) {
+          this.publish(message.event, message.value ?? null);
+        }
+        break;
+      case 'openUrl':
+        this.openUrl(message.url);
+        break;
+      case 'error':
+        this.showCrash('plugin', Object.assign(new Error(String(message.message)), { stack: message.stack }));
+        break;
+    }
+  }
+
+  // Merge values into the widget's data and save the dashboard
+  saveData(values) {
+    if (!values || typeof values !== 'object' || Array.isArray(values)) return;
+    const data = { ...this.data, ...values };
+    if (JSON.stringify(data).length > MAX_DATA_BYTES) {
+      console.warn(`[PluginWidget] Data for ${this.id} is larger than ${MAX_DATA_BYTES / 1024} KB and was not saved`);
+      return;
+    }
+    this.data = data;
+    this.saveWidgets?.();
+  }
+
+  // Sandboxed frames can't open windows themselves
+  openUrl(url) {
+    try {
+      const { protocol, href } = new URL(url);
+      if (protocol === 'https:' || protocol === 'http:') window.open(href, '_blank', 'noopener');
+    } catch {
+      console.warn(`[PluginWidget] Ignored invalid URL from plugin: ${url}`);
+    }
+  }
+
+  post(message) {
+    this.port?.postMessage(message);
+  }
+
+  onVisible() {
+    this.post({ type: 'visible' });
+  }
+
+  onHidden() {
+    this.post({ type: 'hidden' });
+  }
+
+  onLinkedEvent(action, value) {
+    this.linkedValues[action] = value;
+    this.post({ type: 'linkedEvent', action, value });
+  }
+
+  refresh() {
+    this.post({ type: 'refresh' });
+  }
+
+  destroy() {
+    this.port?.close();
+    this.port = null;
+  }
+}
+
+/**
+ * Create the widget class for an installed plugin
+ * @param {{ manifest: Object, source: string }} plugin
+ * @returns {typeof PluginWidget}
+ */
+export function definePluginWidget(plugin) {
+  const { name, icon, description, defaultSize, publishes, accepts } = plugin.manifest;
+  return class extends PluginWidget {
+    static metadata = { name, icon, description, defaultSize };
+    static plugin = plugin;
+    static publishes = publishes;
+    static accepts = accepts;
+  };
+}
@@ -7,9 +7,14 @@ export class SearchWidget extends WidgetBase {
   static metadata = {
     name: 'Search',
     icon: '🔍',
+    description: 'Search the web, or another site, from the dashboard',
     defaultSize: { width: 4, height: 1 }
   };
 
+  static publishes = {
+    query: { label: 'Search text', kind: 'text' }
+  };
+
   static DEFAULT_URL_TEMPLATE = 'https://www.google.com/search?q={query}';
 
   constructor(config) {
@@ -46,6 +51,10 @@ export class SearchWidget extends WidgetBase {
   setupBehavior(element) {
     const input = element.querySelector('.search-input');
     if (input) {
+      // Linked widgets can filter on the text as it's typed
+      input.addEventListener('input', () => {
+        this.publish('query', input.value.trim() || null);
+      });
       input.addEventListener('keypress', (e) => {
         if (e.key === 'Enter' && input.value.trim()) {
           const template = this.data.urlTemplate || SearchWidget.DEFAULT_URL_TEMPLATE;
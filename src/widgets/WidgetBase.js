@@ -14,7 +14,8 @@
  *      export class YourWidget extends WidgetBase {
  *        static metadata = {
  *          name: 'Your Widget',
- *          icon: '🎯'  // Choose an appropriate emoji
+ *          icon: '🎯',  // Choose an appropriate emoji
+ *          description: 'One line shown in the Add Widget panel'
  *        };
  *        
  *        getContent() {
@@ -28,6 +29,14 @@
  *        cleanup() {
  *          // Optional: Clean up timers, event listeners, etc.
  *        }
+ *        
+ *        onVisible() {
+ *          // Optional: Start timers or polling while the widget can be seen
+ *        }
+ *        
+ *        onHidden() {
+ *          // Optional: Pause them in background tabs and off-screen
+ *        }
  *      }
  * 
  * 2. REGISTER THE WIDGET IN index.js
@@ -51,7 +60,24 @@
  *    - Override getConfigSchema() to define user-configurable options
  *    - See the getConfigSchema() method documentation below for field types
  * 
- * 5. ADD TO DEFAULT LAYOUT (Optional)
+ * 5. MIGRATE SAVED DATA (When changing the shape of `data`)
+ *    - Increment static dataVersion and add a function to static dataMigrations
+ *      keyed by the version it upgrades from. Saved widgets are migrated when
+ *      the dashboard loads, so existing users keep their settings.
+ * 
+ * 6. LOAD DATA FROM AN API (Optional)
+ *    - Create a source in the constructor with createDataSource({ key, fetch, ttl }).
+ *      It caches, de-duplicates and retries requests, and only fetches while the
+ *      widget is visible. Render it in getContent() with renderDataState(), which
+ *      handles the loading, error and empty states. See src/DataService.js.
+ * 
+ * 7. LINK TO OTHER WIDGETS (Optional)
+ *    - Declare events the widget sends in static publishes and send them with
+ *      publish(). Declare what it can do in response in static accepts and
+ *      handle it in onLinkedEvent(). Users link events to actions of the same
+ *      kind under "Linked Widgets" in the config dialog. See src/EventBus.js.
+ * 
+ * 8. ADD TO DEFAULT LAYOUT (Optional)
  *    - To include the widget in the default layout for new users, add an entry
  *      to DEFAULT_WIDGETS in src/hellodev.js with position and size:
  *      { id: 'unique-id', type: 'yourwidget', x: 0, y: 0, width: 2, height: 2 }
@@ -79,6 +105,14 @@
  * 
  * ================================================================================
  */
+import { PRIMARY_BREAKPOINT, readGridMetrics } from '../GridLayout.js';
+import { trackPointer } from '../PointerDrag.js';
+import { findInvalidFields } from '../ConfigFields.js';
+import { Diagnostics } from '../Diagnostics.js';
+import { DataSource } from '../DataService.js';
+import { widgetEvents } from '../EventBus.js';
+import { escapeHtml } from '../HtmlEscape.js';
+
 export class WidgetBase {
   /**
    * Widget metadata for display in the UI.
@@ -87,9 +121,71 @@ export class WidgetBase {
   static metadata = {
     name: 'Widget',
     icon: '📦',
+    description: '',
     defaultSize: { width: 2, height: 2 }
   };
 
+  /**
+   * Version of this widget type's `data` format.
+   * Increment in subclasses when `data` changes shape, and add a migration.
+   */
+  static dataVersion = 1;
+
+  /**
+   * Migrations for this widget type's `data`, keyed by the version they upgrade from.
+   * Each function receives the data at that version and returns the data for the next.
+   * @example
+   * static dataVersion = 2;
+   * static dataMigrations = {
+   *   1: (data) => ({ ...data, items: data.item ? [data.item] : [] })
+   * };
+   */
+  static dataMigrations = {};
+
+  /**
+   * Events this widget type sends to linked widgets, by name. Each has a label
+   * for the config dialog and a kind; events can be linked to actions of the
+   * same kind. Send them with publish().
+   * @example
+   * static publishes = {
+   *   query: { label: 'Search text', kind: 'text' }
+   * };
+   */
+  static publishes = {};
+
+  /**
+   * Actions that linked widgets' events can trigger on this widget type, by name.
+   * Handle them in onLinkedEvent().
+   * @example
+   * static accepts = {
+   *   filterText: { label: 'Filter by text', kind: 'text' }
+   * };
+   */
+  static accepts = {};
+
+  /**
+   * Upgrade saved `data` from an older dataVersion to the current one.
+   * @param {Object} data - Saved widget data
+   * @param {number} fromVersion - dataVersion the data was saved with
+   * @returns {Object} Migrated data
+   * @throws {Error} If a migration is missing or the data is from a newer version
+   */
+  static migrateData(data, fromVersion) {
+    if (fromVersion > this.dataVersion) {
+      throw new Error(`data version ${fromVersion} is newer than supported version ${this.dataVersion}`);
+    }
+
+    let migrated = data;
+    for (let version = fromVersion; version < this.dataVersion; version++) {
+      const migrate = this.dataMigrations[version];
+      if (!migrate) {
+        throw new Error(`no data migration from version ${version}`);
+      }
+      migrated = migrate(migrated);
+    }
+    return migrated;
+  }
+
   constructor(config) {
     this.id = config.id;
     this.type = config.type;
@@ -97,8 +193,24 @@ export class WidgetBase {
     this.y = config.y ?? 0;
     this.width = config.width ?? 1;
     this.height = config.height ?? 1;
+    // Positions for narrower breakpoints, by breakpoint name (x/y/width/height above are the wide layout)
+    this.layouts = config.layouts || {};
     this.data = config.data || {};
+    // Kept as saved so unknown widget types don't lose their version
+    this.dataVersion = config.dataVersion ?? this.constructor.dataVersion;
+    // Which settings are secret, for types that may not be registered on every machine
+    // (see ConfigFields.getSecretFields). Kept as saved by unknown widget types.
+    this.secretFields = Array.isArray(config.secretFields) ? config.secretFields : null;
     this.element = null;
+    this.elementRect = null; // Position the element was last placed at
+    this.crash = null;       // { phase, message } once the widget's code has thrown
+    this.visible = false;    // Whether the widget can be seen (see onVisible/onHidden)
+    this.behaviorStarted = false; // setupBehavior() ran for the current element
+    this.dataSources = [];   // Created with createDataSource()
+    // Events from other widgets that trigger this widget's actions: [{ source, event, action }]
+    this.subscriptions = Array.isArray(config.subscriptions) ? config.subscriptions : [];
+    this.unsubscribers = [];
+    this.linkedActions = new Set(); // Actions connected by the last connectSubscriptions()
   }
 
   /**
@@ -108,21 +220,56 @@ export class WidgetBase {
    * Supported field types:
    * - 'string': Single line text input
    * - 'text': Multi-line text area
-   * - 'number': Numeric input
+   * - 'number': Numeric input (optional min, max, step)
+   * - 'slider': Range slider for a number (min, max, step, optional unit shown after the value)
    * - 'boolean': Checkbox/toggle
    * - 'select': Dropdown with options
-   * - 'list': Array of objects with sub-fields
+   * - 'multiselect': Checkboxes for options; the value is an array of the selected option values
+   * - 'color': Color picker; the value is a '#rrggbb' string
+   * - 'url': URL input, checked before saving (optional protocols, default ['http:', 'https:'])
+   * - 'date', 'time', 'datetime': Date/time pickers; values are 'YYYY-MM-DD', 'HH:MM' and 'YYYY-MM-DDTHH:MM' strings
+   * - 'secret': Masked text input (e.g. an API key) that is left out of layout exports
+   * - 'object': Group of sub-fields; the value is an object
+   * - 'list': Array of objects with sub-fields (optional itemLabel for the add/remove buttons)
+   * 
+   * Sub-fields of 'object' and 'list' fields can use any type, including further objects and lists.
+   * 
+   * Validation and conditional fields (all optional):
+   * - required: true - The field must have a value (at least one item for lists and multi-selects)
+   * - min / max: Range for numbers and sliders, length for text fields, item count for lists and multi-selects
+   * - step: Numbers must be a multiple of step (from min)
+   * - pattern: Regular expression (string or RegExp) text must match, with an optional patternMessage
+   * - validate: async (value, values) => error message, or null if valid. Runs once typing pauses;
+   *   `values` holds the other fields at the same level. Throwing doesn't block saving.
+   * - visibleWhen: (values) => boolean. Hidden fields are not validated and keep their saved value.
+   * 
+   * Errors show inline in the config dialog and Save stays disabled until every visible field
+   * is valid. Saved values that break these rules (e.g. corrupted data) are flagged when the
+   * dashboard loads or a layout is imported.
    * 
    * @returns {Array<Object>} Array of field definitions
    * @example
    * [
-   *   { key: 'title', label: 'Title', type: 'string', default: 'My Widget' },
-   *   { key: 'count', label: 'Count', type: 'number', default: 5 },
+   *   { key: 'title', label: 'Title', type: 'string', required: true, max: 40, default: 'My Widget' },
+   *   { key: 'count', label: 'Count', type: 'number', min: 1, step: 1, default: 5 },
+   *   { key: 'code', label: 'Code', type: 'string', pattern: '^[A-Z]{3}$', patternMessage: 'Use three capital letters' },
+   *   { key: 'opacity', label: 'Opacity', type: 'slider', min: 0, max: 100, step: 5, unit: '%', default: 80 },
    *   { key: 'enabled', label: 'Enabled', type: 'boolean', default: true },
    *   { key: 'theme', label: 'Theme', type: 'select', options: ['light', 'dark'], default: 'dark' },
-   *   { key: 'items', label: 'Items', type: 'list', fields: [
+   *   { key: 'contrast', label: 'High Contrast', type: 'boolean', visibleWhen: (values) => values.theme === 'dark' },
+   *   { key: 'days', label: 'Days', type: 'multiselect', options: ['Mon', 'Tue', 'Wed'], default: [] },
+   *   { key: 'color', label: 'Color', type: 'color', default: '#667eea' },
+   *   { key: 'homepage', label: 'Homepage', type: 'url', default: '' },
+   *   { key: 'due', label: 'Due', type: 'date', default: '' },
+   *   { key: 'apiKey', label: 'API Key', type: 'secret', default: '' },
+   *   { key: 'server', label: 'Server', type: 'object', fields: [
+   *       { key: 'host', label: 'Host', type: 'string' },
+   *       { key: 'port', label: 'Port', type: 'number' }
+   *     ]
+   *   },
+   *   { key: 'items', label: 'Items', type: 'list', itemLabel: 'Item', fields: [
    *       { key: 'name', label: 'Name', type: 'string' },
-   *       { key: 'value', label: 'Value', type: 'string' }
+   *       { key: 'link', label: 'Link', type: 'url' }
    *     ], default: []
    *   }
    * ]
@@ -159,6 +306,15 @@ export class WidgetBase {
     }
   }
 
+  /**
+   * Get the config fields whose saved values break the schema (e.g. corrupted or edited by hand).
+   * Widgets with invalid settings show a notice instead of their content until they are fixed.
+   * @returns {Array<Object>} Field definitions with invalid values
+   */
+  getInvalidFields() {
+    return findInvalidFields(this.getConfigSchema(), this.data);
+  }
+
   /**
    * Check if this widget has configurable options.
    * @returns {boolean} True if widget has configuration options
@@ -191,6 +347,280 @@ export class WidgetBase {
     // Override in subclasses that need cleanup
   }
 
+  /**
+   * Called when the widget becomes visible: its tab is in the foreground and it
+   * is scrolled into view. Start timers and polling here rather than in
+   * setupBehavior(), which runs while the widget is still hidden. May be called
+   * again after onHidden(), so it should be safe to repeat.
+   */
+  onVisible() {
+    // Override in subclasses with background work
+  }
+
+  /**
+   * Called when the widget can no longer be seen (background tab, scrolled
+   * off-screen or removed). Pause timers and polling here.
+   */
+  onHidden() {
+    // Override in subclasses with background work
+  }
+
+  /**
+   * Update whether the widget can be seen, calling onVisible()/onHidden() on changes.
+   * Called by the dashboard.
+   * @param {boolean} visible
+   */
+  setVisible(visible) {
+    if (visible === this.visible) return;
+    this.visible = visible;
+    // Widgets showing an error card or invalid settings have nothing running
+    if (!this.behaviorStarted) return;
+    this.dataSources.forEach(source => (visible ? source.start() : source.stop()));
+    const hook = visible ? 'onVisible' : 'onHidden';
+    try {
+      this[hook]();
+    } catch (err) {
+      Diagnostics.record(`${this.type} widget (${hook})`, err, { widgetId: this.id, type: this.type });
+    }
+  }
+
+  /**
+   * Create a DataSource for data this widget fetches (see DataService.js).
+   * The source fetches while the widget is visible and re-renders the widget's
+   * content when its state changes; render it with renderDataState().
+   * @param {Object} options - DataSource options (key, fetch, ttl, retries, onChange, onError)
+   * @returns {DataSource}
+   */
+  createDataSource(options) {
+    const source = new DataSource({
+      ...options,
+      onChange: () => {
+        options.onChange?.();
+        this.updateContent();
+      }
+    });
+    this.dataSources.push(source);
+    // Sources added after the constructor (e.g. when settings change) start straight away
+    if (this.behaviorStarted && this.visible) source.start();
+    return source;
+  }
+
+  /**
+   * Stop and forget a source from createDataSource(), e.g. when the setting it was for is removed
+   * @param {DataSource} source
+   */
+  removeDataSource(source) {
+    source.stop();
+    this.dataSources = this.dataSources.filter(s => s !== source);
+  }
+
+  /**
+   * Standard content for a DataSource: a spinner until there is data, an error
+   * with a Retry button if the first load failed, an empty message, or the data.
+   * While refreshing, or after a failed refresh, the last data stays on screen
+   * with a note saying it may be out of date.
+   * @param {DataSource} source
+   * @param {Object} options
+   * @param {Function} options.render - (data) => HTML for the data
+   * @param {Function} [options.isEmpty] - (data) => true if there's nothing to show (default: empty array)
+   * @param {string} [options.emptyMessage] - Shown when isEmpty(data)
+   * @param {string} [options.emptyIcon]
+   * @returns {string} HTML content
+   */
+  renderDataState(source, { render, isEmpty = (data) => Array.isArray(data) && data.length === 0, emptyMessage = 'Nothing to show', emptyIcon = '✓' }) {
+    const { data, loading, status, error, offline } = source.state;
+
+    if (data === undefined) {
+      if (error && !loading) {
+        return `
+          <div class="data-state data-state-error" role="alert">
+            <div class="data-state-icon" aria-hidden="true">⚠️</div>
+            <p>${escapeHtml(error)}</p>
+            <button type="button" class="data-state-retry">Retry</button>
+          </div>
+        `;
+      }
+      if (offline && !loading) {
+        return `
+          <div class="data-state">
+            <div class="data-state-icon" aria-hidden="true">📡</div>
+            <p>You're offline. This will load when you reconnect.</p>
+          </div>
+        `;
+      }
+      return `
+        <div class="data-state" role="status">
+          <div class="data-state-spinner" aria-hidden="true">⟳</div>
+          <p>${escapeHtml(status || 'Loading...')}</p>
+        </div>
+      `;
+    }
+
+    let notice = '';
+    if (offline) {
+      notice = 'Offline - showing saved data';
+    } else if (error && !loading) {
+      notice = `Couldn't refresh: ${error}`;
+    }
+    const noticeHtml = notice
+      ? `<div class="data-state-notice" role="status">${escapeHtml(notice)}${error && !offline ? ' <button type="button" class="data-state-retry">Retry</button>' : ''}</div>`
+      : '';
+
+    if (isEmpty(data)) {
+      return `
+        ${noticeHtml}
+        <div class="data-state">
+          <div class="data-state-icon" aria-hidden="true">${emptyIcon}</div>
+          <p>${escapeHtml(emptyMessage)}</p>
+          <button type="button" class="data-state-reload" title="Reload" aria-label="Reload">⟳</button>
+        </div>
+      `;
+    }
+    return noticeHtml + render(data);
+  }
+
+  /**
+   * Re-render the widget's content, e.g. after its data changed
+   */
+  updateContent() {
+    const contentEl = this.element?.querySelector('.widget-content');
+    if (!contentEl || !this.behaviorStarted) return;
+    try {
+      contentEl.innerHTML = this.getContent();
+    } catch (err) {
+      this.showCrash('render', err);
+    }
+  }
+
+  /**
+   * Stop a running widget whose code threw and show the error card in its place
+   * @param {string} phase - What was running (see reportCrash())
+   * @param {Error} error
+   */
+  showCrash(phase, error) {
+    this.reportCrash(phase, error);
+    this.behaviorStarted = false;
+    this.dataSources.forEach(source => source.stop());
+    this.disconnectSubscriptions();
+    this.stopAfterCrash();
+    const contentEl = this.element?.querySelector('.widget-content');
+    if (contentEl) contentEl.innerHTML = this.getCrashContent();
+  }
+
+  /**
+   * Send an event (declared in static publishes) to the widgets linked to it
+   * @param {string} event - Event name
+   * @param {*} value - Event value; null clears it
+   */
+  publish(event, value) {
+    widgetEvents.publish(this.id, event, value);
+  }
+
+  /**
+   * Called when a linked widget sends an event, and with the event's current
+   * value when the widget is rendered.
+   * @param {string} action - Action name from static accepts
+   * @param {*} value - The event's value, or null once it is cleared (e.g. the
+   *   other widget was removed)
+   */
+  onLinkedEvent(action, value) {
+    // Override in subclasses that declare static accepts
+  }
+
+  /**
+   * Start receiving the events in `subscriptions`. Called by createElement().
+   */
+  connectSubscriptions() {
+    this.disconnectSubscriptions();
+    const accepts = this.constructor.accepts;
+    const links = this.subscriptions.filter(({ action }) => Object.hasOwn(accepts, action));
+
+    // Actions that are no longer linked go back to having no value
+    for (const action of this.linkedActions) {
+      if (!links.some(link => link.action === action)) this.handleLinkedEvent(action, null);
+    }
+    this.linkedActions = new Set(links.map(link => link.action));
+
+    this.unsubscribers = links.map(({ source, event, action }) =>
+      widgetEvents.subscribe(source, event, (value) => this.handleLinkedEvent(action, value)));
+  }
+
+  handleLinkedEvent(action, value) {
+    try {
+      this.onLinkedEvent(action, value);
+    } catch (err) {
+      Diagnostics.record(`${this.type} widget (onLinkedEvent)`, err, { widgetId: this.id, type: this.type, action });
+    }
+  }
+
+  /**
+   * Stop receiving linked events. Called by the dashboard when the widget's element is removed.
+   */
+  disconnectSubscriptions() {
+    this.unsubscribers.forEach(unsubscribe => unsubscribe());
+    this.unsubscribers = [];
+  }
+
+  /**
+   * Reload the widget's data (e.g. re-fetch from an API).
+   * Used by "refresh" commands in the command palette.
+   */
+  refresh() {
+    this.dataSources.forEach(source => source.refresh({ force: true }));
+  }
+
+  /**
+   * Get commands and searchable content this widget adds to the command palette (Ctrl+K).
+   * Called each time the palette opens, so items should reflect current data.
+   * Each item: { title, detail?, icon?, group: 'command' | 'content', run: Function }
+   * @returns {Array<Object>} Palette items
+   */
+  getPaletteItems() {
+    return [];
+  }
+
+  /**
+   * Get this widget's stored position and size for a breakpoint.
+   * @param {string} breakpoint - Breakpoint name
+   * @returns {Object|null} { x, y, width, height }, or null if none is stored (the layout is generated)
+   */
+  getRect(breakpoint) {
+    if (breakpoint === PRIMARY_BREAKPOINT) {
+      return { x: this.x, y: this.y, width: this.width, height: this.height };
+    }
+    return this.layouts[breakpoint] ?? null;
+  }
+
+  /**
+   * Store this widget's position and size for a breakpoint.
+   * @param {string} breakpoint - Breakpoint name
+   * @param {Object} rect - { x, y, width, height }
+   */
+  setRect(breakpoint, { x, y, width, height }) {
+    if (breakpoint === PRIMARY_BREAKPOINT) {
+      Object.assign(this, { x, y, width, height });
+    } else {
+      this.layouts[breakpoint] = { x, y, width, height };
+    }
+  }
+
+  /**
+   * Get cached data to include in layout exports (e.g. fetched results).
+   * Override in subclasses that keep a cache. Never include secrets such as tokens.
+   * @returns {Object|null} JSON-serializable cache data, or null if there is none
+   */
+  exportCache() {
+    return null;
+  }
+
+  /**
+   * Restore cached data from a layout import.
+   * @param {Object} cache - Data previously returned by exportCache()
+   */
+  importCache(cache) {
+    // Override in subclasses that implement exportCache()
+  }
+
   /**
    * Serialize the widget to a plain object for storage
    * @returns {Object} Plain object representation
@@ -203,38 +633,138 @@ export class WidgetBase {
       y: this.y,
       width: this.width,
       height: this.height,
+      ...(Object.keys(this.layouts).length > 0 && { layouts: this.layouts }),
+      ...(this.subscriptions.length > 0 && { subscriptions: this.subscriptions }),
+      dataVersion: this.dataVersion,
+      ...(this.secretFields && { secretFields: this.secretFields }),
       data: this.data
     };
   }
 
+  /**
+   * Content shown instead of getContent() while saved settings are invalid
+   * @param {Array<Object>} invalidFields - Fields with invalid values
+   * @returns {string} HTML content
+   */
+  getInvalidSettingsContent(invalidFields) {
+    const names = escapeHtml(invalidFields.map(field => field.label).join(', '));
+    return `
+      <div class="widget-invalid-settings" role="alert">
+        <p>This widget's saved settings are invalid: <strong>${names}</strong>.</p>
+        <button type="button" class="widget-invalid-settings-fix">Fix settings</button>
+      </div>
+    `;
+  }
+
+  /**
+   * Log an exception from this widget's code and show an error card instead of its
+   * content from now on. A new instance of the widget starts without the error.
+   * @param {string} phase - What was running: 'constructor', 'render', 'setup' or 'plugin'
+   * @param {Error} error - The exception
+   */
+  reportCrash(phase, error) {
+    const entry = Diagnostics.record(`${this.type} widget (${phase})`, error, { widgetId: this.id, type: this.type });
+    this.crash = { phase, message: entry.message };
+  }
+
+  // Stop timers the widget started before it threw
+  stopAfterCrash() {
+    try {
+      this.destroy();
+    } catch (err) {
+      console.error(`[WidgetBase] Error cleaning up crashed widget ${this.id}:`, err);
+    }
+  }
+
+  /**
+   * Content shown instead of getContent() after the widget crashed
+   * @returns {string} HTML content
+   */
+  getCrashContent() {
+    return `
+      <div class="widget-crash" role="alert">
+        <p>This widget stopped working.</p>
+        <pre class="widget-crash-message">${escapeHtml(this.crash.message)}</pre>
+        <div class="widget-crash-actions">
+          <button type="button" class="widget-crash-reload">Reload widget</button>
+          <button type="button" class="widget-crash-reset">Reset widget settings</button>
+        </div>
+      </div>
+    `;
+  }
+
+  /**
+   * Place the widget's element on the grid. The dashboard calls this when the
+   * widget moves, instead of creating a new element.
+   * @param {Object} rect - Position and size at the current breakpoint
+   */
+  setElementRect({ x, y, width, height }) {
+    this.elementRect = { x, y, width, height };
+    this.element.style.gridColumn = `${x + 1} / span ${width}`;
+    this.element.style.gridRow = `${y + 1} / span ${height}`;
+  }
+
   /**
    * Create the DOM element for this widget
    * @param {Function} removeWidget - Callback to remove the widget
    * @param {Function} resizeWidget - Callback to resize widget
    * @param {Function} openWidgetConfig - Callback to open widget configuration dialog
+   * @param {Function} [previewResize] - Callback to preview the layout while resizing
+   * @param {Object} [rect] - Position and size at the current breakpoint (defaults to the wide layout)
    * @returns {HTMLElement} The widget element
    */
-  createElement(removeWidget, resizeWidget, openWidgetConfig) {
+  createElement(removeWidget, resizeWidget, openWidgetConfig, previewResize, rect = this) {
     const el = document.createElement('div');
     el.className = `widget widget-${this.type}`;
     el.dataset.id = this.id;
-    el.draggable = false; // Only enabled in edit mode via class
-    
-    // Set grid position and size using CSS grid placement
-    el.style.gridColumn = `${this.x + 1} / span ${this.width}`;
-    el.style.gridRow = `${this.y + 1} / span ${this.height}`;
+    el.setAttribute('role', 'group');
+    el.setAttribute('aria-label', this.constructor.metadata.name);
+    this.element = el;
+    this.behaviorStarted = false;
+    this.disconnectSubscriptions();
+    this.setElementRect(rect);
+
+    // A widget that throws shows an error card instead of breaking the whole dashboard
+    let invalidFields = [];
+    let content = '';
+    if (!this.crash) {
+      try {
+        invalidFields = this.getInvalidFields();
+        content = invalidFields.length > 0 ? this.getInvalidSettingsContent(invalidFields) : this.getContent();
+      } catch (err) {
+        this.reportCrash('render', err);
+      }
+    }
 
     el.innerHTML = `
-      <button class="widget-control drag-handle" title="Drag to move">✜</button>
-      <button class="widget-control config" title="Configure">⚙</button>
-      <button class="widget-control resize-handle" title="Drag to resize">⤢</button>
+      <button class="widget-control drag-handle" title="Drag to move" aria-label="Move (arrow keys)">✜</button>
+      <button class="widget-control config" title="Configure" aria-label="Configure">⚙</button>
+      <button class="widget-control resize-handle" title="Drag to resize" aria-label="Resize (arrow keys)">⤢</button>
       <div class="widget-content">
-        ${this.getContent()}
+        ${this.crash ? this.getCrashContent() : content}
       </div>
     `;
 
-    this.element = el;
-    this.setupBehavior(el);
+    if (this.crash) {
+      // Nothing to set up: the dashboard handles the error card's buttons
+    } else if (invalidFields.length > 0) {
+      // Don't run widget code against data it doesn't expect
+      el.querySelector('.widget-invalid-settings-fix').addEventListener('click', () => openWidgetConfig(this.id));
+    } else {
+      // Retry/reload buttons from renderDataState()
+      el.addEventListener('click', (e) => {
+        if (e.target.closest('.data-state-retry, .data-state-reload')) this.refresh();
+      });
+      try {
+        this.setupBehavior(el);
+        this.behaviorStarted = true;
+        this.connectSubscriptions();
+      } catch (err) {
+        this.reportCrash('setup', err);
+        this.stopAfterCrash();
+        el.querySelector('.widget-content').innerHTML = this.getCrashContent();
+      }
+    }
 
     // Setup control buttons
     el.querySelector('.widget-control.config').addEventListener('click', (e) => {
@@ -242,71 +772,50 @@ export class WidgetBase {
       openWidgetConfig(this.id);
     });
 
-    // Setup drag and drop for moving
-    el.addEventListener('dragstart', (e) => {
-      // Don't start drag if resizing
-      if (el.classList.contains('resizing')) {
-        e.preventDefault();
-        return;
-      }
-      el.classList.add('dragging');
-      e.dataTransfer.setData('text/plain', this.id);
-      e.dataTransfer.effectAllowed = 'move';
-    });
-
-    el.addEventListener('dragend', () => {
-      el.classList.remove('dragging');
-    });
-
-    // Setup resize handle drag
+    // Setup resize handle drag (moving is handled by the dashboard)
     const resizeHandle = el.querySelector('.widget-control.resize-handle');
-    resizeHandle.addEventListener('mousedown', (e) => {
+    resizeHandle.addEventListener('pointerdown', (e) => {
+      if (e.button !== 0) return;
       e.preventDefault();
       e.stopPropagation();
-      el.draggable = false; // Disable drag while resizing
-      el.classList.add('resizing');
-      
-      const startX = e.clientX;
-      const startY = e.clientY;
-      const startWidth = this.width;
-      const startHeight = this.height;
-      
-      const onMouseMove = (moveEvent) => {
-        const cellSize = 80; // GRID_CELL_SIZE
-        const gap = 16; // grid gap
-        const deltaX = moveEvent.clientX - startX;
-        const deltaY = moveEvent.clientY - startY;
-        
-        // Calculate new size based on drag distance
-        const newWidth = Math.max(1, startWidth + Math.round(deltaX / (cellSize + gap)));
-        const newHeight = Math.max(1, startHeight + Math.round(deltaY / (cellSize + gap)));
-        
-        // Update visual preview
-        el.style.gridColumn = `${this.x + 1} / span ${newWidth}`;
-        el.style.gridRow = `${this.y + 1} / span ${newHeight}`;
-      };
-      
-      const onMouseUp = (upEvent) => {
-        document.removeEventListener('mousemove', onMouseMove);
-        document.removeEventListener('mouseup', onMouseUp);
-        el.classList.remove('resizing');
-        el.draggable = true; // Re-enable drag
-        
-        const cellSize = 80; // GRID_CELL_SIZE
-        const gap = 16;
-        const deltaX = upEvent.clientX - startX;
-        const deltaY = upEvent.clientY - startY;
-        
-        const newWidth = Math.max(1, startWidth + Math.round(deltaX / (cellSize + gap)));
-        const newHeight = Math.max(1, startHeight + Math.round(deltaY / (cellSize + gap)));
-        
-        if (newWidth !== startWidth || newHeight !== startHeight) {
-          resizeWidget(this.id, newWidth, newHeight);
+
+      const rect = { ...this.elementRect };
+      const { pitch } = readGridMetrics(el.parentElement);
+      const start = { pageX: e.clientX + window.scrollX, pageY: e.clientY + window.scrollY };
+      let size = { width: rect.width, height: rect.height };
+
+      // Snap to whole grid cells as the pointer moves
+      const sizeAt = (point) => ({
+        width: Math.max(1, rect.width + Math.round((point.pageX - start.pageX) / pitch)),
+        height: Math.max(1, rect.height + Math.round((point.pageY - start.pageY) / pitch))
+      });
+
+      trackPointer(resizeHandle, e, {
+        autoScroll: true,
+        onStart: () => el.classList.add('resizing'),
+        onMove: (point) => {
+          const next = sizeAt(point);
+          if (next.width === size.width && next.height === size.height) return;
+          size = next;
+          el.style.gridColumn = `${rect.x + 1} / span ${size.width}`;
+          el.style.gridRow = `${rect.y + 1} / span ${size.height}`;
+          previewResize?.(this.id, size.width, size.height);
+        },
+        onEnd: () => {
+          el.classList.remove('resizing');
+          if (size.width !== rect.width || size.height !== rect.height) {
+            resizeWidget(this.id, size.width, size.height);
+          } else {
+            previewResize?.(this.id, rect.width, rect.height);
+          }
+        },
+        onCancel: () => {
+          el.classList.remove('resizing');
+          el.style.gridColumn = `${rect.x + 1} / span ${rect.width}`;
+          el.style.gridRow = `${rect.y + 1} / span ${rect.height}`;
+          previewResize?.(this.id, rect.width, rect.height);
         }
-      };
-      
-      document.addEventListener('mousemove', onMouseMove);
-      document.addEventListener('mouseup', onMouseUp);
+      });
     });
 
     return el;
@@ -4,6 +4,7 @@ export { SearchWidget } from './SearchWidget.js';
 export { NotesWidget } from './NotesWidget.js';
 export { MarkdownWidget } from './MarkdownWidget.js';
 export { ADOPRWidget } from './ADOPRWidget.js';
+export { PluginWidget, definePluginWidget } from './PluginWidget.js';
 
 import { WidgetBase } from './WidgetBase.js';
 import { ClockWidget } from './ClockWidget.js';
@@ -11,8 +12,10 @@ import { SearchWidget } from './SearchWidget.js';
 import { NotesWidget } from './NotesWidget.js';
 import { MarkdownWidget } from './MarkdownWidget.js';
 import { ADOPRWidget } from './ADOPRWidget.js';
+import { stripSecrets, restoreSecrets } from '../ConfigFields.js';
 
-// Widget factory - creates the appropriate widget class instance
+// Widget factory - creates the appropriate widget class instance.
+// Installed plugins are added at runtime (see PluginManager.js).
 export const WidgetRegistry = {
   clock: ClockWidget,
   search: SearchWidget,
@@ -25,3 +28,51 @@ export function createWidget(config) {
   const WidgetClass = WidgetRegistry[config.type] || WidgetBase;
   return new WidgetClass(config);
 }
+
+// Config fields of a widget type, read without creating a widget: constructors
+// can start data sources and clean up stored data, which previews and exports
+// must not do. getConfigSchema() only relies on the widget's methods.
+export function getWidgetSchema(type) {
+  const WidgetClass = WidgetRegistry[type] || WidgetBase;
+  return WidgetClass.prototype.getConfigSchema.call(Object.create(WidgetClass.prototype));
+}
+
+// Fields of a widget config that are or hold secrets: from its type's schema, or
+// as recorded in the config when the type isn't registered here (e.g. a plugin
+// installed on another machine only). null if they can't be known.
+function getSecretSchema(config) {
+  if (WidgetRegistry[config.type]) return getWidgetSchema(config.type);
+  return Array.isArray(config.secretFields) ? config.secretFields : null;
+}
+
+// Copy of a widget config with the values of its secret fields removed, for
+// configs that leave this machine (exports and sync). When its secret fields
+// can't be known, the copy has no data at all.
+export function withoutSecrets(config) {
+  if (!config.data) return config;
+  try {
+    const schema = getSecretSchema(config);
+    if (schema) {
+      return { ...config, data: stripSecrets(schema, config.data) };
+    }
+  } catch (e) {
+    console.error('[Widgets] Could not read widget schema:', config.id, e);
+  }
+  const { data, ...layout } = config;
+  return layout;
+}
+
+// Copy of a widget config with the secret values of another copy of it (e.g. the
+// one on this machine) put back, for configs received without them. A config
+// that came without data takes all of the other copy's data.
+export function withSecretsOf(config, source) {
+  if (!source?.data) return config;
+  if (!config.data) return { ...config, data: source.data };
+  try {
+    const schema = getSecretSchema(config);
+    return schema ? { ...config, data: restoreSecrets(schema, config.data, source.data) } : config;
+  } catch (e) {
+    console.error('[Widgets] Could not read widget schema:', config.id, e);
+    return config;
+  }
+}